@@ -16,6 +16,7 @@ const ordo = new OrdoAudio({
   maxDecibels: 0,
   windowType: 'hann',
   useAWeighting: false,
+  worker: true,
 });
 
 // ============================================================================
@@ -29,6 +30,7 @@ let peakHoldFrames  = 0;
 // RTA peak-hold per band
 let rtaPeakHold     = new Float32Array(31).fill(0);
 let rtaPeakHoldFrames = new Float32Array(31).fill(0);
+let rtaBands        = [];   // band list of the last drawn frame, for the hover tooltip
 
 // Recording state
 let mediaRecorder   = null;
@@ -45,15 +47,87 @@ let logStartTime    = 0;
 
 // Test tone state
 let toneOscillator  = null;
+let toneTwoTone     = [];        // oscillators of an SMPTE / CCIF stimulus
 let toneNoiseNode   = null;
 let toneGain        = null;
 let activeToneType  = 'off';
+let toneStimulus    = false;       // a measurement stimulus buffer (o.signal) is playing
+let toneRoute       = 'internal';  // 'internal' mixes into the analyzed input, 'speakers' plays on the output
+
+// Main panel view and transfer-function traces
+let mainView        = 'rta';     // 'rta' | 'tf' | 'ir' | 'tuner' | 'dist'
+let tfTraces        = [];        // stored {name, color, visible, freqs, magnitude, phase, coherence, offset?}
+let latestTransfer  = null;
+let frStimulus      = 'sweep';   // frequency response measurement: 'sweep' | 'noise' (periodic pink)
+const TF_COLORS     = ['#f59e0b', '#a855f7', '#22d3ee', '#f472b6', '#84cc16', '#fb7185'];
+
+// Impulse response measurement
+let irResult        = null;      // last measureImpulseResponse() result
+let irSweepLen      = 6;
+let irLevel         = -12;
+// Feedback suppressor: 'off' | 'on' (notches only) | 'live' (notched mic to speakers)
+let fbsMode         = 'off';
+let fbsMaxDepth     = 18;
+
+// Timbre classifier: last result and the label being captured (null when idle)
+let latestTimbre    = null;
+let timbreCapturing = null;
+
+// STIPA: last stipa result and the generated test signal (built on first use, 100 s)
+let latestStipa     = null;
+let stipaSignal     = null;
+const STIPA_INVALID = { level: 'no signal', modulation: 'not the STIPA signal (steady tone?)', spectrum: 'test signal missing in a band' };
+
+// Noise rating: last noiseRating result and the curve family on the chart
+let latestNoiseRating = null;
+let nrCurve         = 'nc';
+
+// Piano inharmonicity: per-key B table ({ midi, name, B, f0, count }[]) from the library
+let inhTable        = [];
+
+// Distortion analyzer: last thd result; stimulus 'auto' | 'sine' | 'smpte' | 'ccif'
+let latestThd       = null;
+let distStimulus    = 'auto';
+
+// Tuner: last reading, and strobe band offsets advanced every animation frame
+let latestTuner     = null;
+let strobeOffsets   = [0, 0, 0];
+let strobeLastT     = 0;
+
+// Tap tempo: performance.now() of recent taps; a pause of TAP_RESET ms starts over
+let taps            = [];
+let tapBpm          = 0;
+const TAP_RESET     = 2000;
+
+// Chord timeline: {chord, quality, start, end} in stream seconds over the last CHORD_WINDOW s
+let chordTimeline   = [];
+const CHORD_WINDOW  = 30;
+const CHORD_COLORS  = { maj: '#00ff88', min: '#a855f7', '7': '#22d3ee', maj7: '#00aaff', min7: '#c084fc', sus2: '#ffb300', sus4: '#ffb300', dim: '#ff3b3b', aug: '#f472b6' };
+
+// Room mode prediction (OrdoAudio.roomModes result for the entered room)
+let roomModel       = null;
+let liveRt60        = null;      // last RT60 module estimate, seconds
+
+const IR_COLORS     = ['#ef4444', '#f59e0b', '#eab308', '#84cc16', '#22d3ee', '#3b82f6', '#a855f7', '#f472b6'];
 
 // Canvas contexts (persistent refs after init)
 let rtaCtx          = null;
 let oscCtx          = null;
+let gonioCtx        = null;
 let spectCtx        = null;
 let lufsHistCtx     = null;
+let chordCtx        = null;      // set up lazily: the Chroma tab may be hidden
+let inhCtx          = null;      // likewise
+let nrCtx           = null;      // likewise (Diag tab)
+let tfCtx           = null;
+let irCtx           = null;
+let tunerCtx        = null;
+let distCtx         = null;
+
+// Latest analysis result, drawn by the render loop (analysis runs on the
+// audio clock via AudioWorklet, rendering on requestAnimationFrame)
+let latestFrame     = null;
+let renderFrameId   = null;
 
 // LUFS history ring buffer (60s at ~30fps = 1800 entries, but we subsample to 60)
 const LUFS_HIST_MAX = 120;
@@ -83,8 +157,11 @@ const dom = {
   // Canvases
   rtaCanvas:   $('rta-canvas'),
   oscCanvas:   $('osc-canvas'),
+  gonioCanvas: $('gonio-canvas'),
   spectCanvas: $('spectrogram-canvas'),
   lufsHistCanvas: $('lufs-history-canvas'),
+  tfCanvas:    $('tf-canvas'),
+  irCanvas:    $('ir-canvas'),
 
   // Metrics row
   valLevel:      $('val-level'),
@@ -95,8 +172,18 @@ const dom = {
   valNoteDetail: $('val-note-detail'),
   valBpm:        $('val-bpm'),
   valBpmConf:    $('val-bpm-conf'),
+  tapBtn:        $('tap-btn'),
+  beatDots:      document.querySelectorAll('.beat-dot'),
   valKey:        $('val-key'),
   valKeyMode:    $('val-key-mode'),
+  valKeySub:     $('val-key-sub'),
+  keyRanking:    $('key-ranking'),
+  meterL:        $('meter-l'),
+  meterR:        $('meter-r'),
+  valL:          $('val-l'),
+  valR:          $('val-r'),
+  valBalance:    $('val-balance'),
+  valTpLr:       $('val-tp-lr'),
 
   // LUFS
   lufsM: $('lufs-m'), lufsS: $('lufs-s'), lufsI: $('lufs-i'), lufsLra: $('lufs-lra'),
@@ -104,6 +191,7 @@ const dom = {
 
   // True peak & dynamics
   truePeakVal: $('true-peak-val'), ledTpInline: $('led-tp-inline'),
+  tpCell: $('tp-cell'), tpOvers: $('tp-overs'),
   crestVal: $('crest-val'), drVal: $('dr-val'), comprVal: $('compr-val'),
 
   // EQ
@@ -111,6 +199,14 @@ const dom = {
 
   // Chroma
   chromaBars: document.querySelectorAll('.chroma-bar'),
+  chordVal:    $('chord-val'),
+  chordAlt:    $('chord-alt'),
+  chordCanvas: $('chord-canvas'),
+  inhVal:      $('inh-val'),
+  inhSub:      $('inh-sub'),
+  inhCanvas:   $('inh-canvas'),
+  inhClearBtn: $('inh-clear-btn'),
+  inhCsvBtn:   $('inh-csv-btn'),
 
   // MFCC
   mfccBars: document.querySelectorAll('.mfcc-bar'),
@@ -128,6 +224,15 @@ const dom = {
   phaseNeedle: $('phase-needle'), phaseStr: $('phase-str'), phaseCorr: $('phase-corr'),
   rt60Val: $('rt60-val'),
 
+  // Sound level meter
+  slmLabel: $('slm-label'), slmUnit: $('slm-unit'), slmLevel: $('slm-level'), slmDuration: $('slm-duration'),
+  slmLaeq: $('slm-laeq'), slmLceq: $('slm-lceq'), slmLcpeak: $('slm-lcpeak'),
+  slmLafmax: $('slm-lafmax'), slmLafmin: $('slm-lafmin'), slmMaxLabel: $('slm-lmax-label'), slmMax: $('slm-max'),
+  slmL10: $('slm-l10'), slmL50: $('slm-l50'), slmL90: $('slm-l90'),
+  slmL10Label: $('slm-l10-label'), slmL50Label: $('slm-l50-label'), slmL90Label: $('slm-l90-label'),
+  slmResetBtn: $('slm-reset-btn'), calBtn: $('cal-btn'), calClearBtn: $('cal-clear-btn'), calStatus: $('cal-status'),
+  micCalFile: $('mic-cal-file'), micCalClearBtn: $('mic-cal-clear-btn'), micCalStatus: $('mic-cal-status'),
+
   // Spectral
   centroidVal: $('centroid-val'), flatnessVal: $('flatness-val'),
   rolloffVal: $('rolloff-val'), bandwidthVal: $('bandwidth-val'),
@@ -139,12 +244,96 @@ const dom = {
 
   // Standing waves
   modesContainer: $('modes-container'),
+  moduleCostContainer: $('module-cost-container'),
+  winProps:            $('win-props'),
+  pipelineThread:      $('pipeline-thread'),
+
+  // Noise rating
+  nrCanvas:   $('nr-canvas'),
+  nrSub:      $('nr-sub'),
+  nrResetBtn: $('nr-reset-btn'),
+  nrVals:     { nc: $('nc-val'), nr: $('nr-val'), rc: $('rc-val'), ncb: $('ncb-val') },
+  nrBands:    { nc: $('nc-band'), nr: $('nr-band'), rc: $('rc-band'), ncb: $('ncb-band') },
 
   // RTA controls
   rtaAweightBtn:   $('rta-aweight-btn'),
+  rtaIecBtn:       $('rta-iec-btn'),
+  rtaTitle:        $('rta-title'),
+  rtaControls:     $('rta-controls'),
+  rtaCanvasWrap:   $('rta-canvas-wrap'),
   rtaSnapshotBtn:  $('rta-snapshot-btn'),
   rtaTooltip:      $('rta-tooltip'),
 
+  // Transfer function
+  tfControls:   $('tf-controls'),
+  tfCanvasWrap: $('tf-canvas-wrap'),
+  tfDelay:      $('tf-delay'),
+  tfAvg:        $('tf-avg'),
+  tfTraces:     $('tf-traces'),
+  tfFindBtn:    $('tf-find-btn'),
+  tfStoreBtn:   $('tf-store-btn'),
+  tfClearBtn:   $('tf-clear-btn'),
+  tfAvgBtn:     $('tf-avg-btn'),
+  tfCsvBtn:     $('tf-csv-btn'),
+  tfFrdBtn:     $('tf-frd-btn'),
+  frMeasureBtn: $('fr-measure-btn'),
+
+  // Impulse response
+  irControls:   $('ir-controls'),
+  irCanvasWrap: $('ir-canvas-wrap'),
+  irTable:      $('ir-table'),
+  irMeasureBtn: $('ir-measure-btn'),
+  irWavBtn:     $('ir-wav-btn'),
+  irCsvBtn:     $('ir-csv-btn'),
+
+  // Room modes
+  roomL:         $('room-l'),
+  roomW:         $('room-w'),
+  roomH:         $('room-h'),
+  roomSetBtn:    $('room-set-btn'),
+  roomClearBtn:  $('room-clear-btn'),
+  roomSummary:   $('room-summary'),
+  roomPredicted: $('room-predicted'),
+
+  // Feedback suppressor
+  fbsBank:       $('fbs-bank'),
+  fbsClearBtn:   $('fbs-clear-btn'),
+  fbsResetBtn:   $('fbs-reset-btn'),
+  fbsExportBtn:  $('fbs-export-btn'),
+
+  // Tuner
+  tunerControls:   $('tuner-controls'),
+  tunerCanvasWrap: $('tuner-canvas-wrap'),
+  tunerCanvas:     $('tuner-canvas'),
+  tunerRef:        $('tuner-ref'),
+  tunerTonic:      $('tuner-tonic'),
+  tunerPreset:     $('tuner-preset'),
+
+  // Distortion analyzer
+  distControls:    $('dist-controls'),
+  distCanvasWrap:  $('dist-canvas-wrap'),
+  distCanvas:      $('dist-canvas'),
+  distGenBtn:      $('dist-gen-btn'),
+
+  // STIPA
+  stipaMeasureBtn: $('stipa-measure-btn'),
+  stipaNoiseBtn:   $('stipa-noise-btn'),
+  stipaVal:        $('stipa-val'),
+  stipaCat:        $('stipa-cat'),
+  stipaStatus:     $('stipa-status'),
+  stipaBands:      $('stipa-bands'),
+
+  // Timbre classifier
+  timbreLabel:      $('timbre-label'),
+  timbreConf:       $('timbre-conf'),
+  timbreClasses:    $('timbre-classes'),
+  timbreName:       $('timbre-name'),
+  timbreCaptureBtn: $('timbre-capture-btn'),
+  timbreExportBtn:  $('timbre-export-btn'),
+  timbreFile:       $('timbre-file'),
+  timbreClearBtn:   $('timbre-clear-btn'),
+  timbreStatus:     $('timbre-status'),
+
   // Tabs
   tabBtns:     document.querySelectorAll('.tab-btn'),
   tabContents: document.querySelectorAll('.tab-content'),
@@ -198,6 +387,7 @@ function logH(canvas) { return Math.round(canvas.height / (window.devicePixelRat
 function initCanvases() {
   rtaCtx   = setupCanvas(dom.rtaCanvas);
   oscCtx   = setupCanvas(dom.oscCanvas);
+  gonioCtx = setupCanvas(dom.gonioCanvas);
 
   const sc = setupCanvas(dom.spectCanvas);
   if (sc) {
@@ -216,7 +406,15 @@ window.addEventListener('resize', () => {
   // Re-init without wiping spectrogram history image
   rtaCtx  = setupCanvas(dom.rtaCanvas);
   oscCtx  = setupCanvas(dom.oscCanvas);
+  gonioCtx = setupCanvas(dom.gonioCanvas);
+  if (mainView === 'tf') tfCtx = setupCanvas(dom.tfCanvas);
+  if (mainView === 'ir') { irCtx = setupCanvas(dom.irCanvas); drawIr(irResult); }
+  if (mainView === 'tuner') tunerCtx = setupCanvas(dom.tunerCanvas);
+  if (mainView === 'dist') { distCtx = setupCanvas(dom.distCanvas); drawDistortion(latestThd); }
   if (dom.lufsHistCanvas) lufsHistCtx = setupCanvas(dom.lufsHistCanvas);
+  chordCtx = null;
+  inhCtx = null;
+  nrCtx = null;
   // Spectrogram: re-init and fill bg (we accept the wipe on resize)
   const sc = setupCanvas(dom.spectCanvas);
   if (sc) {
@@ -251,19 +449,28 @@ function drawRta(rtaData) {
 
   const bands  = rtaData.bands;
   const nb     = bands.length;
-  const gap    = 2;
-  const barW   = Math.max(2, (w - nb * gap) / nb);
+  const gap    = rtaGap(nb);
+  const barW   = Math.max(1, (w - nb * gap) / nb);
+
+  // Peak hold restarts when the resolution changes the band count
+  if (rtaPeakHold.length !== nb) {
+    rtaPeakHold       = new Float32Array(nb).fill(0);
+    rtaPeakHoldFrames = new Float32Array(nb).fill(0);
+    dom.rtaTitle.textContent = `Real-Time Analyzer — 1/${rtaData.resolution} Octave${rtaData.resolution <= 3 ? ' ISO' : ''}`;
+  }
+  rtaBands = bands;
 
   bands.forEach((band, i) => {
     const x    = i * (barW + gap);
     const barH = band.normalized * (h - 4);
     const y    = h - barH;
-    const col  = rtaBandColor(band.center);
+    // Bands narrower than the FFT resolution are drawn dimmed
+    const col  = rtaBandColor(band.center) + (band.resolved === false ? '66' : '');
 
     // Bar gradient
     const grad = rtaCtx.createLinearGradient(0, y, 0, h);
     grad.addColorStop(0, col);
-    grad.addColorStop(1, col + '33');
+    grad.addColorStop(1, col.slice(0, 7) + '33');
     rtaCtx.fillStyle = grad;
     rtaCtx.fillRect(x, y, barW, barH);
 
@@ -290,6 +497,382 @@ function drawRta(rtaData) {
       rtaCtx.fillRect(x, py, barW, 1);
     }
   });
+
+  if (roomModel) drawRoomModes(bands, barW, gap, h);
+}
+
+// Predicted room modes as ticks along the top of the RTA, placed by log
+// frequency inside their band; the Schroeder frequency as a dashed line
+const MODE_COLORS = { axial: '#ff3b3b', tangential: '#ffb300', oblique: '#3a5060' };
+
+function rtaFreqX(bands, f, barW, gap) {
+  const i = bands.findIndex(b => f >= b.low && f < b.high);
+  if (i < 0) return null;
+  return i * (barW + gap) + barW * Math.log(f / bands[i].low) / Math.log(bands[i].high / bands[i].low);
+}
+
+function drawRoomModes(bands, barW, gap, h) {
+  roomModel.modes.forEach(m => {
+    const x = rtaFreqX(bands, m.freq, barW, gap);
+    if (x == null) return;
+    rtaCtx.fillStyle = MODE_COLORS[m.type];
+    rtaCtx.fillRect(x, 0, 1, m.type === 'axial' ? 14 : m.type === 'tangential' ? 9 : 5);
+  });
+  const xs = roomModel.schroeder && rtaFreqX(bands, roomModel.schroeder, barW, gap);
+  if (xs != null) {
+    rtaCtx.strokeStyle = 'rgba(34,211,238,0.5)';
+    rtaCtx.setLineDash([3, 3]);
+    rtaCtx.beginPath(); rtaCtx.moveTo(xs, 0); rtaCtx.lineTo(xs, h); rtaCtx.stroke();
+    rtaCtx.setLineDash([]);
+    rtaCtx.fillStyle = 'rgba(34,211,238,0.7)';
+    rtaCtx.font = '9px "Share Tech Mono", monospace';
+    rtaCtx.fillText(`fS ${Math.round(roomModel.schroeder)} Hz`, xs + 3, 24);
+  }
+}
+
+// ============================================================================
+// DRAW: TRANSFER FUNCTION (magnitude + coherence above, phase below)
+// ============================================================================
+
+const TF_FMIN = 20, TF_FMAX = 20000, TF_MAG_RANGE = 30;
+
+function drawTransfer(t) {
+  if (!tfCtx) return;
+  const w = logW(dom.tfCanvas), h = logH(dom.tfCanvas);
+  const magH = Math.round(h * 0.6), phTop = magH + 6, phH = h - phTop;
+  const fx = f => Math.log(f / TF_FMIN) / Math.log(TF_FMAX / TF_FMIN) * w;
+  const my = db => magH / 2 - (db / TF_MAG_RANGE) * (magH / 2);
+  const py = deg => phTop + phH / 2 - (deg / 180) * (phH / 2);
+  tfCtx.clearRect(0, 0, w, h);
+
+  // Grid and labels
+  tfCtx.strokeStyle = 'rgba(255,255,255,0.04)';
+  tfCtx.lineWidth   = 1;
+  tfCtx.font        = '9px "Share Tech Mono", monospace';
+  tfCtx.fillStyle   = '#2a3a4a';
+  [31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000].forEach(f => {
+    tfCtx.beginPath(); tfCtx.moveTo(fx(f), 0); tfCtx.lineTo(fx(f), h); tfCtx.stroke();
+    tfCtx.fillText(f >= 1000 ? f / 1000 + 'k' : f, fx(f) + 2, magH - 3);
+  });
+  [-20, -10, 0, 10, 20].forEach(db => {
+    tfCtx.beginPath(); tfCtx.moveTo(0, my(db)); tfCtx.lineTo(w, my(db)); tfCtx.stroke();
+    tfCtx.fillText(`${db > 0 ? '+' : ''}${db} dB`, 2, my(db) - 2);
+  });
+  [-90, 0, 90].forEach(deg => {
+    tfCtx.beginPath(); tfCtx.moveTo(0, py(deg)); tfCtx.lineTo(w, py(deg)); tfCtx.stroke();
+    tfCtx.fillText(`${deg}°`, 2, py(deg) - 2);
+  });
+  tfCtx.strokeStyle = 'rgba(255,255,255,0.08)';
+  tfCtx.beginPath(); tfCtx.moveTo(0, phTop - 3); tfCtx.lineTo(w, phTop - 3); tfCtx.stroke();
+
+  // Stored traces under the live one
+  tfTraces.filter(tr => tr.visible).forEach(tr => plotTransfer(tr, tr.color, 0.8, fx, my, py));
+
+  if (!t) {
+    if (tfTraces.some(tr => tr.visible)) return;
+    tfCtx.fillStyle = '#3a5060';
+    tfCtx.fillText(ordo.options.transferReference == null ? 'Select a reference: GEN, IN1 or IN2' : 'Waiting for reference signal…', w / 2 - 80, magH / 2);
+    return;
+  }
+  // Coherence (0–1 over the magnitude plot height)
+  tfCtx.strokeStyle = 'rgba(255,59,59,0.45)';
+  tfCtx.beginPath();
+  for (let i = 0; i < t.freqs.length; i++) {
+    const x = fx(t.freqs[i]), y = magH * (1 - t.coherence[i]);
+    i ? tfCtx.lineTo(x, y) : tfCtx.moveTo(x, y);
+  }
+  tfCtx.stroke();
+  plotTransfer(t, '#00ff88', 1.4, fx, my, py);
+}
+
+// Magnitude and phase of one trace; points with coherence below 0.5 are dimmed.
+// Measured (acoustic) traces are drawn shifted by their offset, so 0 dB is their midband level.
+function plotTransfer(t, color, width, fx, my, py) {
+  const off = t.offset || 0;
+  tfCtx.lineWidth = width;
+  [[true, color], [false, color + '40']].forEach(([good, col]) => {
+    tfCtx.strokeStyle = col;
+    tfCtx.beginPath();
+    let pen = false, prevPh = null;
+    for (let i = 0; i < t.freqs.length; i++) {
+      const ok = (t.coherence[i] >= 0.5) === good && isFinite(t.magnitude[i]);
+      if (!ok) { pen = false; continue; }
+      const x = fx(t.freqs[i]), y = my(Math.max(-TF_MAG_RANGE, Math.min(TF_MAG_RANGE, t.magnitude[i] - off)));
+      pen ? tfCtx.lineTo(x, y) : tfCtx.moveTo(x, y);
+      pen = true;
+    }
+    tfCtx.stroke();
+    // Phase: break the line where it wraps
+    tfCtx.beginPath(); pen = false;
+    for (let i = 0; i < t.freqs.length; i++) {
+      const ok = (t.coherence[i] >= 0.5) === good;
+      if (!ok) { pen = false; continue; }
+      const ph = t.phase[i], x = fx(t.freqs[i]);
+      if (pen && Math.abs(ph - prevPh) > 180) pen = false;
+      pen ? tfCtx.lineTo(x, py(ph)) : tfCtx.moveTo(x, py(ph));
+      pen = true; prevPh = ph;
+    }
+    tfCtx.stroke();
+  });
+  tfCtx.lineWidth = 1;
+}
+
+function renderTfTraces() {
+  dom.tfTraces.innerHTML = '';
+  tfTraces.forEach(tr => {
+    const b = document.createElement('button');
+    b.className   = 'tf-trace' + (tr.visible ? '' : ' hidden');
+    b.style.color = tr.color;
+    b.textContent = tr.name;
+    b.title       = 'Show / hide' + (tr.offset ? ` (drawn ${tr.offset > 0 ? '−' : '+'}${Math.abs(tr.offset).toFixed(1)} dB)` : '');
+    b.addEventListener('click', () => { tr.visible = !tr.visible; renderTfTraces(); });
+    dom.tfTraces.appendChild(b);
+  });
+}
+
+function setMainView(view) {
+  mainView = view;
+  const tf = view === 'tf', ir = view === 'ir', rta = view === 'rta', tuner = view === 'tuner', dist = view === 'dist';
+  document.querySelectorAll('[data-view]').forEach(b => b.classList.toggle('active', b.dataset.view === view));
+  dom.tfControls.style.display    = tf ? 'flex' : 'none';
+  dom.irControls.style.display    = ir ? 'flex' : 'none';
+  dom.tunerControls.style.display = tuner ? 'flex' : 'none';
+  dom.distControls.style.display  = dist ? 'flex' : 'none';
+  dom.rtaControls.style.display   = rta ? 'flex' : 'none';
+  dom.tfCanvasWrap.style.display  = tf ? 'flex' : 'none';
+  dom.irCanvasWrap.style.display  = ir ? 'flex' : 'none';
+  dom.tunerCanvasWrap.style.display = tuner ? 'flex' : 'none';
+  dom.distCanvasWrap.style.display = dist ? 'flex' : 'none';
+  dom.rtaCanvasWrap.style.display = rta ? '' : 'none';
+  dom.rtaTitle.textContent = tf ? 'Transfer Function — Magnitude · Phase · Coherence'
+    : ir ? 'Impulse Response — ISO 3382-1 Room Parameters'
+    : tuner ? 'Tuner — Needle · Strobe'
+    : dist ? 'Distortion — Harmonics dB re Fundamental · THD+N · IMD'
+    : `Real-Time Analyzer — 1/${ordo.options.rtaResolution} Octave${ordo.options.rtaResolution <= 3 ? ' ISO' : ''}`;
+  if (tf) { tfCtx = setupCanvas(dom.tfCanvas); drawTransfer(latestTransfer); }
+  else if (ir) { irCtx = setupCanvas(dom.irCanvas); drawIr(irResult); }
+  else if (tuner) { tunerCtx = setupCanvas(dom.tunerCanvas); drawTuner(); }
+  else if (dist) { distCtx = setupCanvas(dom.distCanvas); drawDistortion(latestThd); }
+  else rtaCtx = setupCanvas(dom.rtaCanvas);
+}
+
+// ============================================================================
+// DRAW: DISTORTION (SPECTRUM dB RE FUNDAMENTAL + READOUT)
+// ============================================================================
+
+function drawDistortion(d) {
+  if (!distCtx) return;
+  const c = distCtx, w = logW(dom.distCanvas), h = logH(dom.distCanvas);
+  const pad = { l: 38, r: 8, t: 8, b: 16 }, pw = w - pad.l - pad.r, ph = h - pad.t - pad.b;
+  const fmax = d && d.spectrum ? d.spectrum.freqs[d.spectrum.freqs.length - 1] : 24000;
+  const fx = f => pad.l + Math.log10(f / 10) / Math.log10(fmax / 10) * pw;
+  const dy = db => pad.t + Math.min(1, Math.max(0, -db / 160)) * ph;   // 0 … -160 dB
+  c.clearRect(0, 0, w, h);
+  c.font = '9px "Share Tech Mono", monospace';
+  c.lineWidth = 1;
+  c.textAlign = 'right';
+  for (let db = 0; db >= -160; db -= 20) {
+    c.strokeStyle = '#1a2a35'; c.beginPath(); c.moveTo(pad.l, dy(db)); c.lineTo(w - pad.r, dy(db)); c.stroke();
+    c.fillStyle = '#3a5060'; c.fillText(db, pad.l - 4, dy(db) + 3);
+  }
+  c.textAlign = 'center';
+  [20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000].filter(f => f < fmax).forEach(f => {
+    c.strokeStyle = '#1a2a35'; c.beginPath(); c.moveTo(fx(f), pad.t); c.lineTo(fx(f), pad.t + ph); c.stroke();
+    c.fillStyle = '#3a5060'; c.fillText(f >= 1000 ? f / 1000 + 'k' : f, fx(f), h - 4);
+  });
+  if (!d || !d.spectrum) {
+    c.fillStyle = '#3a5060'; c.fillText('Waiting for a tone…', pad.l + pw / 2, pad.t + ph / 2);
+    return;
+  }
+
+  const { freqs, db } = d.spectrum;
+  c.strokeStyle = '#00ff88'; c.beginPath();
+  for (let i = 0; i < freqs.length; i++) i ? c.lineTo(fx(freqs[i]), dy(db[i])) : c.moveTo(fx(freqs[i]), dy(db[i]));
+  c.stroke();
+
+  // Harmonic / product markers
+  const marks = d.mode === 'thd' ? d.harmonics.map(x => [`H${x.n}`, x.freq, x.db]) : d.products.map(x => [x.label, x.freq, x.db]);
+  c.fillStyle = d.mode === 'thd' ? '#ffb300' : '#22d3ee';
+  marks.forEach(([label, f, v]) => {
+    c.beginPath(); c.arc(fx(f), dy(v), 2.5, 0, Math.PI * 2); c.fill();
+    c.fillText(label, fx(f), dy(v) - 6);
+  });
+
+  // Readout
+  const pct = v => `${v.toFixed(v < 0.01 ? 4 : v < 1 ? 3 : 2)} %`;
+  const lines = d.mode === 'thd' ? [
+    `F    ${d.fundamental.toFixed(1)} Hz  ${d.fundamentalDb.toFixed(1)} dBFS`,
+    `THD   ${pct(d.thd)}  ${d.thdDb.toFixed(1)} dB`,
+    `THD+N ${pct(d.thdN)}  ${d.thdNDb.toFixed(1)} dB`,
+    `SINAD ${d.sinad.toFixed(1)} dB   ENOB ${d.enob.toFixed(1)} bit`,
+    `ODD/EVEN ${d.oddEven == null ? '--' : d.oddEven.toFixed(1) + ' dB'}`,
+  ] : [
+    ...d.tones.map((t, i) => `F${i + 1}   ${t.freq.toFixed(1)} Hz  ${t.db.toFixed(1)} dBFS`),
+    `IMD ${d.mode.toUpperCase()} ${pct(d.imd)}  ${d.imdDb.toFixed(1)} dB`,
+  ];
+  c.textAlign = 'left'; c.font = '11px "Share Tech Mono", monospace';
+  const bw = 250, bx = w - pad.r - bw - 4;
+  c.fillStyle = 'rgba(10,16,22,0.85)'; c.fillRect(bx, pad.t + 4, bw, lines.length * 15 + 8);
+  c.fillStyle = '#c8d6e5';
+  lines.forEach((l, i) => c.fillText(l, bx + 8, pad.t + 18 + i * 15));
+}
+
+// ============================================================================
+// DRAW: TUNER (NEEDLE ±50 CENTS + STROBE)
+// ============================================================================
+
+const STROBE_SPEED = 6;           // px per second per cent of deviation
+const TUNER_PRESETS = OrdoAudio.tunerPresets;
+
+function drawTuner() {
+  if (!tunerCtx) return;
+  const c = tunerCtx, w = logW(dom.tunerCanvas), h = logH(dom.tunerCanvas), t = latestTuner;
+  const live = t && t.active, cents = live ? clampNum(t.cents, -50, 50) : 0;
+  const col = !live ? '#3a5060' : Math.abs(t.cents) <= 2 ? '#00ff88' : Math.abs(t.cents) <= 10 ? '#ffb300' : '#ff3b3b';
+  const now = performance.now(), dt = strobeLastT ? Math.min(0.1, (now - strobeLastT) / 1000) : 0;
+  strobeLastT = now;
+  c.clearRect(0, 0, w, h);
+  c.font = '9px "Share Tech Mono", monospace';
+
+  // Needle gauge
+  const gH = Math.round(h * 0.62), cx = w / 2, cy = gH - 6, r = Math.min(w * 0.42, gH - 24);
+  const ang = v => -Math.PI / 2 + v / 50 * (Math.PI / 3);
+  c.lineWidth = 6; c.strokeStyle = 'rgba(0,255,136,0.25)';
+  c.beginPath(); c.arc(cx, cy, r, ang(-2), ang(2)); c.stroke();
+  c.lineWidth = 1; c.textAlign = 'center';
+  for (let v = -50; v <= 50; v += 5) {
+    const a = ang(v), major = v % 10 === 0, l = major ? 10 : 5;
+    c.strokeStyle = v === 0 ? '#00ff88' : '#2a3a4a';
+    c.beginPath(); c.moveTo(cx + Math.cos(a) * r, cy + Math.sin(a) * r);
+    c.lineTo(cx + Math.cos(a) * (r - l), cy + Math.sin(a) * (r - l)); c.stroke();
+    if (major) { c.fillStyle = '#3a5060'; c.fillText(v > 0 ? '+' + v : v, cx + Math.cos(a) * (r + 10), cy + Math.sin(a) * (r + 10) + 3); }
+  }
+  c.strokeStyle = col; c.lineWidth = 2;
+  c.beginPath(); c.moveTo(cx, cy); c.lineTo(cx + Math.cos(ang(cents)) * (r - 4), cy + Math.sin(ang(cents)) * (r - 4)); c.stroke();
+  c.fillStyle = col; c.beginPath(); c.arc(cx, cy, 4, 0, Math.PI * 2); c.fill();
+
+  // Note, deviation and frequencies
+  c.font = `700 ${Math.round(r * 0.32)}px Orbitron, sans-serif`;
+  c.fillText(t && t.name !== '--' ? t.name : '--', cx, cy - r * 0.3);
+  c.font = '11px "Share Tech Mono", monospace';
+  c.fillText(live ? `${t.cents > 0 ? '+' : ''}${t.cents.toFixed(1)}¢` : '', cx, cy - r * 0.3 + 16);
+  c.textAlign = 'left'; c.fillStyle = '#6a8090';
+  if (t && t.frequency > 0) c.fillText(`${t.frequency.toFixed(2)} Hz → ${t.targetHz.toFixed(2)} Hz`, 4, 12);
+  c.fillText(`A4 ${ordo.options.referencePitch} Hz · ${ordo.options.temperament.toUpperCase()}${ordo.options.temperament === 'equal' ? '' : ' on ' + ordo.options.temperamentTonic}`, 4, 24);
+  const preset = ordo.options.tunerPreset && TUNER_PRESETS[ordo.options.tunerPreset];
+  if (preset) {
+    c.textAlign = 'right';
+    preset.forEach((s, i) => {
+      c.fillStyle = t && t.string && t.string.index === i ? col : '#3a5060';
+      c.fillText(s, w - 4 - (preset.length - 1 - i) * 28, 12);
+    });
+  }
+
+  // Strobe: bands at the fundamental, octave and double octave drift at a
+  // speed proportional to the deviation and stand still when in tune
+  const sTop = gH + 6, bandH = Math.max(10, (h - sTop - 4) / 3), stripe = 24;
+  strobeOffsets = strobeOffsets.map((o, k) => live ? (o + t.cents * (1 << k) * STROBE_SPEED * dt) % (2 * stripe) : o);
+  for (let k = 0; k < 3; k++) {
+    const y = sTop + k * bandH, p = stripe / (1 << k);
+    c.fillStyle = '#0a1016'; c.fillRect(0, y, w, bandH - 3);
+    c.fillStyle = live ? col : '#1a2a35';
+    c.globalAlpha = live ? 0.8 : 0.4;
+    for (let x = (strobeOffsets[k] % (2 * p)) - 2 * p; x < w; x += 2 * p) c.fillRect(x, y, p, bandH - 3);
+    c.globalAlpha = 1;
+  }
+}
+
+function clampNum(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
+
+// ============================================================================
+// DRAW: IMPULSE RESPONSE (ENVELOPE + SCHROEDER DECAY PER OCTAVE)
+// ============================================================================
+
+const IR_RANGE = 80;
+
+function drawIr(r) {
+  if (!irCtx) return;
+  const w = logW(dom.irCanvas), h = logH(dom.irCanvas);
+  const irH = Math.round(h * 0.4), dTop = irH + 8, dH = h - dTop;
+  irCtx.clearRect(0, 0, w, h);
+  irCtx.font = '9px "Share Tech Mono", monospace';
+  if (!r) {
+    irCtx.fillStyle = '#3a5060';
+    irCtx.fillText('MEASURE plays a sine sweep on the speakers — keep the room quiet', w / 2 - 150, h / 2);
+    return;
+  }
+  const sr = r.sampleRate, pre = r.broadband.onset - Math.max(0, r.broadband.onset - Math.round(0.005 * sr));
+  const tMax = Math.max(0.2, ...r.bands.map(b => b.decay.length / 1000), r.broadband.decay.length / 1000);
+  const tx = t => t / tMax * w;
+  const iy = db => -db / IR_RANGE * irH;
+  const dy = db => dTop - db / IR_RANGE * dH;
+  // Grid
+  irCtx.strokeStyle = 'rgba(255,255,255,0.04)';
+  irCtx.fillStyle   = '#2a3a4a';
+  const step = tMax > 2 ? 0.5 : tMax > 0.8 ? 0.2 : 0.1;
+  for (let t = step; t < tMax; t += step) {
+    irCtx.beginPath(); irCtx.moveTo(tx(t), 0); irCtx.lineTo(tx(t), h); irCtx.stroke();
+    irCtx.fillText(`${Math.round(t * 1000)} ms`, tx(t) + 2, h - 3);
+  }
+  for (let db = -20; db > -IR_RANGE; db -= 20) {
+    irCtx.beginPath(); irCtx.moveTo(0, iy(db)); irCtx.lineTo(w, iy(db)); irCtx.stroke();
+    irCtx.beginPath(); irCtx.moveTo(0, dy(db)); irCtx.lineTo(w, dy(db)); irCtx.stroke();
+    irCtx.fillText(`${db} dB`, 2, dy(db) - 2);
+  }
+  irCtx.strokeStyle = 'rgba(255,255,255,0.08)';
+  irCtx.beginPath(); irCtx.moveTo(0, dTop - 4); irCtx.lineTo(w, dTop - 4); irCtx.stroke();
+  // IR envelope: per-pixel peak in dB re the overall peak
+  let peak = 0;
+  for (let i = 0; i < r.ir.length; i++) peak = Math.max(peak, Math.abs(r.ir[i]));
+  irCtx.fillStyle = 'rgba(0,255,136,0.55)';
+  for (let x = 0; x < w; x++) {
+    const a = Math.round((x / w * tMax) * sr) + pre, b = Math.min(r.ir.length, Math.round(((x + 1) / w * tMax) * sr) + pre);
+    let m = 0;
+    for (let i = a; i < b; i++) m = Math.max(m, Math.abs(r.ir[i]));
+    if (!m) continue;
+    const db = Math.max(-IR_RANGE, 20 * Math.log10(m / peak));
+    irCtx.fillRect(x, iy(db), 1, irH - iy(db));
+  }
+  // Schroeder decay curves, 1 ms per point
+  const curve = (d, col, width) => {
+    irCtx.strokeStyle = col; irCtx.lineWidth = width;
+    irCtx.beginPath();
+    for (let i = 0; i < d.length; i++) {
+      const y = dy(Math.max(-IR_RANGE, d[i]));
+      i ? irCtx.lineTo(tx(i / 1000), y) : irCtx.moveTo(tx(i / 1000), y);
+    }
+    irCtx.stroke();
+  };
+  r.bands.forEach((b, i) => curve(b.decay, IR_COLORS[i % IR_COLORS.length], 1));
+  curve(r.broadband.decay, '#e2e8f0', 1.5);
+  irCtx.lineWidth = 1;
+  r.bands.forEach((b, i) => {
+    irCtx.fillStyle = IR_COLORS[i % IR_COLORS.length];
+    irCtx.fillText(b.center >= 1000 ? b.center / 1000 + 'k' : b.center, w - 30, dTop + 10 + i * 11);
+  });
+  irCtx.fillStyle = '#e2e8f0';
+  irCtx.fillText('BB', w - 30, dTop + 10 + r.bands.length * 11);
+}
+
+const IR_COLUMNS = [
+  ['EDT', 'edt', 2, 's'], ['T20', 't20', 2, 's'], ['T30', 't30', 2, 's'],
+  ['C50', 'c50', 1, 'dB'], ['C80', 'c80', 1, 'dB'], ['D50', 'd50', 2, ''], ['Ts', 'ts', 0, 'ms'], ['DR', 'dynamicRange', 0, 'dB'],
+];
+
+function irRows(r) {
+  return [
+    ...r.bands.map(b => [b.center >= 1000 ? b.center / 1000 + 'k' : String(b.center), b]),
+    ['BB', r.broadband],
+    ['Mid', { ...r.mid, dynamicRange: null }],
+  ];
+}
+
+function renderIrTable(r) {
+  if (!r) { dom.irTable.innerHTML = ''; return; }
+  const cell = (v, d) => v == null || !isFinite(v) ? '--' : v.toFixed(d);
+  dom.irTable.innerHTML =
+    `<tr><th>Hz</th>${IR_COLUMNS.map(c => `<th title="${c[3]}">${c[0]}</th>`).join('')}</tr>` +
+    irRows(r).map(([name, p]) => `<tr><td>${name}</td>${IR_COLUMNS.map(c => `<td>${cell(p[c[1]], c[2])}</td>`).join('')}</tr>`).join('');
 }
 
 // ============================================================================
@@ -334,6 +917,42 @@ function drawOscilloscope(timeData) {
   oscCtx.shadowBlur = 0;
 }
 
+// ============================================================================
+// DRAW: GONIOMETER / VECTORSCOPE (M vertical, S horizontal)
+// ============================================================================
+
+function drawGoniometer(left, right) {
+  if (!gonioCtx) return;
+  const w = logW(dom.gonioCanvas), h = logH(dom.gonioCanvas);
+  const cx = w / 2, cy = h / 2, r = Math.min(w, h) / 2 - 4;
+
+  // Phosphor persistence: fade the previous trace instead of clearing
+  gonioCtx.fillStyle = 'rgba(13,17,23,0.35)';
+  gonioCtx.fillRect(0, 0, w, h);
+
+  // Axes: M (vertical), S (horizontal), L and R diagonals
+  gonioCtx.strokeStyle = 'rgba(255,255,255,0.05)';
+  gonioCtx.lineWidth   = 1;
+  gonioCtx.beginPath();
+  gonioCtx.moveTo(cx, cy - r); gonioCtx.lineTo(cx, cy + r);
+  gonioCtx.moveTo(cx - r, cy); gonioCtx.lineTo(cx + r, cy);
+  gonioCtx.moveTo(cx - r * 0.7, cy - r * 0.7); gonioCtx.lineTo(cx + r * 0.7, cy + r * 0.7);
+  gonioCtx.moveTo(cx + r * 0.7, cy - r * 0.7); gonioCtx.lineTo(cx - r * 0.7, cy + r * 0.7);
+  gonioCtx.stroke();
+  gonioCtx.fillStyle = '#2a3a4a';
+  gonioCtx.font      = '8px monospace';
+  gonioCtx.fillText('L', cx - r * 0.7 - 2, cy - r * 0.7 - 2);
+  gonioCtx.fillText('R', cx + r * 0.7 - 2, cy - r * 0.7 - 2);
+
+  if (!left || !right) return;
+  gonioCtx.fillStyle = '#00ff88';
+  for (let i = 0; i < left.length; i += 2) {
+    const x = cx + (right[i] - left[i]) * Math.SQRT1_2 * r;
+    const y = cy - (left[i] + right[i]) * Math.SQRT1_2 * r;
+    gonioCtx.fillRect(x, y, 1, 1);
+  }
+}
+
 // ============================================================================
 // DRAW: SPECTROGRAM WATERFALL
 // ============================================================================
@@ -373,6 +992,102 @@ function spectColor(n) {
 // DRAW: LUFS HISTORY GRAPH
 // ============================================================================
 
+// Chord blocks over the last CHORD_WINDOW seconds, newest at the right edge
+function drawChordTimeline(now) {
+  if (!chordCtx) chordCtx = setupCanvas(dom.chordCanvas);
+  if (!chordCtx) return;
+  const w = logW(dom.chordCanvas), h = logH(dom.chordCanvas);
+  const tx = t => w - (now - t) / CHORD_WINDOW * w;
+  chordCtx.clearRect(0, 0, w, h);
+  chordCtx.font = '10px "Share Tech Mono", monospace';
+  chordCtx.textBaseline = 'middle';
+  chordTimeline.forEach(seg => {
+    if (seg.chord === 'N') return;
+    const x0 = Math.max(0, tx(seg.start)), x1 = tx(seg.end);
+    const col = CHORD_COLORS[seg.quality] || '#c8d6e5';
+    chordCtx.fillStyle = col + '33';
+    chordCtx.fillRect(x0, 3, Math.max(1, x1 - x0 - 1), h - 6);
+    chordCtx.fillStyle = col;
+    chordCtx.fillRect(x0, 3, 2, h - 6);
+    if (x1 - x0 > chordCtx.measureText(seg.chord).width + 6) chordCtx.fillText(seg.chord, x0 + 4, h / 2);
+  });
+}
+
+// Noise rating chart: octave-band Leq against a rating curve family, the rated curve
+// highlighted and the limiting band ringed. Also drawn off-screen for the report.
+const NR_FAMILIES = { nc: [15, 70, 5], nr: [10, 80, 10], rc: [25, 50, 5], ncb: [15, 70, 5] };
+const NR_DB_MIN = 0, NR_DB_MAX = 90;
+const nrHz = f => f >= 1000 ? f / 1000 + 'k' : String(f);
+
+function drawNoiseRating() {
+  if (!nrCtx) nrCtx = setupCanvas(dom.nrCanvas);
+  if (!nrCtx) return;
+  plotNoiseRating(nrCtx, logW(dom.nrCanvas), logH(dom.nrCanvas), latestNoiseRating, nrCurve);
+}
+
+function plotNoiseRating(c, w, h, nr, type) {
+  const x = i => 22 + i / 7 * (w - 48);
+  const y = db => h - 12 - (Math.max(NR_DB_MIN, Math.min(NR_DB_MAX, db)) - NR_DB_MIN) / (NR_DB_MAX - NR_DB_MIN) * (h - 18);
+  const bands = [63, 125, 250, 500, 1000, 2000, 4000, 8000];
+  c.clearRect(0, 0, w, h);
+  c.font = '8px "Share Tech Mono", monospace';
+  c.lineWidth = 1;
+  c.strokeStyle = '#1a2a35'; c.fillStyle = '#3a5060';
+  bands.forEach((f, i) => { c.beginPath(); c.moveTo(x(i), 4); c.lineTo(x(i), h - 12); c.stroke(); c.fillText(nrHz(f), x(i) - 6, h - 2); });
+  for (let db = 20; db < NR_DB_MAX; db += 20) c.fillText(db, 2, y(db) + 3);
+  const [lo, hi, step] = NR_FAMILIES[type], rated = nr ? nr[type].rating : null;
+  const curve = (levels, col) => {
+    c.strokeStyle = col;
+    c.beginPath(); levels.forEach((db, i) => i ? c.lineTo(x(i), y(db)) : c.moveTo(x(i), y(db))); c.stroke();
+  };
+  for (let r = lo; r <= hi; r += step) {
+    const lv = OrdoAudio.noiseCurve(type, r);
+    curve(lv, 'rgba(200,214,229,0.18)');
+    c.fillText(r, w - 22, y(lv[7]) + 3);
+  }
+  if (!nr) return;
+  c.lineWidth = 1.5;
+  if (rated != null) curve(OrdoAudio.noiseCurve(type, rated), '#f59e0b');
+  curve(nr.levels, '#00ff88');
+  c.fillStyle = '#00ff88';
+  nr.levels.forEach((db, i) => { c.beginPath(); c.arc(x(i), y(db), 2.5, 0, Math.PI * 2); c.fill(); });
+  const lim = bands.indexOf(nr[type].band);
+  if (lim >= 0) {
+    c.strokeStyle = '#ff3b3b';
+    c.beginPath(); c.arc(x(lim), y(nr.levels[lim]), 6, 0, Math.PI * 2); c.stroke();
+  }
+  c.lineWidth = 1;
+  c.fillStyle = '#f59e0b';
+  c.fillText(nr[type].string, 24, 12);
+}
+
+// B per key on a log scale (left) and the stretch curve in cents (right), A0–C8
+function drawInharmonicity() {
+  if (!inhCtx) inhCtx = setupCanvas(dom.inhCanvas);
+  if (!inhCtx) return;
+  const c = inhCtx, w = logW(dom.inhCanvas), h = logH(dom.inhCanvas);
+  const x = m => 4 + (m - 21) / 87 * (w - 8);
+  const yB = b => h - 4 - (Math.log10(b) + 5) / 4 * (h - 8);           // 1e-5 … 1e-1
+  const yC = ct => h / 2 - Math.max(-40, Math.min(40, ct)) / 40 * (h / 2 - 4); // ±40 cents
+  c.clearRect(0, 0, w, h);
+  c.font = '8px "Share Tech Mono", monospace';
+  c.strokeStyle = '#1a2a35'; c.fillStyle = '#3a5060'; c.lineWidth = 1;
+  for (let m = 24; m <= 108; m += 12) {
+    c.beginPath(); c.moveTo(x(m), 0); c.lineTo(x(m), h); c.stroke();
+    c.fillText(`C${m / 12 - 1}`, x(m) + 2, h - 2);
+  }
+  c.beginPath(); c.moveTo(0, h / 2); c.lineTo(w, h / 2); c.stroke();
+  c.fillText('+40¢', w - 26, 9);
+  if (!inhTable.length) return;
+  const curve = OrdoAudio.stretchCurve(inhTable, { reference: ordo.options.referencePitch });
+  c.strokeStyle = 'rgba(200,214,229,0.35)';
+  c.beginPath(); curve.forEach((k, i) => i ? c.lineTo(x(k.midi), yB(k.fittedB)) : c.moveTo(x(k.midi), yB(k.fittedB))); c.stroke();
+  c.strokeStyle = '#22d3ee';
+  c.beginPath(); curve.forEach((k, i) => i ? c.lineTo(x(k.midi), yC(k.cents)) : c.moveTo(x(k.midi), yC(k.cents))); c.stroke();
+  c.fillStyle = '#00ff88';
+  inhTable.forEach(k => { c.beginPath(); c.arc(x(k.midi), yB(k.B), 2.5, 0, Math.PI * 2); c.fill(); });
+}
+
 function drawLufsHistory() {
   if (!lufsHistCtx || lufsHistory.length < 2) return;
   const w = logW(dom.lufsHistCanvas), h = logH(dom.lufsHistCanvas);
@@ -414,7 +1129,59 @@ function drawLufsHistory() {
 }
 
 // ============================================================================
-// MAIN UI UPDATE — runs every frame
+// FRAME TRACKING — runs for every analysis frame, even in background tabs
+// ============================================================================
+
+function onFrame(data) {
+  latestFrame = data;
+
+  if (data.dcOffset && data.dcOffset.hasIssue) addEvent('dc', `DC offset: ${(data.dcOffset.dcOffset * 1000).toFixed(2)} mV (${data.dcOffset.severity})`);
+  if (data.clipping && data.clipping.isClipping) addEvent('clip', `Clip at ${data.clipping.peakDb.toFixed(1)} dBFS`);
+  if (data.truePeak && data.truePeak.newOvers) addEvent('tp', `True peak ${data.truePeak.truePeak.toFixed(1)} dBTP over ${data.truePeak.ceiling.toFixed(1)} ceiling`);
+  if (data.feedback && data.feedback.isFeedbackRisk) {
+    const rings = data.feedback.candidates.filter(c => c.flagged);
+    addEvent('feedback', `Feedback ring @ ${rings.map(c => `${c.frequency.toFixed(1)} Hz (${c.note.name}, ${Math.round(c.confidence * 100)}%)`).join(', ')}`);
+  }
+
+  // ---- Metric Logger ----
+  if (isLogging && data.dynamics && data.lufs) {
+    const entry = {
+      ts:         ((Date.now() - logStartTime) / 1000).toFixed(1),
+      rmsDb:      data.dynamics.rmsDb.toFixed(2),
+      peakDb:     data.clipping ? data.clipping.peakDb.toFixed(2) : '',
+      lufsM:      isFinite(data.lufs.momentary) ? data.lufs.momentary.toFixed(2) : '',
+      lufsS:      isFinite(data.lufs.shortTerm) ? data.lufs.shortTerm.toFixed(2) : '',
+      lufsI:      isFinite(data.lufs.integrated)? data.lufs.integrated.toFixed(2): '',
+      lra:        data.lufs.lra.toFixed(2),
+      thd:        data.thd ? data.thd.thd.toFixed(2) : '',
+      snr:        data.snr && !data.snr.calibrating ? data.snr.snr.toFixed(1) : '',
+      pitch:      data.pitch && data.pitch.frequency > 0 ? data.pitch.frequency.toFixed(1) : '',
+      note:       data.pitch ? data.pitch.note.name : '',
+      bpm:        data.onset ? data.onset.bpm : '',
+      key:        data.chroma ? data.chroma.keyString : '',
+      chord:      data.chord ? data.chord.chord : '',
+      laeq:       data.slm && isFinite(data.slm.LAeq) ? data.slm.LAeq.toFixed(1) : '',
+      crestFactor: data.dynamics.crestFactor.toFixed(2),
+      clipping:   data.clipping && data.clipping.isClipping ? '1' : '0',
+      feedback:   data.feedback && data.feedback.isFeedbackRisk ? '1' : '0',
+    };
+    // Sub-sample: only log ~1 entry per second
+    if (!metricLog.length || parseFloat(entry.ts) - parseFloat(metricLog[metricLog.length-1].ts) >= 1.0) {
+      metricLog.push(entry);
+      dom.logCount.textContent = metricLog.length;
+    }
+  }
+}
+
+function renderLoop() {
+  if (!isActive) return;
+  if (latestFrame) { updateUI(latestFrame); latestFrame = null; }
+  if (mainView === 'tuner') drawTuner();
+  renderFrameId = requestAnimationFrame(renderLoop);
+}
+
+// ============================================================================
+// MAIN UI UPDATE — runs every rendered frame with the latest result
 // ============================================================================
 
 let frameSkip = 0; // skip every-other LUFS history update to reduce load
@@ -435,6 +1202,19 @@ function updateUI(data) {
   dom.meterLevel.style.width = (levelNorm * 100) + '%';
   dom.meterLevel.className   = 'level-bar ' + (levelNorm > 0.9 ? 'danger' : levelNorm > 0.7 ? 'warn' : '');
 
+  // ---- Per-channel L/R ----
+  if (data.stereo) {
+    const { left, right } = data.stereo;
+    const lrN = d => Math.max(0, Math.min(1, (d + 60) / 60)) * 100;
+    dom.meterL.style.width = lrN(left.rmsDb)  + '%';
+    dom.meterR.style.width = lrN(right.rmsDb) + '%';
+    dom.valL.textContent   = isFinite(left.rmsDb)  ? left.rmsDb.toFixed(1)  : '-∞';
+    dom.valR.textContent   = isFinite(right.rmsDb) ? right.rmsDb.toFixed(1) : '-∞';
+    dom.valBalance.textContent = data.stereo.balanceString;
+    const tp = Math.max(left.truePeak, right.truePeak);
+    dom.valTpLr.textContent = isFinite(tp) ? tp.toFixed(1) : '--';
+  }
+
   // ---- Pitch ----
   if (data.pitch) {
     const f = data.pitch.frequency, n = data.pitch.note;
@@ -446,15 +1226,42 @@ function updateUI(data) {
   // ---- BPM ----
   if (data.onset) {
     dom.valBpm.textContent     = data.onset.bpm > 0 ? data.onset.bpm : '--';
-    dom.valBpmConf.textContent = data.onset.bpm > 0
-      ? `${Math.round(data.onset.confidence * 100)}% conf`
-      : 'tracking...';
+    const conf = data.onset.bpm > 0 ? `${Math.round(data.onset.confidence * 100)}% conf` : 'tracking...';
+    const tap  = tapBpm > 0 ? ` · tap ${tapBpm.toFixed(1)}${data.onset.bpm > 0 ? ` (${tapBpm >= data.onset.bpmRaw ? '+' : ''}${(tapBpm - data.onset.bpmRaw).toFixed(1)})` : ''}` : '';
+    dom.valBpmConf.textContent = conf + tap;
+  }
+
+  // ---- Chord ----
+  if (data.chord) {
+    const c = data.chord;
+    dom.chordVal.textContent = c.chord === 'N' ? '--' : c.chord;
+    dom.chordAlt.textContent = c.candidates.filter(x => x.name !== c.chord).slice(0, 2)
+      .map(x => `${x.name} ${x.score.toFixed(2)}`).join(' · ');
+    const last = chordTimeline[chordTimeline.length - 1];
+    if (!last || last.chord !== c.chord) chordTimeline.push({ chord: c.chord, quality: c.quality, start: c.since, end: data.time });
+    else last.end = data.time;
+    while (chordTimeline.length && chordTimeline[0].end < data.time - CHORD_WINDOW) chordTimeline.shift();
+    drawChordTimeline(data.time);
+  }
+
+  // ---- Piano inharmonicity ----
+  if (data.inharmonicity) {
+    const ih = data.inharmonicity;
+    if (ih.B > 0) {
+      dom.inhVal.textContent = `${ih.note} · B ${ih.B.toExponential(2)}`;
+      dom.inhSub.textContent = `${ih.partials.length} partials · fit ±${ih.residual.toFixed(1)}¢` +
+        (ih.keyCount ? ` · key B ${ih.keyB.toExponential(2)} (${ih.keyCount} fits)` : '');
+    }
+    if (ih.table.length !== inhTable.length || ih.keyCount) { inhTable = ih.table; drawInharmonicity(); }
   }
 
   // ---- Key ----
   if (data.chroma) {
     dom.valKey.textContent     = data.chroma.key;
     dom.valKeyMode.textContent = data.chroma.mode;
+    dom.valKeySub.textContent  = `${Math.round(data.chroma.confidence * 100)}% · ${data.chroma.profile}`;
+    dom.keyRanking.textContent = data.chroma.keys.slice(0, 4)
+      .map(k => `${k.keyString} ${Math.round(k.confidence * 100)}%`).join(' · ');
     const keyIdx = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'].indexOf(data.chroma.key);
     data.chroma.chroma.forEach((val, i) => {
       if (dom.chromaBars[i]) {
@@ -489,6 +1296,7 @@ function updateUI(data) {
     const tp = data.truePeak.truePeakHold;
     dom.truePeakVal.textContent = (isFinite(tp) ? tp.toFixed(1) : '-∞') + ' dBTP';
     dom.truePeakVal.className   = 'diag-cell-value' + (data.truePeak.isOver ? ' text-red' : '');
+    dom.tpOvers.textContent     = data.truePeak.overs;
     setLed(dom.ledTpInline, data.truePeak.isOver ? 'red' : '');
     setLed(dom.ledTp,       data.truePeak.isOver ? 'red' : '');
     setPill(dom.pillTp,     data.truePeak.isOver ? 'danger' : '');
@@ -541,9 +1349,8 @@ function updateUI(data) {
     dom.thdVal.textContent = data.thd.thdString;
     dom.thdVal.className   = 'metric-value ' + (data.thd.thd > 5 ? 'red' : data.thd.thd > 1 ? 'amber' : '');
     dom.harmonicBars.forEach((bar, i) => {
-      if (i < data.thd.harmonics.length) {
-        bar.style.height = (Math.max(0, Math.min(1, (data.thd.harmonics[i].db + 80) / 60)) * 100) + '%';
-      }
+      const h = data.thd.harmonics[i];
+      bar.style.height = (h ? Math.max(0, Math.min(1, (h.db + 100) / 100)) * 100 : 0) + '%';
     });
   }
 
@@ -565,7 +1372,6 @@ function updateUI(data) {
     dom.dcSeverity.textContent = data.dcOffset.severity.toUpperCase();
     dom.dcSeverity.className   = 'metric-value ' + (data.dcOffset.severity === 'critical' ? 'red' : data.dcOffset.severity === 'warning' ? 'amber' : '');
     setAlert(dom.alertDc, data.dcOffset.hasIssue, 'amber');
-    if (data.dcOffset.hasIssue) addEvent('dc', `DC offset: ${(data.dcOffset.dcOffset * 1000).toFixed(2)} mV (${data.dcOffset.severity})`);
   }
 
   // ---- Phase ----
@@ -576,7 +1382,7 @@ function updateUI(data) {
   }
 
   // ---- RT60 ----
-  if (data.rt60) dom.rt60Val.textContent = data.rt60.rt60String;
+  if (data.rt60) { dom.rt60Val.textContent = data.rt60.rt60String; if (data.rt60.rt60) liveRt60 = data.rt60.rt60; }
 
   // ---- Clipping ----
   if (data.clipping) {
@@ -584,7 +1390,6 @@ function updateUI(data) {
     setLed(dom.ledClip, c ? 'red blink' : '');
     setPill(dom.pillClip, c ? 'danger' : '');
     setAlert(dom.alertClip, c, 'red');
-    if (data.clipping.isClipping) addEvent('clip', `Clip at ${data.clipping.peakDb.toFixed(1)} dBFS`);
   }
 
   // ---- Feedback ----
@@ -593,11 +1398,10 @@ function updateUI(data) {
     setLed(dom.ledFdbk, f ? 'amber' : '');
     setPill(dom.pillFdbk, f ? 'warn' : '');
     setAlert(dom.alertFdbk, f, 'amber');
-    if (f && data.feedback.notchSuggestion) {
-      const ns = data.feedback.notchSuggestion;
-      dom.alertFdbkFreq.textContent = ns.frequency.toFixed(1) + ' Hz';
-      dom.alertFdbkNote.textContent = ns.note.name || '--';
-      addEvent('feedback', `Feedback ring @ ${ns.frequency.toFixed(1)} Hz (${ns.note.name})`);
+    if (f) {
+      const rings = data.feedback.candidates.filter(c => c.flagged);
+      dom.alertFdbkFreq.textContent = rings.map(c => c.frequency.toFixed(1)).join(' · ');
+      dom.alertFdbkNote.textContent = rings.map(c => c.note.name).join(' · ');
     }
   }
 
@@ -611,12 +1415,78 @@ function updateUI(data) {
       modes.forEach((mode, i) => {
         const div = document.createElement('div');
         div.className = `mode-item ${i === 0 ? 'critical' : 'warning'}`;
-        div.innerHTML = `<span class="mode-freq">${mode.freq.toFixed(0)} Hz</span><span class="mode-db">${mode.db.toFixed(1)} dB</span>`;
+        const idx = mode.mode ? `<span class="mode-idx ${mode.mode.type}" title="${mode.mode.type} mode at ${mode.mode.freq.toFixed(1)} Hz">(${mode.mode.indices.join(',')})</span>`
+          : data.standingWaves.predicted ? '<span class="mode-idx" title="No predicted mode nearby">?</span>' : '';
+        div.innerHTML = `<span class="mode-freq">${mode.freq.toFixed(0)} Hz</span>${idx}<span class="mode-db">${mode.db.toFixed(1)} dB</span>`;
         dom.modesContainer.appendChild(div);
       });
     }
   }
 
+  // ---- Noise rating ----
+  if (data.noiseRating) {
+    const nr = latestNoiseRating = data.noiseRating;
+    ['nc', 'nr', 'rc', 'ncb'].forEach(k => {
+      dom.nrVals[k].textContent  = nr[k].string;
+      dom.nrBands[k].textContent = nr[k].band ? `limit ${nrHz(nr[k].band)} Hz` : '--';
+    });
+    dom.nrBands.rc.title = `QAI ${nr.rc.qai.toFixed(1)} dB`;
+    dom.nrSub.textContent = `Leq ${nr.duration.toFixed(0)} s` + (nr.calibrated ? '' : ' · uncalibrated: calibrate the SLM for dB SPL');
+    drawNoiseRating();
+  }
+
+  // ---- Timbre classifier ----
+  if (data.timbre) renderTimbre(latestTimbre = data.timbre);
+
+  // ---- STIPA ----
+  if (data.stipa) renderStipa(latestStipa = data.stipa);
+
+  // ---- Feedback suppressor bank ----
+  if (ordo.suppressor) renderFbsBank();
+
+  // ---- Transfer function readout ----
+  if (data.transfer) {
+    const t = data.transfer;
+    dom.tfDelay.textContent = t.delayFound ? `${t.delayMs.toFixed(2)} ms · ${(t.delayMs * 0.343).toFixed(2)} m` : 'searching…';
+    dom.tfAvg.textContent   = `${t.averages} avg · ${t.binHz.toFixed(1)} Hz res`;
+  }
+
+  // ---- Sound level meter ----
+  if (data.slm) {
+    const s = data.slm, f = v => isFinite(v) ? v.toFixed(1) : '--';
+    dom.slmLabel.textContent    = s.statsBasis;
+    dom.slmUnit.textContent     = s.calibrated ? 'dB SPL' : 'dBFS (uncalibrated)';
+    dom.slmLevel.textContent    = f(s.level);
+    dom.slmDuration.textContent = `${Math.floor(s.duration / 60)}:${String(Math.floor(s.duration % 60)).padStart(2, '0')}`;
+    dom.slmLaeq.textContent     = f(s.LAeq);
+    dom.slmLceq.textContent     = f(s.LCeq);
+    dom.slmLcpeak.textContent   = f(s.LCpeak);
+    dom.slmLafmax.textContent   = f(s.LAFmax);
+    dom.slmLafmin.textContent   = f(s.LAFmin);
+    dom.slmMaxLabel.textContent = s.statsBasis + 'max';
+    dom.slmMax.textContent      = f(s.max[s.weighting][s.timeWeighting]);
+    dom.slmL10Label.textContent = s.statsBasis + '10';
+    dom.slmL50Label.textContent = s.statsBasis + '50';
+    dom.slmL90Label.textContent = s.statsBasis + '90';
+    dom.slmL10.textContent      = f(s.L10);
+    dom.slmL50.textContent      = f(s.L50);
+    dom.slmL90.textContent      = f(s.L90);
+  }
+
+  // ---- Active FFT window (levels are already corrected for it) ----
+  if (data.window && dom.winProps) {
+    const w = data.window;
+    dom.winProps.textContent = `CG ${w.coherentGainDb.toFixed(2)} dB · ENBW ${w.enbwBins.toFixed(2)} bins (${w.enbwHz.toFixed(1)} Hz) · scallop ${w.scallopLossDb.toFixed(2)} dB`;
+  }
+
+  // ---- Module cost (smoothed ms per frame) ----
+  if (data.diagnostics && dom.moduleCostContainer) {
+    const costs = Object.entries(data.diagnostics.moduleMs || {}).sort((a, b) => b[1] - a[1]).slice(0, 8);
+    dom.pipelineThread.textContent = `${data.diagnostics.worker ? 'WORKER' : 'MAIN THREAD'} · ${data.diagnostics.processingTimeMs.toFixed(1)} ms`;
+    dom.moduleCostContainer.innerHTML = costs.map(([name, ms]) =>
+      `<div class="mode-item"><span class="mode-db">${name}</span><span class="mode-db">${ms.toFixed(2)} ms</span></div>`).join('');
+  }
+
   // ---- Session Stats (sidebar) ----
   const ss = ordo.session;
   const fmt = s => { const m = Math.floor(s/60); return `${m}:${String(Math.floor(s%60)).padStart(2,'0')}`; };
@@ -625,36 +1495,15 @@ function updateUI(data) {
   dom.statLufsAvg.textContent = isFinite(ss.averageLufs) ? ss.averageLufs.toFixed(1) + ' L' : '--';
   dom.statClips.textContent   = ss.totalClipEvents;
 
-  // ---- Metric Logger ----
-  if (isLogging && data.dynamics && data.lufs) {
-    const entry = {
-      ts:         ((Date.now() - logStartTime) / 1000).toFixed(1),
-      rmsDb:      data.dynamics.rmsDb.toFixed(2),
-      peakDb:     data.clipping ? data.clipping.peakDb.toFixed(2) : '',
-      lufsM:      isFinite(data.lufs.momentary) ? data.lufs.momentary.toFixed(2) : '',
-      lufsS:      isFinite(data.lufs.shortTerm) ? data.lufs.shortTerm.toFixed(2) : '',
-      lufsI:      isFinite(data.lufs.integrated)? data.lufs.integrated.toFixed(2): '',
-      lra:        data.lufs.lra.toFixed(2),
-      thd:        data.thd ? data.thd.thd.toFixed(2) : '',
-      snr:        data.snr && !data.snr.calibrating ? data.snr.snr.toFixed(1) : '',
-      pitch:      data.pitch && data.pitch.frequency > 0 ? data.pitch.frequency.toFixed(1) : '',
-      note:       data.pitch ? data.pitch.note.name : '',
-      bpm:        data.onset ? data.onset.bpm : '',
-      key:        data.chroma ? data.chroma.keyString : '',
-      crestFactor: data.dynamics.crestFactor.toFixed(2),
-      clipping:   data.clipping && data.clipping.isClipping ? '1' : '0',
-      feedback:   data.feedback && data.feedback.isFeedbackRisk ? '1' : '0',
-    };
-    // Sub-sample: only log ~1 entry per second
-    if (!metricLog.length || parseFloat(entry.ts) - parseFloat(metricLog[metricLog.length-1].ts) >= 1.0) {
-      metricLog.push(entry);
-      dom.logCount.textContent = metricLog.length;
-    }
-  }
-
   // ---- Draw canvases ----
-  if (data.rta) drawRta(data.rta);
+  if (data.tuner) latestTuner = data.tuner;
+  if (data.thd) latestThd = data.thd;
+  if (data.transfer) latestTransfer = data.transfer;
+  if (mainView === 'tf') drawTransfer(latestTransfer);
+  else if (mainView === 'dist') drawDistortion(latestThd);
+  else if (data.rta) drawRta(data.rta);
   drawOscilloscope(data.raw.timeData);
+  drawGoniometer(data.raw.left, data.raw.right);
   updateSpectrogram(data.raw.freqData, data.sampleRate, data.fftSize);
 }
 
@@ -706,19 +1555,36 @@ async function startEngine() {
     dom.powerBtnText.textContent = 'STARTING';
     dom.powerBtn.disabled = true;
 
-    ordo.use(...OrdoAudio.modules);
+    ordo.use(...OrdoAudio.defaultModules);
     await ordo.init('microphone');
 
-    ordo.on('frame', updateUI);
+    ordo.on('frame', onFrame);
     ordo.on('error', err => { showError('Engine error: ' + err.message); stopEngine(); });
+    ordo.on('beat', showBeat);
+    ordo.on('key', k => {
+      if (k.previous) addEvent('info', `Key change ${k.previous} → ${k.keyString} at ${k.since.toFixed(1)} s`);
+    });
+    ordo.on('timbreCapture', c => { addEvent('info', `Timbre "${c.label}" captured (${c.snippet.frames} frames)`); renderTimbreClasses(); });
+    ordo.on('stipa', s => {
+      ordo.disable('stipa');   // measurement mode: the result holds until the next MEASURE
+      addEvent('info', s.valid ? `STIPA ${s.sti.toFixed(2)} (${s.category})${s.noiseCorrected ? ', noise corrected' : ''}` : `STIPA invalid: ${STIPA_INVALID[s.invalid]}`);
+    });
+    ordo.on('inharmonicity', ih => addEvent('info', `${ih.note} measured: B ${ih.keyB.toExponential(2)}`));
+    ordo.on('notch', e => {
+      if (e.action === 'add')    addEvent('feedback', `Notch ${e.index + 1} at ${e.notch.frequency.toFixed(1)} Hz (${e.notch.type})`);
+      if (e.action === 'deepen') addEvent('feedback', `Notch ${e.index + 1} deepened to ${e.notch.gain} dB`);
+    });
 
     ordo.start();
     isActive      = true;
+    latestFrame   = null;
+    renderFrameId = requestAnimationFrame(renderLoop);
     lufsHistory   = [];
+    chordTimeline = [];
     peakDbHold    = -Infinity;
     peakHoldFrames = 0;
-    rtaPeakHold   = new Float32Array(31).fill(0);
-    rtaPeakHoldFrames = new Float32Array(31).fill(0);
+    rtaPeakHold   = new Float32Array(0);
+    rtaPeakHoldFrames = new Float32Array(0);
 
     dom.powerBtn.classList.add('active');
     dom.powerBtnText.textContent = 'STOP';
@@ -729,7 +1595,8 @@ async function startEngine() {
     setPill(dom.pillStatus, 'active');
     dom.pillStatusLabel.textContent = 'LIVE';
 
-    addEvent('info', 'Engine started');
+    addEvent('info', `Engine started (${ordo.captureMode === 'worklet' ? 'gapless AudioWorklet' : 'AnalyserNode'} capture, analysis on ${ordo.diagnostics.worker ? 'worker' : 'main thread'})`);
+    applyMicSensitivity();
     setTimeout(initCanvases, 80);
 
   } catch (err) {
@@ -747,9 +1614,13 @@ function stopEngine() {
   if (isRecording) stopRecording();
   if (isLogging)   stopLogging();
   stopTestTone();
+  setSuppressor('off');
+  if (timbreCapturing) dom.timbreCaptureBtn.click();   // keep what was captured
 
   ordo.destroy();
   isActive = false;
+  if (renderFrameId) { cancelAnimationFrame(renderFrameId); renderFrameId = null; }
+  latestFrame = null;
 
   dom.powerBtn.classList.remove('active');
   dom.powerBtnText.textContent = 'INIT ENG';
@@ -762,7 +1633,7 @@ function stopEngine() {
   dom.pillStatusLabel.textContent = 'STANDBY';
 
   // Clear canvases
-  [dom.rtaCanvas, dom.oscCanvas, dom.spectCanvas].forEach(c => {
+  [dom.rtaCanvas, dom.oscCanvas, dom.gonioCanvas, dom.spectCanvas].forEach(c => {
     const ctx = c.getContext('2d');
     if (ctx) ctx.clearRect(0, 0, c.width, c.height);
   });
@@ -773,6 +1644,11 @@ function stopEngine() {
   dom.valLevel.textContent = '-∞';
   dom.valFreq.textContent  = '--'; dom.valNote.textContent = '--';
   dom.valBpm.textContent   = '--'; dom.valKey.textContent  = '--';
+  dom.beatDots.forEach(d => d.classList.remove('on', 'flash'));
+  dom.valKeySub.textContent = 'Chromagram analysis'; dom.keyRanking.textContent = '';
+  dom.valL.textContent     = '-∞'; dom.valR.textContent    = '-∞';
+  dom.meterL.style.width   = '0%'; dom.meterR.style.width  = '0%';
+  dom.valBalance.textContent = '--'; dom.valTpLr.textContent = '--';
 
   addEvent('info', 'Engine stopped');
 }
@@ -898,6 +1774,16 @@ function exportHtmlReport() {
       })()
     : '';
 
+  // Noise rating chart drawn off-screen, so the Diag tab need not be open
+  const nr = latestNoiseRating;
+  const sti = latestStipa;
+  const nrImg = nr ? (() => {
+    const cv = document.createElement('canvas');
+    cv.width = 640; cv.height = 220;
+    plotNoiseRating(cv.getContext('2d'), 640, 220, nr, nrCurve);
+    return cv.toDataURL('image/png');
+  })() : '';
+
   const eventRows = eventLog.map(e =>
     `<tr><td>${e.wallTime}</td><td class="${e.type}">${e.type.toUpperCase()}</td><td>${e.msg}</td></tr>`
   ).join('');
@@ -947,6 +1833,35 @@ function exportHtmlReport() {
   <div class="stat"><div class="stat-label">Est. BPM</div><div class="stat-value">${ss.dominantBpm || '--'}</div></div>
 </div>
 
+${ss.keyChanges.length ? `<h2>Key Changes</h2>
+<table><thead><tr><th>Stream Time</th><th>From</th><th>To</th></tr></thead>
+<tbody>${ss.keyChanges.map(k => `<tr><td>${k.time.toFixed(1)} s</td><td>${k.from}</td><td>${k.to}</td></tr>`).join('')}</tbody></table>` : ''}
+
+${nr ? `<h2>Noise Rating — Octave-Band Leq over ${nr.duration.toFixed(0)} s${nr.calibrated ? '' : ' (uncalibrated)'}</h2>
+<div class="stats">${['nc', 'nr', 'rc', 'ncb'].map(k =>
+  `<div class="stat"><div class="stat-label">${nr[k].band ? `Limiting band ${nrHz(nr[k].band)} Hz` : k.toUpperCase()}</div><div class="stat-value">${nr[k].string}</div></div>`).join('')}</div>
+<table><thead><tr><th>Band (Hz)</th>${nr.bands.map(f => `<th>${f}</th>`).join('')}</tr></thead>
+<tbody><tr><td>Leq dB</td>${nr.levels.map(v => `<td>${fmt(v)}</td>`).join('')}</tr>
+<tr><td>NC</td>${nr.nc.perBand.map(v => `<td>${fmt(v)}</td>`).join('')}</tr>
+<tr><td>NR</td>${nr.nr.perBand.map(v => `<td>${fmt(v)}</td>`).join('')}</tr>
+<tr><td>RC deviation dB</td>${nr.rc.deviations.map(v => `<td>${fmt(v)}</td>`).join('')}</tr></tbody></table>
+<div class="meta" style="margin:6px 0">RC Mark II quality index ${fmt(nr.rc.qai)} dB · NCB speech interference level ${fmt(nr.ncb.sil)} dB</div>
+<img class="rta-img" src="${nrImg}" alt="Noise rating">` : ''}
+
+${sti ? `<h2>Speech Transmission Index — STIPA over ${sti.duration.toFixed(0)} s${sti.complete ? '' : ' (incomplete)'}</h2>
+<div class="stats">
+  <div class="stat"><div class="stat-label">STI</div><div class="stat-value">${sti.valid ? sti.sti.toFixed(2) : 'Invalid'}</div></div>
+  <div class="stat"><div class="stat-label">Category</div><div class="stat-value">${sti.valid ? sti.category : '--'}</div></div>
+  <div class="stat"><div class="stat-label">Noise Correction</div><div class="stat-value">${sti.noiseCorrected ? 'Yes' : 'No'}</div></div>
+  <div class="stat"><div class="stat-label">Masking / Threshold</div><div class="stat-value">${sti.calibrated ? 'Applied' : 'Uncalibrated'}</div></div>
+</div>
+<table><thead><tr><th>Band (Hz)</th>${sti.bands.map(f => `<th>${f}</th>`).join('')}</tr></thead>
+<tbody><tr><td>Level dB</td>${sti.levels.map(v => `<td>${fmt(v)}</td>`).join('')}</tr>
+<tr><td>m (f1)</td>${sti.m.map(p => `<td>${fmt2(p[0])}</td>`).join('')}</tr>
+<tr><td>m (f2)</td>${sti.m.map(p => `<td>${fmt2(p[1])}</td>`).join('')}</tr>
+<tr><td>MTI</td>${sti.mti.map(v => `<td>${fmt2(v)}</td>`).join('')}</tr></tbody></table>
+${sti.valid ? '' : `<div class="meta" style="margin:6px 0">Measurement invalid: ${STIPA_INVALID[sti.invalid]}. No qualification band is given.</div>`}` : ''}
+
 ${rtaBandSnapshot ? `<h2>RTA Snapshot</h2><img class="rta-img" src="${rtaBandSnapshot}" alt="RTA">` : ''}
 
 <h2>Event Log (${eventLog.length} events)</h2>
@@ -977,6 +1892,62 @@ function exportRtaSnapshot() {
   }, 'image/png');
 }
 
+// ============================================================================
+// EXPORT: IMPULSE RESPONSE (WAV + PARAMETER CSV)
+// ============================================================================
+
+function exportIrWav() {
+  if (!irResult) { alert('No impulse response measured yet.'); return; }
+  const blob = new Blob([OrdoAudio.encodeWav(irResult.ir, irResult.sampleRate)], { type: 'audio/wav' });
+  const ts = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+  triggerDownload(URL.createObjectURL(blob), `impulse-response_${ts}.wav`);
+  addEvent('info', 'Impulse response exported (WAV)');
+}
+
+function exportInharmonicityCsv() {
+  if (!inhTable.length) { alert('No keys measured yet.'); return; }
+  const rows = ['key,midi,measured_b,fitted_b,stretch_cents,target_hz',
+    ...OrdoAudio.stretchCurve(inhTable, { reference: ordo.options.referencePitch }).map(k =>
+      [k.name, k.midi, k.B == null ? '' : k.B.toExponential(3), k.fittedB.toExponential(3), k.cents.toFixed(1), k.hz.toFixed(2)].join(','))];
+  const ts = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+  triggerDownload('data:text/csv;charset=utf-8,' + encodeURIComponent(rows.join('\n')), `stretch-tuning_${ts}.csv`);
+  addEvent('info', `Stretch tuning exported (${inhTable.length} keys measured)`);
+}
+
+function exportTfCsv() {
+  const vis = tfTraces.filter(tr => tr.visible);
+  if (!vis.length) { alert('No visible traces to export.'); return; }
+  const rows = [['freq_hz', ...vis.flatMap(tr => [`${tr.name} db`, `${tr.name} deg`, `${tr.name} coherence`])].join(',')];
+  vis[0].freqs.forEach((f, i) => rows.push([f.toFixed(2),
+    ...vis.flatMap(tr => [isFinite(tr.magnitude[i]) ? tr.magnitude[i].toFixed(2) : '', tr.phase[i].toFixed(1), tr.coherence[i].toFixed(3)])].join(',')));
+  const ts = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+  triggerDownload('data:text/csv;charset=utf-8,' + encodeURIComponent(rows.join('\n')), `frequency-response_${ts}.csv`);
+  addEvent('info', `Frequency response exported (${vis.length} trace${vis.length > 1 ? 's' : ''}, CSV)`);
+}
+
+// FRD (frequency, dB, degrees; '*' comments) as read by loudspeaker and crossover design tools
+function exportTfFrd() {
+  const tr = tfTraces.filter(t => t.visible).pop();
+  if (!tr) { alert('No visible traces to export.'); return; }
+  const rows = [`* ${tr.name}`, `* Acoustic Field Pro, ${new Date().toISOString().slice(0, 19)}`, '* Freq(Hz) SPL(dB) Phase(deg)'];
+  tr.freqs.forEach((f, i) => { if (isFinite(tr.magnitude[i])) rows.push(`${f.toFixed(2)} ${tr.magnitude[i].toFixed(3)} ${tr.phase[i].toFixed(2)}`); });
+  const ts = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+  triggerDownload('data:text/plain;charset=utf-8,' + encodeURIComponent(rows.join('\n')), `${tr.name.replace(/\W+/g, '-')}_${ts}.frd`);
+  addEvent('info', `Frequency response exported (${tr.name}, FRD)`);
+}
+
+function exportIrCsv() {
+  if (!irResult) { alert('No impulse response measured yet.'); return; }
+  const cell = v => v == null || !isFinite(v) ? '' : +v.toFixed(3);
+  const rows = [
+    ['band', ...IR_COLUMNS.map(c => c[0] + (c[3] ? ` (${c[3]})` : ''))].join(','),
+    ...irRows(irResult).map(([name, p]) => [name, ...IR_COLUMNS.map(c => cell(p[c[1]]))].join(',')),
+  ];
+  const ts = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+  triggerDownload('data:text/csv;charset=utf-8,' + encodeURIComponent(rows.join('\n')), `room-parameters_${ts}.csv`);
+  addEvent('info', 'Room parameters exported (CSV)');
+}
+
 // ============================================================================
 // DOWNLOAD HELPER
 // ============================================================================
@@ -993,7 +1964,8 @@ function triggerDownload(href, filename) {
 // TEST TONE GENERATOR
 // ============================================================================
 
-function startTestTone(type, freqHz, gainDb) {
+// o.signal plays a stimulus buffer (looped with o.loop); o.route 'speakers' overrides the routing
+function startTestTone(type, freqHz, gainDb, o = {}) {
   stopTestTone();
   if (!isActive || !ordo.audioContext) {
     alert('Start the engine first to use the test tone generator.');
@@ -1002,14 +1974,41 @@ function startTestTone(type, freqHz, gainDb) {
   const ctx = ordo.audioContext;
   toneGain = ctx.createGain();
   toneGain.gain.value = Math.pow(10, gainDb / 20);
-  toneGain.connect(ordo.analyser);
+  toneGain.connect((o.route || toneRoute) === 'speakers' ? ctx.destination : ordo.input);
+  toneGain.connect(ordo.referenceInput);  // transfer-function reference
 
-  if (type === 'sine') {
+  if (o.signal) {
+    const buf = ctx.createBuffer(1, o.signal.length, ctx.sampleRate);
+    buf.copyToChannel(o.signal, 0);
+    toneNoiseNode = ctx.createBufferSource();
+    toneNoiseNode.buffer = buf;
+    toneNoiseNode.loop   = !!o.loop;
+    toneNoiseNode.connect(toneGain);
+    toneNoiseNode.start();
+  } else if (type === 'stipa') {
+    if (!stipaSignal || stipaSignal.sampleRate !== ctx.sampleRate) stipaSignal = OrdoAudio.createStipaSignal({ sampleRate: ctx.sampleRate });
+    const buf = ctx.createBuffer(1, stipaSignal.signal.length, ctx.sampleRate);
+    buf.copyToChannel(stipaSignal.signal, 0);
+    toneNoiseNode = ctx.createBufferSource();
+    toneNoiseNode.buffer = buf;
+    toneNoiseNode.loop   = true;
+    toneNoiseNode.connect(toneGain);
+    toneNoiseNode.start();
+  } else if (type === 'sine') {
     toneOscillator = ctx.createOscillator();
     toneOscillator.type = 'sine';
     toneOscillator.frequency.value = freqHz;
     toneOscillator.connect(toneGain);
     toneOscillator.start();
+  } else if (type === 'smpte' || type === 'ccif') {
+    toneTwoTone = OrdoAudio.distortionStimulus(type).tones.map(t => {
+      const osc = ctx.createOscillator(), g = ctx.createGain();
+      osc.frequency.value = t.frequency;
+      g.gain.value = t.amplitude;
+      osc.connect(g); g.connect(toneGain);
+      osc.start();
+      return osc;
+    });
   } else if (type === 'white' || type === 'pink') {
     const bufferSize  = ctx.sampleRate * 2;
     const noiseBuffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
@@ -1036,35 +2035,43 @@ function startTestTone(type, freqHz, gainDb) {
     toneNoiseNode.start();
   }
   activeToneType = type;
+  toneStimulus   = !!o.signal;
+  if (!o.signal && type !== 'stipa') dom.distGenBtn.classList.add('active');
+  if (type === 'smpte' || type === 'ccif') setDistStimulus(type);
   addEvent('info', `Test tone: ${type}${type === 'sine' ? ` @ ${freqHz} Hz` : ''}`);
 }
 
 function stopTestTone() {
   if (toneOscillator)  { try { toneOscillator.stop(); } catch(e){} toneOscillator = null; }
   if (toneNoiseNode)   { try { toneNoiseNode.stop(); }  catch(e){} toneNoiseNode  = null; }
+  toneTwoTone.forEach(o => { try { o.stop(); } catch(e){} });
+  toneTwoTone = [];
+  dom.distGenBtn.classList.remove('active');
   if (toneGain)        { try { toneGain.disconnect(); } catch(e){} toneGain       = null; }
   activeToneType = 'off';
+  toneStimulus   = false;
 }
 
 // ============================================================================
 // RTA FREQUENCY CURSOR (hover tooltip)
 // ============================================================================
 
-const ISO_CENTERS = [20,25,31.5,40,50,63,80,100,125,160,200,250,315,400,500,630,800,1000,1250,1600,2000,2500,3150,4000,5000,6300,8000,10000,12500,16000,20000];
+function rtaGap(nb) { return nb > 64 ? 0.5 : nb > 32 ? 1 : 2; }
 
 dom.rtaCanvas.addEventListener('mousemove', e => {
   const rect = dom.rtaCanvas.getBoundingClientRect();
   const x    = e.clientX - rect.left;
   const w    = rect.width;
-  const gap  = 2, nb = ISO_CENTERS.length;
-  const barW = Math.max(2, (w - nb * gap) / nb);
+  const nb   = rtaBands.length, gap = rtaGap(nb);
+  const barW = Math.max(1, (w - nb * gap) / nb);
   const idx  = Math.floor(x / (barW + gap));
 
-  if (idx >= 0 && idx < nb && rtaPeakHold) {
-    const band   = ISO_CENTERS[idx];
+  if (idx >= 0 && idx < nb && rtaPeakHold.length === nb) {
+    const band   = rtaBands[idx].center;
     const dbVal  = (rtaPeakHold[idx] * 100 - 100).toFixed(1);
-    const fStr   = band >= 1000 ? (band / 1000).toFixed(band >= 10000 ? 0 : 1) + ' kHz' : band + ' Hz';
-    dom.rtaTooltip.textContent = `${fStr}  /  ${dbVal} dB`;
+    const fStr   = band >= 1000 ? +(band / 1000).toFixed(band >= 10000 ? 1 : 2) + ' kHz' : band + ' Hz';
+    const src    = rtaBands[idx].source === 'filter' ? '  ·  IEC filter' : rtaBands[idx].resolved === false ? '  ·  below FFT resolution' : '';
+    dom.rtaTooltip.textContent = `${fStr}  /  ${dbVal} dB${src}`;
     dom.rtaTooltip.classList.add('visible');
   }
 });
@@ -1091,6 +2098,8 @@ dom.tabBtns.forEach(btn => {
     btn.classList.add('active');
     const t = document.getElementById('tab-' + btn.dataset.tab);
     if (t) t.classList.add('active');
+    if (btn.dataset.tab === 'chroma') drawInharmonicity();
+    if (btn.dataset.tab === 'diag') drawNoiseRating();
   });
 });
 
@@ -1154,6 +2163,618 @@ dom.awBtns.forEach(btn => {
   });
 });
 
+// True peak: click the readout to reset max hold and over count
+dom.tpCell.addEventListener('click', () => {
+  ordo.resetTruePeak();
+  dom.truePeakVal.textContent = '-∞ dBTP';
+  dom.tpOvers.textContent     = '0';
+});
+
+// Main panel view: RTA or transfer function
+document.querySelectorAll('[data-view]').forEach(btn => {
+  btn.addEventListener('click', () => setMainView(btn.dataset.view));
+});
+
+document.querySelectorAll('[data-tf-ref]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    const v = btn.dataset.tfRef;
+    ordo.setTransferReference(v === 'off' ? null : v === 'generator' ? v : parseInt(v, 10));
+    latestTransfer = null;
+    document.querySelectorAll('[data-tf-ref]').forEach(b => b.classList.toggle('active', b === btn));
+    if (v === 'generator' && activeToneType === 'off') addEvent('info', 'Transfer function: start the test tone (pink noise) as the reference');
+  });
+});
+
+document.querySelectorAll('[data-tf-avg]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    ordo.setTransferAveraging(parseInt(btn.dataset.tfAvg, 10));
+    document.querySelectorAll('[data-tf-avg]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+document.querySelectorAll('[data-tf-smooth]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    ordo.setTransferSmoothing(parseInt(btn.dataset.tfSmooth, 10));
+    document.querySelectorAll('[data-tf-smooth]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+dom.tfFindBtn.addEventListener('click', () => ordo.findTransferDelay());
+
+dom.tfStoreBtn.addEventListener('click', () => {
+  if (!latestTransfer) return;
+  const t = latestTransfer, n = tfTraces.length;
+  tfTraces.push({
+    name: `T${n + 1} ${new Date().toTimeString().slice(0, 5)}`, color: TF_COLORS[n % TF_COLORS.length], visible: true,
+    freqs: t.freqs.slice(), magnitude: t.magnitude.slice(), phase: t.phase.slice(), coherence: t.coherence.slice(),
+  });
+  renderTfTraces();
+  addEvent('info', `Transfer function trace T${n + 1} stored (delay ${t.delayMs.toFixed(2)} ms)`);
+});
+
+dom.tfClearBtn.addEventListener('click', () => { tfTraces = []; renderTfTraces(); });
+
+// Frequency response: sweep or periodic pink noise on the speakers, stored as a trace
+const FR_SWEEP_LEN = 3, FR_NOISE_PERIOD = 65536, FR_NOISE_PERIODS = 6;
+
+// Display offset of a measured trace: its 500 Hz – 2 kHz mean level drawn at 0 dB
+function frOffset(fr) {
+  let s = 0, n = 0;
+  fr.freqs.forEach((f, i) => { if (f >= 500 && f <= 2000 && isFinite(fr.magnitude[i])) { s += fr.magnitude[i]; n++; } });
+  return n ? s / n : 0;
+}
+
+document.querySelectorAll('[data-fr-stim]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    frStimulus = btn.dataset.frStim;
+    document.querySelectorAll('[data-fr-stim]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+dom.frMeasureBtn.addEventListener('click', async () => {
+  if (!isActive) return showError('Start the engine before measuring.');
+  if (activeToneType !== 'off') dom.toneBtns.forEach(b => { if (b.dataset.tone === 'off') b.click(); });
+  const sr = ordo.audioContext.sampleRate, noise = frStimulus === 'noise';
+  const stim = noise ? OrdoAudio.createPeriodicNoise({ sampleRate: sr, length: FR_NOISE_PERIOD })
+                     : OrdoAudio.createSweep({ sampleRate: sr, duration: FR_SWEEP_LEN });
+  dom.frMeasureBtn.disabled = true;
+  dom.frMeasureBtn.textContent = noise ? 'PLAYING…' : 'SWEEPING…';
+  try {
+    // The sweep gets 1 s of tail; the noise loops and its first period is discarded
+    const cap = ordo.captureResponse(noise ? FR_NOISE_PERIODS * stim.period / sr : FR_SWEEP_LEN + 1);
+    startTestTone(noise ? 'periodic pink' : 'sweep', 0, parseFloat(dom.toneVolSlider.value), { signal: stim.signal, loop: noise, route: 'speakers' });
+    const { recorded, reference } = await cap;
+    stopTestTone();
+    // Without a captured reference fall back to the stimulus as generated
+    let peak = 0;
+    for (let i = 0; i < reference.length; i++) peak = Math.max(peak, Math.abs(reference[i]));
+    const fr = OrdoAudio.frequencyResponse(recorded, peak > 1e-4 ? reference : stim.signal, sr,
+      { stimulus: frStimulus, period: stim.period, f1: stim.f1, f2: stim.f2, smoothing: ordo.options.transferSmoothing });
+    const n = tfTraces.length, name = `M${n + 1} ${noise ? 'PINK' : 'SWEEP'}`;
+    tfTraces.push({ name, color: TF_COLORS[n % TF_COLORS.length], visible: true,
+      freqs: fr.freqs, magnitude: fr.magnitude, phase: fr.phase, coherence: fr.coherence, offset: frOffset(fr) });
+    renderTfTraces();
+    addEvent('info', `Frequency response ${name} measured (delay ${fr.delayMs.toFixed(2)} ms${noise ? `, ${fr.averages} periods averaged` : ''})`);
+  } catch (err) {
+    stopTestTone();
+    addEvent('info', err.message);
+  }
+  dom.frMeasureBtn.disabled = false;
+  dom.frMeasureBtn.textContent = 'MEASURE';
+});
+
+// Average of the visible traces: power mean of the magnitude, vector mean of the phase, lowest coherence
+dom.tfAvgBtn.addEventListener('click', () => {
+  const vis = tfTraces.filter(tr => tr.visible);
+  if (vis.length < 2) { alert('Show at least two traces to average.'); return; }
+  const np = vis[0].freqs.length, n = tfTraces.length;
+  if (vis.some(tr => tr.freqs.length !== np)) { alert('Traces measured at different sample rates cannot be averaged.'); return; }
+  const magnitude = new Float32Array(np), phase = new Float32Array(np), coherence = new Float32Array(np);
+  for (let i = 0; i < np; i++) {
+    let p = 0, re = 0, im = 0, c = 1;
+    vis.forEach(tr => {
+      p  += isFinite(tr.magnitude[i]) ? Math.pow(10, tr.magnitude[i] / 10) : 0;
+      re += Math.cos(tr.phase[i] * Math.PI / 180);
+      im += Math.sin(tr.phase[i] * Math.PI / 180);
+      c   = Math.min(c, tr.coherence[i]);
+    });
+    magnitude[i] = 10 * Math.log10(p / vis.length);
+    phase[i]     = Math.atan2(im, re) * 180 / Math.PI;
+    coherence[i] = c;
+  }
+  const avg = { name: `AVG ${vis.length}×`, color: TF_COLORS[n % TF_COLORS.length], visible: true,
+    freqs: vis[0].freqs, magnitude, phase, coherence };
+  if (vis.some(tr => tr.offset)) avg.offset = frOffset(avg);
+  vis.forEach(tr => { tr.visible = false; });
+  tfTraces.push(avg);
+  renderTfTraces();
+  addEvent('info', `Transfer function traces averaged: ${vis.map(tr => tr.name).join(', ')}`);
+});
+
+dom.tfCsvBtn.addEventListener('click', exportTfCsv);
+dom.tfFrdBtn.addEventListener('click', exportTfFrd);
+
+// Impulse response: sweep length / level, measure, export
+document.querySelectorAll('[data-ir-len]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    irSweepLen = parseInt(btn.dataset.irLen, 10);
+    document.querySelectorAll('[data-ir-len]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+document.querySelectorAll('[data-ir-level]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    irLevel = parseInt(btn.dataset.irLevel, 10);
+    document.querySelectorAll('[data-ir-level]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+dom.irMeasureBtn.addEventListener('click', async () => {
+  if (!isActive) return showError('Start the engine before measuring.');
+  // The sweep needs a quiet output: switch the test tone off first
+  if (activeToneType !== 'off') dom.toneBtns.forEach(b => { if (b.dataset.tone === 'off') b.click(); });
+  dom.irMeasureBtn.disabled = true;
+  dom.irMeasureBtn.textContent = 'SWEEPING…';
+  try {
+    irResult = await ordo.measureImpulseResponse({ duration: irSweepLen, level: irLevel });
+    const t = irResult.mid.t30 != null ? irResult.mid.t30 : irResult.mid.t20;
+    addEvent('info', `Impulse response measured: T${irResult.mid.t30 != null ? 30 : 20} ${t != null ? t.toFixed(2) + ' s' : '--'} (500 Hz–1 kHz)`);
+  } catch (err) {
+    addEvent('info', err.message);
+  }
+  dom.irMeasureBtn.disabled = false;
+  dom.irMeasureBtn.textContent = 'MEASURE';
+  renderIrTable(irResult);
+  drawIr(irResult);
+  if (roomModel) applyRoom();   // Schroeder frequency from the new T30
+});
+
+dom.irWavBtn.addEventListener('click', exportIrWav);
+
+// Feedback suppressor
+function setSuppressor(mode) {
+  if (mode !== 'off' && !isActive) { showError('Start the engine before enabling the feedback suppressor.'); return; }
+  fbsMode = mode;
+  document.querySelectorAll('[data-fbs]').forEach(b => b.classList.toggle('active', b.dataset.fbs === mode));
+  if (mode === 'off') { ordo.disableFeedbackSuppressor(); renderFbsBank(); return; }
+  const fs = ordo.suppressor || ordo.enableFeedbackSuppressor({ maxDepth: fbsMaxDepth });
+  fs.output.disconnect();
+  if (mode === 'live') fs.output.connect(ordo.audioContext.destination);
+  renderFbsBank();
+}
+
+// One row per class (label, snippets, probability bar, remove); rebuilt when the profile changes
+function renderTimbreClasses() {
+  const p = ordo.getTimbreProfile();
+  const classes = p ? p.classes.filter(c => c.snippets.length) : [];
+  dom.timbreClasses.innerHTML = '';
+  classes.forEach(c => {
+    const row = document.createElement('div');
+    row.className = 'timbre-row';
+    row.dataset.label = c.label;
+    row.innerHTML = '<span class="timbre-row-name"></span><span class="timbre-row-count"></span><div class="timbre-bar-bg"><div class="timbre-bar"></div></div><button class="timbre-del" title="Remove class">×</button>';
+    row.querySelector('.timbre-row-name').textContent = c.label;
+    row.querySelector('.timbre-row-count').textContent = `${c.snippets.length}×`;
+    row.querySelector('.timbre-del').dataset.timbreRemove = c.label;
+    dom.timbreClasses.appendChild(row);
+  });
+  if (!timbreCapturing) dom.timbreStatus.textContent = classes.length
+    ? `${classes.length} class${classes.length > 1 ? 'es' : ''}, ${classes.reduce((n, c) => n + c.snippets.length, 0)} snippets${p.sampleRate && p.sampleRate !== ordo.sampleRate ? ` · captured at ${p.sampleRate} Hz` : ''}`
+    : 'No classes — type a label, play the sound and press CAPTURE, then STOP after a few seconds.';
+}
+
+function renderTimbre(t) {
+  dom.timbreLabel.textContent = t.label != null ? t.label : '--';
+  dom.timbreConf.textContent  = t.label != null ? `${(t.confidence * 100).toFixed(0)}%` : t.unknown ? 'unknown' : t.active ? 'unsure' : 'quiet';
+  dom.timbreClasses.querySelectorAll('.timbre-row').forEach(row => {
+    const s = t.scores.find(x => x.label === row.dataset.label);
+    row.querySelector('.timbre-bar').style.width = `${s ? (s.probability * 100).toFixed(0) : 0}%`;
+    row.classList.toggle('active', row.dataset.label === t.label);
+  });
+  if (t.capturing) dom.timbreStatus.textContent = `Capturing "${t.capturing.label}": ${t.capturing.frames} frames`;
+}
+
+function renderStipa(s) {
+  if (!s) { dom.stipaVal.textContent = dom.stipaCat.textContent = dom.stipaStatus.textContent = '--'; dom.stipaBands.innerHTML = ''; return; }
+  dom.stipaVal.textContent = s.valid ? s.sti.toFixed(2) : 'INVALID';
+  dom.stipaVal.style.color = !s.valid ? 'var(--text-dim)' : s.sti >= 0.5 ? 'var(--green)' : s.sti >= 0.45 ? 'var(--amber)' : 'var(--red)';
+  dom.stipaCat.textContent = s.valid ? s.category : '--';
+  dom.stipaStatus.textContent = (s.complete ? `${s.duration.toFixed(0)} s` : `measuring ${s.duration.toFixed(0)} / ${ordo.options.stipaDuration} s`) +
+    (s.valid ? '' : ` · ${STIPA_INVALID[s.invalid]}`) +
+    (s.noiseCorrected ? ' · noise corrected' : '') + (s.calibrated ? '' : ' · uncalibrated');
+  dom.stipaBands.innerHTML = s.bands.map((f, k) =>
+    `<div class="stipa-band" title="${f} Hz · ${s.levels[k].toFixed(1)} dB · m ${s.m[k].map(v => v.toFixed(2)).join(' / ')}">` +
+    `<div class="stipa-mti" style="height:${(s.mti[k] * 100).toFixed(0)}%"></div>` +
+    `<span>${f >= 1000 ? f / 1000 + 'k' : f}</span><span>${s.mti[k].toFixed(2)}</span></div>`).join('');
+}
+
+function renderFbsBank() {
+  const fs = ordo.suppressor;
+  if (!fs) { dom.fbsBank.innerHTML = ''; return; }
+  const active = fs.notches, fixed = fs.options.fixed;
+  dom.fbsBank.innerHTML = fs.slots.map((_, i) => {
+    const n = active.find(x => x.index === i), name = (i < fixed ? 'F' : 'FL') + (i + 1);
+    if (!n) return `<div class="fbs-slot"><span>${name}</span><span>--</span></div>`;
+    return `<div class="fbs-slot active ${n.type}" title="${n.note} · Q ${n.q.toFixed(1)}"><span>${name}</span>` +
+      `<span>${n.frequency.toFixed(0)} Hz ${n.gain.toFixed(0)} dB</span>` +
+      `<span class="fbs-depth" style="width:${(-n.gain / fs.options.maxDepth * 100).toFixed(0)}%"></span></div>`;
+  }).join('');
+}
+
+function exportNotchCsv() {
+  const list = ordo.suppressor ? ordo.suppressor.notches : [];
+  if (!list.length) { alert('No notches set.'); return; }
+  const rows = ['filter,type,frequency_hz,gain_db,q,note',
+    ...list.map(n => [n.index + 1, n.type, n.frequency.toFixed(1), n.gain.toFixed(1), n.q.toFixed(1), n.note].join(','))];
+  const ts = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+  triggerDownload('data:text/csv;charset=utf-8,' + encodeURIComponent(rows.join('\n')), `notch-list_${ts}.csv`);
+  addEvent('info', `Notch list exported (${list.length} filters)`);
+}
+
+document.querySelectorAll('[data-fbs]').forEach(btn => {
+  btn.addEventListener('click', () => setSuppressor(btn.dataset.fbs));
+});
+
+document.querySelectorAll('[data-fbs-depth]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    fbsMaxDepth = parseInt(btn.dataset.fbsDepth, 10);
+    if (ordo.suppressor) ordo.suppressor.options.maxDepth = fbsMaxDepth;
+    document.querySelectorAll('[data-fbs-depth]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+// Distortion stimulus: what the analyzer expects, and what GEN plays
+function setDistStimulus(stim) {
+  distStimulus = stim;
+  document.querySelectorAll('[data-dist-stim]').forEach(b => b.classList.toggle('active', b.dataset.distStim === stim));
+  ordo.setDistortionStimulus(stim === 'auto' ? null : stim === 'sine' ? { type: 'sine', frequency: parseFloat(dom.toneFreqSlider.value) } : stim);
+}
+
+document.querySelectorAll('[data-dist-stim]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    setDistStimulus(btn.dataset.distStim);
+    if (activeToneType !== 'off' && distStimulus !== 'auto') document.querySelector(`.tone-btn[data-tone="${distStimulus}"]`).click();
+  });
+});
+
+dom.distGenBtn.addEventListener('click', () => {
+  const type = distStimulus === 'auto' ? 'sine' : distStimulus;
+  document.querySelector(`.tone-btn[data-tone="${activeToneType === type ? 'off' : type}"]`).click();
+});
+
+// Tuner settings
+dom.tunerRef.addEventListener('change', () => {
+  const hz = parseFloat(dom.tunerRef.value);
+  if (hz >= 400 && hz <= 480) ordo.setReferencePitch(hz);
+  dom.tunerRef.value = ordo.options.referencePitch;
+});
+
+document.querySelectorAll('[data-temperament]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    ordo.setTemperament(btn.dataset.temperament);
+    document.querySelectorAll('[data-temperament]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+dom.tunerTonic.addEventListener('change', () => ordo.setTemperament(null, dom.tunerTonic.value));
+dom.tunerPreset.addEventListener('change', () => ordo.setTunerPreset(dom.tunerPreset.value || null));
+
+// Beat position: the dot of the current beat in the bar lights and flashes briefly
+function showBeat(b) {
+  dom.beatDots.forEach((d, i) => {
+    d.classList.toggle('on', i === b.beatInBar - 1);
+    d.classList.toggle('flash', i === b.beatInBar - 1);
+  });
+  setTimeout(() => dom.beatDots.forEach(d => d.classList.remove('flash')), 100);
+}
+
+// Tap tempo: mean interval of up to 8 taps
+dom.tapBtn.addEventListener('click', () => {
+  const now = performance.now();
+  if (taps.length && now - taps[taps.length - 1] > TAP_RESET) taps = [];
+  taps.push(now);
+  if (taps.length > 8) taps.shift();
+  tapBpm = taps.length > 1 ? 60000 * (taps.length - 1) / (taps[taps.length - 1] - taps[0]) : 0;
+  dom.tapBtn.textContent = tapBpm > 0 ? tapBpm.toFixed(1) : 'TAP';
+});
+
+// Key tracking: profile and accumulation window
+document.querySelectorAll('[data-key-profile]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    ordo.setKeyProfile(btn.dataset.keyProfile);
+    document.querySelectorAll('[data-key-profile]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+document.querySelectorAll('[data-key-window]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    ordo.setKeyWindow(parseFloat(btn.dataset.keyWindow));
+    document.querySelectorAll('[data-key-window]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+dom.fbsClearBtn.addEventListener('click', () => { if (ordo.suppressor) { ordo.suppressor.clear('floating'); renderFbsBank(); } });
+dom.fbsResetBtn.addEventListener('click', () => { if (ordo.suppressor) { ordo.suppressor.clear('all'); renderFbsBank(); } });
+dom.fbsExportBtn.addEventListener('click', exportNotchCsv);
+
+// Room dimensions: predict modes, Schroeder frequency (from the measured or
+// live reverberation time) and the Bonello criterion
+function applyRoom() {
+  const room = { length: parseFloat(dom.roomL.value), width: parseFloat(dom.roomW.value), height: parseFloat(dom.roomH.value) };
+  if (![room.length, room.width, room.height].every(v => v > 0)) { dom.roomSummary.textContent = 'Enter L × W × H in metres'; return; }
+  const rt = irResult && (irResult.mid.t30 != null ? irResult.mid.t30 : irResult.mid.t20);
+  if (rt || liveRt60) room.rt60 = rt || liveRt60;
+  ordo.setRoomDimensions(room);
+  roomModel = OrdoAudio.roomModes(room);
+  const b = roomModel.bonello;
+  const fs = roomModel.schroeder ? `fS ${Math.round(roomModel.schroeder)} Hz (T ${room.rt60.toFixed(2)} s)` : 'fS -- (no RT60 yet)';
+  const why = [!b.monotonic && 'not monotonic', b.coincident.length && `coincident at ${b.coincident.join(', ')} Hz`].filter(Boolean).join(', ');
+  dom.roomSummary.textContent = `V ${roomModel.volume.toFixed(1)} m³ · ${fs} · Bonello ${b.pass ? '✓' : '✗ ' + why}`;
+  dom.roomPredicted.innerHTML = roomModel.modes.filter(m => m.freq <= 200 && m.type !== 'oblique').map(m =>
+    `<span class="${m.type}" title="${m.type} (${m.indices.join(',')})">${m.freq.toFixed(1)}</span>`).join('');
+}
+
+dom.roomSetBtn.addEventListener('click', applyRoom);
+dom.roomClearBtn.addEventListener('click', () => {
+  ordo.setRoomDimensions(null);
+  roomModel = null;
+  dom.roomL.value = dom.roomW.value = dom.roomH.value = '';
+  dom.roomSummary.textContent = 'Enter L × W × H to predict modes';
+  dom.roomPredicted.innerHTML = '';
+});
+dom.irCsvBtn.addEventListener('click', exportIrCsv);
+
+dom.inhClearBtn.addEventListener('click', () => {
+  ordo.resetInharmonicity();
+  inhTable = [];
+  dom.inhVal.textContent = '--';
+  dom.inhSub.textContent = 'Play single keys and let them ring';
+  drawInharmonicity();
+});
+dom.inhCsvBtn.addEventListener('click', exportInharmonicityCsv);
+
+// Timbre classifier: capture, model, remove, export / import
+dom.timbreCaptureBtn.addEventListener('click', () => {
+  if (timbreCapturing) {
+    const frames = latestTimbre && latestTimbre.capturing ? latestTimbre.capturing.frames : 0;
+    ordo.stopTimbreCapture();
+    timbreCapturing = null;
+    dom.timbreCaptureBtn.textContent = 'CAPTURE';
+    dom.timbreCaptureBtn.classList.remove('active');
+    if (frames < 5) dom.timbreStatus.textContent = 'Too little signal above the gate — nothing captured.';
+    else renderTimbreClasses();
+    return;
+  }
+  if (!isActive) return showError('Start the engine before capturing.');
+  const label = dom.timbreName.value.trim().replace(/[<>&"]/g, '');
+  if (!label) { dom.timbreName.focus(); return; }
+  ordo.startTimbreCapture(label);
+  timbreCapturing = label;
+  dom.timbreCaptureBtn.textContent = 'STOP';
+  dom.timbreCaptureBtn.classList.add('active');
+  dom.timbreStatus.textContent = `Capturing "${label}"…`;
+});
+
+document.querySelectorAll('[data-timbre-model]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    ordo.setTimbreModel(btn.dataset.timbreModel);
+    document.querySelectorAll('[data-timbre-model]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+dom.timbreClasses.addEventListener('click', e => {
+  const label = e.target.dataset.timbreRemove;
+  if (label == null) return;
+  ordo.removeTimbreClass(label);
+  renderTimbreClasses();
+});
+
+dom.timbreExportBtn.addEventListener('click', () => {
+  const p = ordo.getTimbreProfile();
+  if (!p || !p.classes.length) { alert('No timbre classes to export.'); return; }
+  const ts = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+  triggerDownload('data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(p, null, 1)), `timbre-profile_${ts}.json`);
+  addEvent('info', `Timbre profile exported (${p.classes.length} classes)`);
+});
+
+dom.timbreFile.addEventListener('change', () => {
+  const file = dom.timbreFile.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      ordo.setTimbreProfile(reader.result);
+      renderTimbreClasses();
+      addEvent('info', `Timbre profile loaded: ${file.name}`);
+    } catch (err) {
+      dom.timbreStatus.textContent = err.message;
+    }
+    dom.timbreFile.value = '';
+  };
+  reader.readAsText(file);
+});
+
+dom.timbreClearBtn.addEventListener('click', () => {
+  ordo.setTimbreProfile(null);
+  renderTimbreClasses();
+});
+
+// STIPA: a new measurement, and the ambient noise correction from the noise-rating Leq
+dom.stipaMeasureBtn.addEventListener('click', () => {
+  if (!isActive) return showError('Start the engine before measuring.');
+  ordo.enable('stipa').resetStipa();
+  latestStipa = null;
+  renderStipa(null);
+  addEvent('info', `STIPA measurement started (${ordo.options.stipaDuration} s)`);
+});
+
+dom.stipaNoiseBtn.addEventListener('click', () => {
+  if (ordo.options.stipaNoise) {
+    ordo.setStipaNoise(null);
+    dom.stipaNoiseBtn.classList.remove('active');
+    addEvent('info', 'STIPA ambient noise correction off');
+    return;
+  }
+  if (!latestNoiseRating) { alert('Measure the ambient noise first: RESET the noise rating in the Diag tab with the test signal off.'); return; }
+  const noise = latestNoiseRating.levels.slice(1);   // 125 Hz – 8 kHz
+  ordo.setStipaNoise(noise);
+  dom.stipaNoiseBtn.classList.add('active');
+  addEvent('info', `STIPA ambient noise set: ${noise.map(v => v.toFixed(0)).join(' / ')} dB`);
+});
+
+document.querySelectorAll('[data-nr-curve]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    nrCurve = btn.dataset.nrCurve;
+    document.querySelectorAll('[data-nr-curve]').forEach(b => b.classList.toggle('active', b === btn));
+    drawNoiseRating();
+  });
+});
+
+dom.nrResetBtn.addEventListener('click', () => {
+  ordo.resetNoiseRating();
+  latestNoiseRating = null;
+  drawNoiseRating();
+  addEvent('info', 'Noise rating Leq restarted');
+});
+
+document.querySelectorAll('[data-tone-route]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    // A measurement stimulus cannot be restarted from here; it sets its own route
+    if (toneStimulus) return addEvent('info', 'Tone routing cannot change during a measurement');
+    toneRoute = btn.dataset.toneRoute;
+    document.querySelectorAll('[data-tone-route]').forEach(b => b.classList.toggle('active', b === btn));
+    if (activeToneType !== 'off') startTestTone(activeToneType, parseFloat(dom.toneFreqSlider.value), parseFloat(dom.toneVolSlider.value));
+  });
+});
+
+// RTA resolution and IEC filter bank
+document.querySelectorAll('[data-rta-res]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    ordo.setRtaResolution(parseInt(btn.dataset.rtaRes, 10));
+    document.querySelectorAll('[data-rta-res]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+dom.rtaIecBtn.addEventListener('click', () => {
+  const on = !ordo.options.rtaFilterBank;
+  ordo.setRtaFilterBank(on);
+  dom.rtaIecBtn.classList.toggle('active', on);
+});
+
+document.querySelectorAll('[data-tp-ceil]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    ordo.setTruePeakCeiling(parseFloat(btn.dataset.tpCeil));
+    document.querySelectorAll('[data-tp-ceil]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+document.querySelectorAll('[data-tp-os]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    ordo.setTruePeakOversampling(parseInt(btn.dataset.tpOs, 10));
+    document.querySelectorAll('[data-tp-os]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+// Sound level meter weighting
+document.querySelectorAll('[data-slm-w]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    ordo.setSlmWeighting(btn.dataset.slmW, null);
+    document.querySelectorAll('[data-slm-w]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+document.querySelectorAll('[data-slm-t]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    ordo.setSlmWeighting(null, btn.dataset.slmT);
+    document.querySelectorAll('[data-slm-t]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+dom.slmResetBtn.addEventListener('click', () => ordo.resetSlm());
+
+let calRefDb = 94;
+// SPL offset implied by the loaded mic file's sensitivity, and whether it is the one in use
+let micSensOffset = null;
+let calFromFile   = false;
+document.querySelectorAll('[data-cal-ref]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    calRefDb = parseFloat(btn.dataset.calRef);
+    document.querySelectorAll('[data-cal-ref]').forEach(b => b.classList.toggle('active', b === btn));
+  });
+});
+
+function showCalibration() {
+  const c = ordo.storedCalibration(), off = ordo.options.calibrationOffset;
+  dom.calStatus.textContent = off == null
+    ? 'Not calibrated — fit a 1 kHz calibrator and press CALIBRATE.'
+    : calFromFile
+      ? `Offset ${off.toFixed(2)} dB from the mic file sensitivity (nominal −18 dBFS at 94 dB SPL) — no calibrator`
+      : `Offset ${off.toFixed(2)} dB${c ? ` · ${c.refDb} dB ref · ${c.date.slice(0, 10)}` : ''} · device ${ordo.deviceId || '--'}`;
+}
+
+// The mic file's sensitivity sets the SPL offset only while no calibrator calibration is stored for the device
+function applyMicSensitivity() {
+  const stored = ordo.storedCalibration();
+  if (stored) {
+    if (calFromFile) { ordo.setCalibration(stored.offset); calFromFile = false; }
+  } else if (micSensOffset != null && (calFromFile || ordo.options.calibrationOffset == null)) {
+    ordo.setCalibration(micSensOffset);
+    calFromFile = true;
+  }
+  showCalibration();
+}
+
+dom.calBtn.addEventListener('click', async () => {
+  if (!isActive) return showError('Start the engine before calibrating.');
+  dom.calBtn.disabled = true;
+  dom.calStatus.textContent = `Measuring ${calRefDb} dB calibrator…`;
+  try {
+    const res = await ordo.calibrate(calRefDb);
+    calFromFile = false;
+    addEvent('info', `Calibrated to ${calRefDb} dB SPL (offset ${res.offset.toFixed(2)} dB)`);
+    showCalibration();
+  } catch (err) {
+    addEvent('info', err.message);
+    dom.calStatus.textContent = err.message;
+  }
+  dom.calBtn.disabled = false;
+});
+
+dom.calClearBtn.addEventListener('click', () => {
+  ordo.clearCalibration();
+  calFromFile = false;
+  applyMicSensitivity();
+});
+
+dom.micCalFile.addEventListener('change', () => {
+  const file = dom.micCalFile.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const curve = OrdoAudio.parseMicCorrection(reader.result);
+      ordo.setMicCorrection(curve);
+      micSensOffset = curve.calibrationOffset;
+      if (micSensOffset == null && calFromFile) { ordo.setCalibration(null); calFromFile = false; }
+      applyMicSensitivity();
+      dom.micCalStatus.textContent = `${file.name} — ${curve.points.length} points` +
+        (curve.sensitivityDb == null ? '' : calFromFile ? `, sens ${curve.sensitivityDb} dB used for SPL` : `, sens ${curve.sensitivityDb} dB (calibrator offset kept)`);
+      addEvent('info', `Mic correction loaded: ${file.name}`);
+    } catch (err) {
+      dom.micCalStatus.textContent = err.message;
+    }
+    dom.micCalFile.value = '';
+  };
+  reader.readAsText(file);
+});
+
+dom.micCalClearBtn.addEventListener('click', () => {
+  ordo.setMicCorrection(null);
+  micSensOffset = null;
+  if (calFromFile) { ordo.setCalibration(null); calFromFile = false; showCalibration(); }
+  dom.micCalStatus.textContent = 'Flat — no correction applied.';
+});
+
 // Test tone buttons
 dom.toneBtns.forEach(btn => {
   btn.addEventListener('click', () => {
@@ -1181,6 +2802,7 @@ dom.toneFreqSlider.addEventListener('input', () => {
   if (activeToneType === 'sine' && toneOscillator) {
     toneOscillator.frequency.value = f;
   }
+  if (distStimulus === 'sine') setDistStimulus('sine');
 });
 
 // Tone volume slider
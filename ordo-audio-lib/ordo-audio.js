@@ -16,7 +16,7 @@
     : typeof define === 'function' && define.amd
     ? define(factory)
     : (global.OrdoAudio = factory());
-})(typeof globalThis !== 'undefined' ? globalThis : typeof window !== 'undefined' ? window : this, function () {
+})(typeof globalThis !== 'undefined' ? globalThis : typeof window !== 'undefined' ? window : this, function ordoFactory() {
   'use strict';
 
   // ============================================================================
@@ -24,8 +24,18 @@
   // ============================================================================
 
   const NOTE_NAMES = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'];
-  const MAJOR_PROFILE = [6.35,2.23,3.48,2.33,4.38,4.09,2.52,5.19,2.39,3.66,2.29,2.88];
-  const MINOR_PROFILE = [6.33,2.68,3.52,5.38,2.60,3.53,2.54,4.75,3.98,2.69,3.34,3.17];
+  // Key profiles: weight of each pitch class above the tonic, major and minor
+  const KEY_PROFILES = {
+    krumhansl: { // Krumhansl & Kessler (1982) probe-tone ratings
+      major:[6.35,2.23,3.48,2.33,4.38,4.09,2.52,5.19,2.39,3.66,2.29,2.88],
+      minor:[6.33,2.68,3.52,5.38,2.60,3.53,2.54,4.75,3.98,2.69,3.34,3.17] },
+    temperley: { // Temperley (1999), revised profiles
+      major:[5.0,2.0,3.5,2.0,4.5,4.0,2.0,4.5,2.0,3.5,1.5,4.0],
+      minor:[5.0,2.0,3.5,4.5,2.0,4.0,2.0,4.5,3.5,2.0,1.5,4.0] },
+    albrecht: { // Albrecht & Shanahan (2013), corpus-derived
+      major:[0.238,0.006,0.111,0.006,0.137,0.094,0.016,0.214,0.009,0.080,0.008,0.081],
+      minor:[0.220,0.006,0.104,0.123,0.019,0.103,0.012,0.214,0.062,0.022,0.061,0.052] },
+  };
   const ISO_THIRD_OCTAVE_CENTERS = [
     20,25,31.5,40,50,63,80,100,125,160,
     200,250,315,400,500,630,800,1000,1250,1600,
@@ -40,11 +50,6 @@
   function dbToLin(db)  { return Math.pow(10, db / 20); }
   function clamp(v,a,b) { return Math.max(a, Math.min(b, v)); }
   function mean(arr)    { return arr && arr.length ? arr.reduce((a,b)=>a+b,0)/arr.length : 0; }
-  function variance(arr){
-    if (!arr || arr.length < 2) return 0;
-    const m = mean(arr);
-    return arr.reduce((a,b)=>a+Math.pow(b-m,2),0)/arr.length;
-  }
   function circularPush(arr, val, max) { arr.push(val); if (arr.length > max) arr.shift(); }
   function hzToMel(hz) { return 2595*Math.log10(1+hz/700); }
   function melToHz(mel){ return 700*(Math.pow(10,mel/2595)-1); }
@@ -55,9 +60,9 @@
     return out;
   }
 
-  function hzToNote(freq) {
+  function hzToNote(freq, reference=440) {
     if(freq<20||!isFinite(freq)) return {note:'--',octave:0,cents:0,midi:0,name:'--'};
-    const midi=12*Math.log2(freq/440)+69, mr=Math.round(midi);
+    const midi=12*Math.log2(freq/reference)+69, mr=Math.round(midi);
     const cents=Math.round((midi-mr)*100), octave=Math.floor(mr/12)-1;
     const note=NOTE_NAMES[((mr%12)+12)%12];
     return {note,octave,cents,midi:mr,name:`${note}${octave}`};
@@ -77,33 +82,52 @@
    * Build a window coefficient array of length N.
    * @param {'hann'|'blackman'|'flattop'|'rectangular'} type
    * @param {number} N
+   * @param {boolean} [periodic=false] - DFT-even form (period N) for spectral analysis
    * @returns {Float32Array}
    */
-  function buildWindow(type, N) {
-    const w=new Float32Array(N), P=Math.PI;
+  function buildWindow(type, N, periodic=false) {
+    const w=new Float32Array(N), P=Math.PI, D=periodic?N:N-1;
     switch(type) {
       case 'blackman':
-        for(let n=0;n<N;n++) w[n]=0.42-0.5*Math.cos(2*P*n/(N-1))+0.08*Math.cos(4*P*n/(N-1));
+        for(let n=0;n<N;n++) w[n]=0.42-0.5*Math.cos(2*P*n/D)+0.08*Math.cos(4*P*n/D);
         break;
       case 'flattop':
         // ISO 18431-2 Flat-Top: best amplitude accuracy for level measurements
-        for(let n=0;n<N;n++) w[n]=0.21557895-0.41663158*Math.cos(2*P*n/(N-1))+0.27726316*Math.cos(4*P*n/(N-1))-0.08357895*Math.cos(6*P*n/(N-1))+0.00694737*Math.cos(8*P*n/(N-1));
+        for(let n=0;n<N;n++) w[n]=0.21557895-0.41663158*Math.cos(2*P*n/D)+0.27726316*Math.cos(4*P*n/D)-0.08357895*Math.cos(6*P*n/D)+0.00694737*Math.cos(8*P*n/D);
         break;
       case 'rectangular':
         for(let n=0;n<N;n++) w[n]=1.0;
         break;
       case 'hann':
       default:
-        for(let n=0;n<N;n++) w[n]=0.5*(1-Math.cos(2*P*n/(N-1)));
+        for(let n=0;n<N;n++) w[n]=0.5*(1-Math.cos(2*P*n/D));
         break;
     }
     return w;
   }
 
+  /**
+   * Spectral properties of a window: coherent gain (amplitude of a bin-centred
+   * tone relative to no window), equivalent noise bandwidth in bins, and the
+   * scalloping loss for a tone halfway between bins.
+   * @param {Float32Array} w
+   * @returns {{coherentGain,coherentGainDb,enbwBins,scallopLossDb}}
+   */
+  function windowProperties(w) {
+    const N=w.length;
+    let s=0,s2=0,hr=0,hi=0;
+    for(let n=0;n<N;n++){ s+=w[n]; s2+=w[n]*w[n]; hr+=w[n]*Math.cos(Math.PI*n/N); hi-=w[n]*Math.sin(Math.PI*n/N); }
+    const cg=s/N;
+    return {coherentGain:cg,coherentGainDb:linToDb(cg),enbwBins:N*s2/(s*s),scallopLossDb:linToDb(Math.hypot(hr,hi)/s)};
+  }
+
   // ============================================================================
-  // A-WEIGHTING (IEC 61672-1:2013)
+  // FREQUENCY WEIGHTING (IEC 61672-1:2013)
   // ============================================================================
 
+  // Pole frequencies (Hz) shared by the A and C curves
+  const IEC_POLES = {f1:20.598997,f2:107.65265,f3:737.86223,f4:12194.217};
+
   /**
    * Compute A-weighting correction in dB for a given frequency.
    * Normalized to 0 dB at 1000 Hz.
@@ -112,10 +136,19 @@
    */
   function aWeightDb(f) {
     if(f<10) return -100;
-    const f2=f*f, f4=f2*f2;
-    const Ra=(12200*12200*f4)/((f2+20.6*20.6)*Math.sqrt((f2+107.7*107.7)*(f2+737.9*737.9))*(f2+12200*12200));
-    const Ra1k=(12200*12200*1e12)/((1e6+20.6*20.6)*Math.sqrt((1e6+107.7*107.7)*(1e6+737.9*737.9))*(1e6+12200*12200));
-    return 20*Math.log10(Ra/Ra1k);
+    const {f1,f2,f3,f4}=IEC_POLES,r=x=>{const x2=x*x;return (f4*f4*x2*x2)/((x2+f1*f1)*Math.sqrt((x2+f2*f2)*(x2+f3*f3))*(x2+f4*f4));};
+    return 20*Math.log10(r(f)/r(1000));
+  }
+
+  /**
+   * C-weighting correction in dB, normalized to 0 dB at 1000 Hz.
+   * @param {number} f - Hz
+   * @returns {number} dB correction
+   */
+  function cWeightDb(f) {
+    if(f<10) return -100;
+    const {f1,f4}=IEC_POLES,r=x=>{const x2=x*x;return (f4*f4*x2)/((x2+f1*f1)*(x2+f4*f4));};
+    return 20*Math.log10(r(f)/r(1000));
   }
 
   function buildAWeightTable(sampleRate, fftSize) {
@@ -124,26 +157,241 @@
     return t;
   }
 
+  /**
+   * Time-domain A / C weighting: the analog poles of aWeightDb()/cWeightDb()
+   * mapped by a pre-warped bilinear transform into biquads. C is a double
+   * high-pass at f1 and a double low-pass at f4; A adds the f2/f3 high-pass.
+   * Gain is set so the response matches the curves (0 dB) at 1 kHz.
+   * @param {number} sampleRate
+   * @returns {{c: object[], a: object}} biquad sections, coefficients normalized by a0
+   */
+  function designWeightingFilters(sampleRate) {
+    const K=2*sampleRate,w=f=>K*Math.tan(Math.PI*f/sampleRate);
+    const {f1,f2,f3,f4}=IEC_POLES;
+    // (s² or 1) / ((s+p)(s+q)) → biquad
+    const sec=(hp,p,q)=>{
+      const P=w(p),Q=w(q),a0=(K+P)*(K+Q);
+      const b=hp?[K*K,-2*K*K,K*K]:[1,2,1];
+      return {b0:b[0]/a0,b1:b[1]/a0,b2:b[2]/a0,a1:(-(K-P)*(K+Q)-(K+P)*(K-Q))/a0,a2:(K-P)*(K-Q)/a0,x1:0,x2:0,y1:0,y2:0};
+    };
+    const gain=(secs,f)=>{
+      const om=2*Math.PI*f/sampleRate,c1=Math.cos(om),s1=Math.sin(om),c2=Math.cos(2*om),s2=Math.sin(2*om);
+      return secs.reduce((g,s)=>g*Math.hypot(s.b0+s.b1*c1+s.b2*c2,-s.b1*s1-s.b2*s2)/Math.hypot(1+s.a1*c1+s.a2*c2,-s.a1*s1-s.a2*s2),1);
+    };
+    const c=[sec(true,f1,f1),sec(false,f4,f4)],a=sec(true,f2,f3);
+    const gc=1/gain(c,1000),ga=1/(gain(c,1000)*gain([a],1000))/gc;
+    c[1].b0*=gc; c[1].b1*=gc; c[1].b2*=gc;
+    a.b0*=ga; a.b1*=ga; a.b2*=ga;
+    return {c,a};
+  }
+
+  // ============================================================================
+  // FFT / SPECTRUM (headless — no AnalyserNode required)
+  // ============================================================================
+
+  /**
+   * In-place iterative radix-2 complex FFT.
+   * @param {Float64Array} re - real part, length must be a power of 2
+   * @param {Float64Array} im - imaginary part, same length
+   */
+  function fft(re, im) {
+    const N=re.length;
+    for(let i=1,j=0;i<N;i++){
+      let bit=N>>1; for(;j&bit;bit>>=1) j^=bit; j^=bit;
+      if(i<j){ let t=re[i];re[i]=re[j];re[j]=t; t=im[i];im[i]=im[j];im[j]=t; }
+    }
+    for(let len=2;len<=N;len<<=1){
+      const half=len>>1,ang=-2*Math.PI/len;
+      for(let k=0;k<half;k++){
+        const wr=Math.cos(ang*k),wi=Math.sin(ang*k);
+        for(let i=k;i<N;i+=len){
+          const b=i+half,tr=re[b]*wr-im[b]*wi,ti=re[b]*wi+im[b]*wr;
+          re[b]=re[i]-tr; im[b]=im[i]-ti; re[i]+=tr; im[i]+=ti;
+        }
+      }
+    }
+  }
+
+  /**
+   * Spectrum state for a selected window: periodic coefficients, their
+   * properties and the first-order smoothing buffer.
+   * @param {number} fftSize
+   * @param {string} [type='hann'] - window name, see buildWindow()
+   */
+  function createSpectrum(fftSize, type='hann') {
+    const w=buildWindow(type,fftSize,true);
+    return {type,window:w,props:windowProperties(w),re:new Float64Array(fftSize),im:new Float64Array(fftSize),mag:new Float32Array(fftSize/2)};
+  }
+
+  /**
+   * Windowed FFT magnitude spectrum in dBFS, corrected for the window's
+   * coherent gain: a full-scale sine reads 0 dB at its bin whichever window is
+   * active. Power summed over bins must be divided by props.enbwBins to give
+   * calibrated band / noise power (see RtaModule).
+   * @param {object} sp - state from createSpectrum()
+   * @param {Float32Array} timeData - fftSize samples
+   * @param {number} smoothing - smoothingTimeConstant (0-1)
+   * @param {Float32Array} out - fftSize/2 bins, receives dBFS
+   */
+  function computeSpectrum(sp, timeData, smoothing, out) {
+    const N=sp.re.length,w=sp.window,re=sp.re,im=sp.im,mag=sp.mag,g=2/(N*sp.props.coherentGain);
+    for(let n=0;n<N;n++){ re[n]=(timeData[n]||0)*w[n]; im[n]=0; }
+    fft(re,im);
+    for(let k=0;k<N/2;k++){
+      const m=Math.sqrt(re[k]*re[k]+im[k]*im[k])*g;
+      mag[k]=smoothing*mag[k]+(1-smoothing)*m;
+      out[k]=linToDb(mag[k]);
+    }
+    return out;
+  }
+
+  // ============================================================================
+  // FRACTIONAL-OCTAVE BANDS (IEC 61260-1)
+  // ============================================================================
+
+  const OCTAVE_G = Math.pow(10, .3);   // base-10 octave ratio
+  const RTA_RESOLUTIONS = [1,3,6,12,24];
+
+  /**
+   * Fractional-octave bands per IEC 61260-1 (base-10 exact midbands and band
+   * edges) between fmin and fmax. center is the nominal label: the ISO
+   * preferred value for 1/1 and 1/3 octave, else fm to 3 significant digits.
+   * @param {number} bandsPerOctave - 1, 3, 6, 12 or 24
+   * @returns {{center:number, fm:number, low:number, high:number}[]}
+   */
+  function fractionalOctaveBands(bandsPerOctave=3, fmin=20, fmax=20000) {
+    const b=bandsPerOctave,lg=f=>Math.log(f/1000)/Math.log(OCTAVE_G),out=[];
+    for(let x=Math.floor(b*lg(fmin))-1;x<=Math.ceil(b*lg(fmax))+1;x++){
+      const fm=1000*Math.pow(OCTAVE_G,b%2?x/b:(2*x+1)/(2*b));
+      if(fm<fmin*.97||fm>fmax*1.03) continue;
+      let center=+fm.toPrecision(3);
+      if(b===1||b===3){ const iso=ISO_THIRD_OCTAVE_CENTERS.find(c=>Math.abs(Math.log(c/fm))<.03); if(iso) center=iso; }
+      const e=Math.pow(OCTAVE_G,1/(2*b));
+      out.push({center,fm,low:fm/e,high:fm*e});
+    }
+    return out;
+  }
+
+  // Butterworth band-pass of the given order (3 meets IEC 61260-1 class 1) as
+  // order biquads, band edges pre-warped. Each section is [b0, a1, a2] with
+  // b1 = 0 and b2 = -b0.
+  function designBandpass(f1, f2, fs, order=3) {
+    const K=2*fs,w1=K*Math.tan(Math.PI*f1/fs),w2=K*Math.tan(Math.PI*f2/fs),bw=w2-w1,w0sq=w1*w2,sec=[];
+    for(let k=0;k<order;k++){
+      // Low-pass prototype pole p → band-pass poles (p·bw ± √((p·bw)² − 4ω0²)) / 2
+      const th=Math.PI*(2*k+order+1)/(2*order),pr=Math.cos(th)*bw,pi=Math.sin(th)*bw;
+      const dr=pr*pr-pi*pi-4*w0sq,di=2*pr*pi,m=Math.hypot(dr,di);
+      const qr=Math.sqrt((m+dr)/2),qi=(di<0?-1:1)*Math.sqrt((m-dr)/2);
+      for(const sg of [1,-1]){
+        const re=(pr+sg*qr)/2,im=(pi+sg*qi)/2;
+        if(im<=0) continue;   // keep one pole of each conjugate pair
+        const mm=re*re+im*im,a0=K*K-2*re*K+mm;
+        sec.push([bw*K/a0,(2*mm-2*K*K)/a0,(K*K+2*re*K+mm)/a0]);
+      }
+    }
+    return sec;
+  }
+
+  /**
+   * Multirate time-domain filter bank for the given bands. Each band runs at
+   * the lowest rate fs/2^d that keeps its upper edge below a tenth of the
+   * rate; every halving is preceded by a 4th-order Butterworth anti-alias
+   * low-pass at a quarter of the current Nyquist. Levels use exponential
+   * (Fast, 125 ms) time weighting.
+   */
+  function createFilterBank(bands, fs, tau=.125) {
+    const levels=[];
+    bands.forEach((b,i)=>{
+      let d=0; while(fs/Math.pow(2,d+1)>=10*b.high) d++;
+      const r=fs/Math.pow(2,d);
+      (levels[d]||(levels[d]=[])).push({i,sec:designBandpass(b.low,b.high,r),z:new Float64Array(6),ms:0,k:1-Math.exp(-1/(tau*r))});
+    });
+    for(let d=0;d<levels.length;d++) if(!levels[d]) levels[d]=[];
+    // Anti-alias low-pass sections [b0, b1, b2, a1, a2] at fs/8 (relative), Q of 4th-order Butterworth
+    const t=Math.tan(Math.PI/8),aa=[.5411961,1.3065630].map(q=>{ const n=1/(1+t/q+t*t),b0=t*t*n; return [b0,2*b0,b0,2*(t*t-1)*n,(1-t/q+t*t)*n]; });
+    return {levels,aa,dz:levels.map(()=>new Float64Array(4)),ph:new Int8Array(levels.length)};
+  }
+
+  function runFilterBank(fb, x) {
+    let cur=x;
+    for(let d=0;d<fb.levels.length;d++){
+      for(const band of fb.levels[d]){
+        const z=band.z,sec=band.sec,k=band.k;let ms=band.ms;
+        for(let n=0;n<cur.length;n++){
+          let v=cur[n];
+          for(let j=0;j<sec.length;j++){
+            const c=sec[j],y=c[0]*v+z[2*j];
+            z[2*j]=z[2*j+1]-c[1]*y; z[2*j+1]=-c[0]*v-c[2]*y; v=y;
+          }
+          ms+=k*(v*v-ms);
+        }
+        band.ms=ms;
+      }
+      if(d===fb.levels.length-1) break;
+      // Anti-alias and keep every other sample (phase carried across blocks)
+      const z=fb.dz[d],next=new Float64Array(Math.ceil(cur.length/2)+1);let m=0;
+      for(let n=0;n<cur.length;n++){
+        let v=cur[n];
+        for(let j=0;j<2;j++){
+          const c=fb.aa[j],y=c[0]*v+z[2*j];
+          z[2*j]=c[1]*v-c[3]*y+z[2*j+1]; z[2*j+1]=c[2]*v-c[4]*y; v=y;
+        }
+        if(fb.ph[d]^=1) next[m++]=v;
+      }
+      cur=next.subarray(0,m);
+    }
+  }
+
   // ============================================================================
   // DSP MODULES
   // ============================================================================
 
   const RtaModule = {
-    process(freqData, sampleRate, fftSize, aWeightTable) {
-      const binHz=sampleRate/fftSize;
-      return {
-        bands: ISO_THIRD_OCTAVE_CENTERS.map(center=>{
-          const low=center/Math.pow(2,1/6), high=center*Math.pow(2,1/6);
-          const bL=Math.max(0,Math.floor(low/binHz)), bH=Math.min(freqData.length-1,Math.ceil(high/binHz));
-          let energy=0,count=0;
-          for(let i=bL;i<=bH;i++){
-            const db=aWeightTable ? freqData[i]+aWeightTable[i] : freqData[i];
-            energy+=Math.pow(10,db/10); count++;
+    /**
+     * Fractional-octave levels. FFT bands sum bin power weighted by each bin's
+     * overlap with the band and divide by the window ENBW, so tones read their
+     * level and broadband noise its band power. Bands narrower than the
+     * window's noise bandwidth cannot be resolved by the FFT; with filterBank
+     * on they (or every band centred below a given Hz) come from the IEC 61260
+     * filter bank fed with the new samples instead.
+     * @param {object} o - resolution (bands per octave), filterBank (false | true | Hz), samples (new mono samples)
+     */
+    process(freqData, sampleRate, fftSize, aWeightTable, enbw=1, state={}, o={}) {
+      const binHz=sampleRate/fftSize,res=o.resolution||3,fbOpt=o.filterBank||false;
+      const key=`${res}|${sampleRate}|${binHz*enbw}|${fbOpt}`;
+      if(state.key!==key){
+        state.key=key;
+        state.bands=fractionalOctaveBands(res,20,Math.min(20000,sampleRate*.45));
+        // Crossover: 'true' picks the bands narrower than 4 ENBW
+        const useFilter=b=>fbOpt===true?b.high-b.low<4*enbw*binHz:typeof fbOpt==='number'&&b.center<fbOpt;
+        const fb=state.bands.filter(useFilter);
+        state.fb=fb.length?createFilterBank(fb,sampleRate):null;
+        state.fbBands=fb; state.nFb=fb.length;
+      }
+      if(state.fb&&o.samples) runFilterBank(state.fb,o.samples);
+      const fbLevel=new Float64Array(state.nFb);
+      if(state.fb) state.fb.levels.forEach(l=>l.forEach(b=>{ fbLevel[b.i]=10*Math.log10(Math.max(2*b.ms,1e-30)); }));
+      const bands=state.bands.map((band,i)=>{
+        let db;
+        if(i<state.nFb){
+          db=fbLevel[i]+(aWeightTable?aWeightDb(band.fm):0);
+        } else {
+          const bL=Math.max(0,Math.round(band.low/binHz)),bH=Math.min(freqData.length-1,Math.round(band.high/binHz));
+          let energy=0;
+          for(let k=bL;k<=bH;k++){
+            // Fraction of bin k ([k-½, k+½]·binHz) inside the band
+            const w=Math.min(band.high,(k+.5)*binHz)-Math.max(band.low,(k-.5)*binHz);
+            if(w<=0) continue;
+            const d=aWeightTable?freqData[k]+aWeightTable[k]:freqData[k];
+            energy+=Math.pow(10,d/10)*Math.min(1,w/binHz);
           }
-          const avgDb=count>0?10*Math.log10(Math.max(energy/count,1e-30)):-100;
-          return {center, db:avgDb, normalized:clamp((avgDb+100)/100,0,1)};
-        })
-      };
+          db=energy>0?10*Math.log10(Math.max(energy/enbw,1e-30)):-100;
+        }
+        db=Math.max(db,-100);
+        return {center:band.center,fm:band.fm,low:band.low,high:band.high,db,normalized:clamp((db+100)/100,0,1),
+          source:i<state.nFb?'filter':'fft',resolved:i<state.nFb||band.high-band.low>=enbw*binHz};
+      });
+      return {bands,resolution:res,filterBank:state.nFb>0,crossover:state.nFb?state.bands[state.nFb-1].high:null};
     }
   };
 
@@ -164,50 +412,161 @@
     }
   };
 
+  // ITU-R BS.1770-4 / EBU R128. Each channel is K-weighted, squared, scaled by
+  // its channel weight and summed into 100 ms sub-blocks; momentary (400 ms) and
+  // short-term (3 s) windows slide in 100 ms steps, so gating blocks overlap by
+  // 75%. Gated blocks go into fixed 0.01 LU histograms (bounded memory however
+  // long the programme) for integrated loudness and EBU Tech 3342 LRA.
   const LufsModule = {
     _biquad(f,x){ const y=f.b0*x+f.b1*f.x1+f.b2*f.x2-f.a1*f.y1-f.a2*f.y2; f.x2=f.x1;f.x1=x;f.y2=f.y1;f.y1=y; return y; },
     _filters(sr){
-      const Vh=Math.pow(10,3.99984385397/20),Vb=Math.pow(Vh,.4845),f0=1681.974450955533,Q=.7071752369554196,K=Math.tan(Math.PI*f0/sr);
+      const Vh=Math.pow(10,3.99984385397/20),Vb=Math.pow(Vh,.4996667741545416),f0=1681.974450955533,Q=.7071752369554196,K=Math.tan(Math.PI*f0/sr);
       const a0=1+K/Q+K*K;
       const pre={b0:(Vh+Vb*K/Q+K*K)/a0,b1:(2*(K*K-Vh))/a0,b2:(Vh-Vb*K/Q+K*K)/a0,a1:(2*(K*K-1))/a0,a2:(1-K/Q+K*K)/a0,x1:0,x2:0,y1:0,y2:0};
       const f0h=38.13547087613982,Qh=.5003270373238773,Kh=Math.tan(Math.PI*f0h/sr),a0h=1+Kh/Qh+Kh*Kh;
-      const hp={b0:1/a0h,b1:-2/a0h,b2:1/a0h,a1:(2*(Kh*Kh-1))/a0h,a2:(1-Kh/Qh+Kh*Kh)/a0h,x1:0,x2:0,y1:0,y2:0};
+      const hp={b0:1,b1:-2,b2:1,a1:(2*(Kh*Kh-1))/a0h,a2:(1-Kh/Qh+Kh*Kh)/a0h,x1:0,x2:0,y1:0,y2:0};
       return {pre,hp};
     },
-    process(timeData, state, sampleRate) {
-      if(!state.f){ state.f=this._filters(sampleRate); state.mb=[]; state.sb=[]; state.ib=[]; state.il=-Infinity; }
-      let bms=0;
-      for(let i=0;i<timeData.length;i++){ let s=this._biquad(state.f.pre,timeData[i]); s=this._biquad(state.f.hp,s); bms+=s*s; }
-      bms/=timeData.length;
-      circularPush(state.mb,bms,4); circularPush(state.sb,bms,30);
-      const mL=mean(state.mb),sL=mean(state.sb);
-      const ml=mL>0?-0.691+10*Math.log10(mL):-Infinity;
-      const sl=sL>0?-0.691+10*Math.log10(sL):-Infinity;
-      if(ml>-70) state.ib.push(bms);
-      if(state.ib.length>0){
-        const ug=mean(state.ib),ul=-0.691+10*Math.log10(ug),rg=ul-10;
-        const g=state.ib.filter(ms=>ms>0&&-0.691+10*Math.log10(ms)>rg);
-        if(g.length>0) state.il=-0.691+10*Math.log10(mean(g));
-      }
-      const lb=state.sb.filter(ms=>ms>0).map(ms=>-0.691+10*Math.log10(ms)).filter(l=>l>-70);
-      let lra=0;
-      if(lb.length>1){const s=[...lb].sort((a,b)=>a-b); lra=s[Math.floor(s.length*.95)]-s[Math.floor(s.length*.1)];}
-      return {momentary:isFinite(ml)?ml:-Infinity,shortTerm:isFinite(sl)?sl:-Infinity,integrated:isFinite(state.il)?state.il:-Infinity,lra};
+    /**
+     * BS.1770-4 channel weights for a channel count, in L, R, C, LFE, Ls, Rs
+     * order: surrounds get 1.41 (+1.5 dB), the LFE of a 5.1 feed is excluded.
+     * @param {number} n
+     * @returns {number[]}
+     */
+    weights(n){ return n===6?[1,1,1,0,1.41,1.41]:n===5?[1,1,1,1.41,1.41]:new Array(n).fill(1); },
+    _lk(ms){ return ms>0?-0.691+10*Math.log10(ms):-Infinity; },
+    _hist(){ return {n:new Uint32Array(8000),e:new Float64Array(8000),count:0,sum:0}; },   // -70 … +10 LUFS
+    _add(h,ms,l){ const b=clamp(Math.floor((l+70)*100),0,7999); h.n[b]++; h.e[b]+=ms; h.count++; h.sum+=ms; },
+    // Bin index of the first bin above a loudness threshold
+    _bin(l){ return clamp(Math.ceil((l+70)*100-.5),0,8000); },
+    _integrated(h){
+      if(!h.count) return -Infinity;
+      let n=0,e=0;
+      for(let b=this._bin(this._lk(h.sum/h.count)-10);b<8000;b++){ n+=h.n[b]; e+=h.e[b]; }
+      return n?this._lk(e/n):-Infinity;
+    },
+    _lra(h){
+      if(!h.count) return 0;
+      let n=0;
+      const b0=this._bin(this._lk(h.sum/h.count)-20);
+      for(let b=b0;b<8000;b++) n+=h.n[b];
+      if(n<2) return 0;
+      const pct=p=>{ const k=Math.round((n-1)*p); let c=0; for(let b=b0;b<8000;b++){ c+=h.n[b]; if(c>k) return b/100-70+.005; } return 10; };
+      return pct(.95)-pct(.1);
+    },
+    /**
+     * @param {Float32Array[]} channels - new samples per channel, same length
+     * @param {object} state
+     * @param {number} sampleRate
+     * @param {number[]} [weights] - per-channel weights, default weights(channels.length)
+     * @returns {{momentary,shortTerm,integrated,lra,momentaryMax,shortTermMax,channels}} LUFS / LU
+     */
+    process(channels, state, sampleRate, weights=null) {
+      const nc=channels.length,len=channels[0].length;
+      if(!state.f||state.nc!==nc){
+        Object.assign(state,{nc,f:channels.map(()=>this._filters(sampleRate)),g:weights||this.weights(nc),step:Math.round(sampleRate*.1),
+          acc:0,pos:0,sub:[],m:-Infinity,s:-Infinity,mMax:-Infinity,sMax:-Infinity,ih:this._hist(),sh:this._hist(),z:null});
+      }
+      if(!state.z||state.z.length<len) state.z=new Float64Array(len);
+      const z=state.z; z.fill(0,0,len);
+      for(let c=0;c<nc;c++){
+        const g=state.g[c],f=state.f[c],x=channels[c];
+        if(!g) continue;
+        for(let i=0;i<len;i++){ const s=this._biquad(f.hp,this._biquad(f.pre,x[i])); z[i]+=g*s*s; }
+      }
+      for(let i=0;i<len;i++){
+        state.acc+=z[i];
+        if(++state.pos<state.step) continue;
+        circularPush(state.sub,state.acc/state.step,30); state.acc=0; state.pos=0;
+        const k=state.sub.length;
+        if(k>=4){
+          const ms=(state.sub[k-1]+state.sub[k-2]+state.sub[k-3]+state.sub[k-4])/4;
+          state.m=this._lk(ms); if(state.m>state.mMax) state.mMax=state.m;
+          if(state.m>-70) this._add(state.ih,ms,state.m);
+        }
+        if(k===30){
+          const ms=mean(state.sub);
+          state.s=this._lk(ms); if(state.s>state.sMax) state.sMax=state.s;
+          if(state.s>-70) this._add(state.sh,ms,state.s);
+        }
+      }
+      return {momentary:state.m,shortTerm:state.s,integrated:this._integrated(state.ih),lra:this._lra(state.sh),momentaryMax:state.mMax,shortTermMax:state.sMax,channels:nc};
     }
   };
 
+  // ITU-R BS.1770-4 Annex 2 true-peak. Each channel is interpolated by a
+  // polyphase FIR: 4x uses the 48-tap Annex coefficients, 8x a Kaiser-windowed
+  // sinc of 24 taps per phase. The tail of every block is kept as filter
+  // history, so peaks straddling block boundaries are found too.
+  const TP_PHASES_4X = [
+    [ .0017089843750, .0109863281250,-.0196533203125, .0332031250000,-.0594482421875, .1373291015625, .9721679687500,-.1022949218750, .0476074218750,-.0266113281250, .0148925781250,-.0083007812500],
+    [-.0291748046875, .0292968750000,-.0517578125000, .0891113281250,-.1665039062500, .4650878906250, .7797851562500,-.2003173828125, .1015625000000,-.0582275390625, .0330810546875,-.0189208984375],
+    [-.0189208984375, .0330810546875,-.0582275390625, .1015625000000,-.2003173828125, .7797851562500, .4650878906250,-.1665039062500, .0891113281250,-.0517578125000, .0292968750000,-.0291748046875],
+    [-.0083007812500, .0148925781250,-.0266113281250, .0476074218750,-.1022949218750, .9721679687500, .1373291015625,-.0594482421875, .0332031250000,-.0196533203125, .0109863281250, .0017089843750],
+  ];
+
   const TruePeakModule = {
-    process(timeData, state) {
-      if(state.hold===undefined) state.hold=-Infinity;
-      let max=0;
-      for(let i=0;i<timeData.length-1;i++){
-        const a=timeData[i],b=timeData[i+1];
-        const s=[a,a*.75+b*.25,a*.5+b*.5,a*.25+b*.75];
-        for(const v of s) if(Math.abs(v)>max) max=Math.abs(v);
+    // Kaiser-windowed sinc split into os phases, each normalized to unity DC gain
+    _design(os, taps=24, beta=5.65){
+      const N=os*taps,c=(N-1)/2,i0=x=>{let s=1,t=1;for(let k=1;k<30;k++){t*=(x/(2*k))*(x/(2*k));s+=t;}return s;};
+      const ph=Array.from({length:os},()=>new Float64Array(taps));
+      for(let n=0;n<N;n++){
+        const t=(n-c)/os,r=(n-c)/c;
+        ph[n%os][Math.floor(n/os)]=(t===0?1:Math.sin(Math.PI*t)/(Math.PI*t))*i0(beta*Math.sqrt(Math.max(0,1-r*r)))/i0(beta);
+      }
+      ph.forEach(p=>{const s=p.reduce((a,b)=>a+b,0);for(let k=0;k<taps;k++)p[k]/=s;});
+      return ph;
+    },
+    _phases(os){ return os===4?TP_PHASES_4X:(this._p8||(this._p8=this._design(8))); },
+    /** Clear max hold and over counts, keeping filter history. */
+    resetHold(state){
+      if(!state.ch) return;
+      state.hold=-Infinity; state.overs=0;
+      state.ch.forEach(c=>{c.hold=-Infinity;c.overs=0;});
+    },
+    /**
+     * @param {Float32Array[]} channels - new samples per channel, same length
+     * @param {object} state
+     * @param {number} sampleRate
+     * @param {number} [ceiling=-1] - dBTP over threshold
+     * @param {number} [oversampling=4] - 4 or 8
+     * @returns {{truePeak,truePeakHold,isOver,overs,newOvers,ceiling,oversampling,channels}} dBTP
+     */
+    process(channels, state, sampleRate, ceiling=-1, oversampling=4) {
+      const nc=channels.length,len=channels[0].length;
+      if(!state.ch||state.ch.length!==nc||state.os!==oversampling){
+        const T=this._phases(oversampling)[0].length;
+        state.os=oversampling; state.hold=-Infinity; state.overs=0; state.n=0;
+        state.ch=channels.map(()=>({h:new Float64Array(T-1),buf:null,hold:-Infinity,overs:0,last:-Infinity}));
       }
+      const ph=this._phases(oversampling),T=ph[0].length,lim=dbToLin(ceiling),gap=Math.round(sampleRate*.01);
+      let max=0,fresh=0;
+      const out=state.ch.map((cs,c)=>{
+        if(!cs.buf||cs.buf.length<T-1+len) cs.buf=new Float64Array(T-1+len);
+        const b=cs.buf,x=channels[c];
+        b.set(cs.h); for(let i=0;i<len;i++) b[T-1+i]=x[i];
+        let pk=0;
+        for(let m=0;m<len;m++){
+          let mx=0;
+          for(let p=0;p<ph.length;p++){
+            const h=ph[p]; let y=0;
+            for(let k=0;k<T;k++) y+=h[k]*b[m+T-1-k];
+            if(y<0) y=-y; if(y>mx) mx=y;
+          }
+          if(mx>pk) pk=mx;
+          // Overs closer than 10 ms together count as one event
+          if(mx>lim){ if(state.n+m-cs.last>gap){cs.overs++;fresh++;} cs.last=state.n+m; }
+        }
+        cs.h.set(b.subarray(len,len+T-1));
+        const db=linToDb(pk);
+        if(db>cs.hold) cs.hold=db;
+        if(pk>max) max=pk;
+        return {truePeak:db,truePeakHold:cs.hold,overs:cs.overs};
+      });
+      state.n+=len; state.overs+=fresh;
       const db=linToDb(max);
       if(db>state.hold) state.hold=db;
-      return {truePeak:db,truePeakHold:state.hold,isOver:db>-1.0};
+      return {truePeak:db,truePeakHold:state.hold,isOver:db>ceiling,overs:state.overs,newOvers:fresh,ceiling,oversampling,channels:out};
     }
   };
 
@@ -224,10 +583,29 @@
   };
 
   const PitchModule = {
-    process(timeData, sampleRate, threshold=0.15) {
+    _buf:null,
+    // YIN difference d(t) = E(0..H) + E(t..t+H) - 2*r(t), with the cross term r(t)
+    // from one FFT correlation instead of the O(N^2) double loop.
+    _difference(timeData, H) {
+      const N=timeData.length;
+      let P=1; while(P<N) P<<=1;
+      if(!this._buf||this._buf.P!==P) this._buf={P,xr:new Float64Array(P),xi:new Float64Array(P),ar:new Float64Array(P),ai:new Float64Array(P)};
+      const {xr,xi,ar,ai}=this._buf;
+      xr.fill(0); xi.fill(0); ar.fill(0); ai.fill(0);
+      for(let j=0;j<N;j++) xr[j]=timeData[j];
+      for(let j=0;j<H;j++) ar[j]=timeData[j];
+      fft(xr,xi); fft(ar,ai);
+      // conj(A)·X, then inverse FFT via conjugation
+      for(let k=0;k<P;k++){ const re=ar[k]*xr[k]+ai[k]*xi[k],im=ar[k]*xi[k]-ai[k]*xr[k]; xr[k]=re; xi[k]=-im; }
+      fft(xr,xi);
+      const diff=new Float32Array(H),sq=new Float64Array(N+1);
+      for(let j=0;j<N;j++) sq[j+1]=sq[j]+timeData[j]*timeData[j];
+      for(let t=0;t<H;t++) diff[t]=Math.max(0,sq[H]+(sq[t+H]-sq[t])-2*xr[t]/P);
+      return diff;
+    },
+    process(timeData, sampleRate, threshold=0.15, reference=440) {
       const N=timeData.length,H=Math.floor(N/2);
-      const diff=new Float32Array(H);
-      for(let t=0;t<H;t++) for(let j=0;j<H;j++){const d=timeData[j]-timeData[j+t];diff[t]+=d*d;}
+      const diff=this._difference(timeData,H);
       const cm=new Float32Array(H); cm[0]=1; let rs=0;
       for(let t=1;t<H;t++){rs+=diff[t];cm[t]=diff[t]/((1/t)*rs);}
       let tau=-1;
@@ -236,12 +614,40 @@
       let bt=tau;
       if(tau>0&&tau<H-1){const s0=cm[tau-1],s1=cm[tau],s2=cm[tau+1];bt=tau+(s2-s0)/(2*(2*s1-s2-s0));}
       const freq=bt>0?sampleRate/bt:0,conf=tau>0?clamp(1-cm[tau],0,1):0;
-      return {frequency:conf>0.5?freq:0,rawFrequency:freq,confidence:conf,note:hzToNote(freq)};
+      return {frequency:conf>0.5?freq:0,rawFrequency:freq,confidence:conf,note:hzToNote(freq,reference)};
     }
   };
 
+  /**
+   * Pitch-class profile from the spectral peaks between fmin and fmax (dB
+   * spectrum). Peak frequencies are parabolic-interpolated, so low notes land
+   * in the right class despite wide bins; each peak adds its linear amplitude.
+   * Peaks more than 50 dB below the loudest are ignored.
+   * @returns {{chroma: Float32Array, maxDb: number}}
+   */
+  function peakChroma(freqData, binHz, fmin, fmax) {
+    const lo=Math.max(2,Math.ceil(fmin/binHz)),hi=Math.min(freqData.length-2,Math.floor(fmax/binHz)),ch=new Float32Array(12);
+    let mx=-Infinity; for(let i=lo;i<=hi;i++) if(freqData[i]>mx) mx=freqData[i];
+    for(let i=lo;i<=hi;i++){
+      const v=freqData[i],a=freqData[i-1],b=freqData[i+1];
+      if(v<mx-50||v<=a||v<b) continue;
+      const d=a-2*v+b,f=(i+(d<0?.5*(a-b)/d:0))*binHz;
+      ch[((Math.round(12*Math.log2(f/440)+69)%12)+12)%12]+=Math.pow(10,v/20);
+    }
+    return {chroma:ch,maxDb:mx};
+  }
+
+  /**
+   * Chromagram and key tracking. Frame chroma is accumulated with an
+   * exponential decay (time constant `window` seconds, 0 = this frame only;
+   * frames whose loudest bin is below -70 dB are skipped) and correlated with
+   * all 24 rotations of a KEY_PROFILES entry. Confidence is a softmax over the
+   * correlations. A new key must stay on top for HOLD seconds before it
+   * replaces the reported one; `since` is when it first took the lead.
+   */
   const ChromagramModule = {
-    process(freqData, sampleRate, fftSize) {
+    HOLD:2, GATE:-70, TEMP:.05, FMIN:60, FMAX:5000,
+    process(freqData, sampleRate, fftSize, state={}, time=0, window=8, profile='krumhansl') {
       const binHz=sampleRate/fftSize,ch=new Float32Array(12);
       for(let i=1;i<freqData.length;i++){
         const f=i*binHz; if(f<20||f>20000) continue;
@@ -249,18 +655,84 @@
         ch[pc]+=e;
       }
       const mx=Math.max(...ch); if(mx>0) for(let i=0;i<12;i++) ch[i]/=mx;
-      let bk=0,bm='major',bc=-Infinity;
+      const {chroma:kc,maxDb}=peakChroma(freqData,binHz,this.FMIN,this.FMAX),kmx=Math.max(...kc);
+      if(kmx>0) for(let i=0;i<12;i++) kc[i]/=kmx;
+      if(!state.acc){state.acc=new Float32Array(12);state.key=null;state.since=time;state.pend=null;state.last=time;state.n=0;}
+      const acc=state.acc,k=window>0?Math.exp(-Math.max(0,time-state.last)/window):0;
+      state.last=time;
+      if(maxDb>this.GATE&&kmx>0){
+        for(let i=0;i<12;i++) acc[i]=state.n?k*acc[i]+(1-k)*kc[i]:kc[i];
+        state.n++;
+      }
+      const src=state.n?acc:kc,prof=KEY_PROFILES[profile]||KEY_PROFILES.krumhansl,keys=[];
       for(let r=0;r<12;r++){
-        const rot=[...ch.slice(r),...ch.slice(0,r)];
-        const majC=correlate(rot,MAJOR_PROFILE),minC=correlate(rot,MINOR_PROFILE);
-        if(majC>bc){bc=majC;bk=r;bm='major';} if(minC>bc){bc=minC;bk=r;bm='minor';}
+        const rot=[...src.slice(r),...src.slice(0,r)];
+        for(const mode of ['major','minor']){
+          const c=correlate(rot,prof[mode]);
+          keys.push({key:NOTE_NAMES[r],mode,keyString:`${NOTE_NAMES[r]} ${mode}`,correlation:isFinite(c)?c:0});
+        }
       }
-      return {chroma:Array.from(ch),key:NOTE_NAMES[bk],mode:bm,keyString:`${NOTE_NAMES[bk]} ${bm}`,confidence:clamp(bc,0,1)};
+      keys.sort((a,b)=>b.correlation-a.correlation);
+      let z=0; keys.forEach(x=>z+=x.confidence=Math.exp((x.correlation-keys[0].correlation)/this.TEMP));
+      keys.forEach(x=>x.confidence/=z);
+      const top=keys[0];
+      let changed=false,previous=state.key;
+      if(!state.n||top.keyString===state.key) state.pend=null;
+      else if(!state.pend||state.pend.keyString!==top.keyString) state.pend={keyString:top.keyString,since:time};
+      else if(time-state.pend.since>=this.HOLD){ state.key=top.keyString; state.since=state.pend.since; state.pend=null; changed=true; }
+      const cur=keys.find(x=>x.keyString===state.key)||top;
+      return {chroma:Array.from(ch),accumulated:Array.from(src),key:cur.key,mode:cur.mode,keyString:cur.keyString,confidence:cur.confidence,correlation:cur.correlation,
+        keys:keys.slice(0,5),profile:KEY_PROFILES[profile]?profile:'krumhansl',changed,previous:changed?previous:null,since:state.since};
+    }
+  };
+
+  // Chord templates: pitch classes above the root, suffix after the root name
+  const CHORD_TYPES=[
+    {quality:'maj', suffix:'',     iv:[0,4,7]},
+    {quality:'min', suffix:'m',    iv:[0,3,7]},
+    {quality:'7',   suffix:'7',    iv:[0,4,7,10]},
+    {quality:'maj7',suffix:'maj7', iv:[0,4,7,11]},
+    {quality:'min7',suffix:'m7',   iv:[0,3,7,10]},
+    {quality:'sus2',suffix:'sus2', iv:[0,2,7]},
+    {quality:'sus4',suffix:'sus4', iv:[0,5,7]},
+    {quality:'dim', suffix:'dim',  iv:[0,3,6]},
+    {quality:'aug', suffix:'aug',  iv:[0,4,8]},
+  ];
+
+  /**
+   * Template chord recognition. Its own chroma comes from spectral peaks
+   * between 80 Hz and 2.5 kHz (parabolic-interpolated, so low notes land in
+   * the right pitch class despite wide bins), smoothed with a 0.2 s time
+   * constant, and is matched against every root × CHORD_TYPES template by
+   * cosine similarity. A new chord must lead by 0.03 for 0.15 s before it
+   * replaces the current one; 'N' means no chord (quiet, or best score < 0.65).
+   */
+  const ChordModule = {
+    TAU:.2, HOLD:.15, MARGIN:.03, MIN_SCORE:.65,
+    _templates:null,
+    process(freqData, sampleRate, fftSize, state, time) {
+      if(!this._templates) this._templates=[].concat(...NOTE_NAMES.map((root,r)=>CHORD_TYPES.map(t=>{
+        const v=new Float32Array(12); t.iv.forEach(i=>v[(r+i)%12]=1/Math.sqrt(t.iv.length));
+        return {name:root+t.suffix,root,quality:t.quality,v};
+      })));
+      if(!state.c){state.c=new Float32Array(12);state.chord='N';state.since=time;state.pend=null;state.last=time;}
+      const {chroma:ch,maxDb:mx}=peakChroma(freqData,sampleRate/fftSize,80,2500);
+      const k=Math.exp(-Math.max(0,time-state.last)/this.TAU);state.last=time;
+      let n=0; for(let i=0;i<12;i++){ state.c[i]=k*state.c[i]+(1-k)*ch[i]; n+=state.c[i]*state.c[i]; }
+      n=Math.sqrt(n);
+      const scores=this._templates.map(t=>{ let d=0; for(let i=0;i<12;i++) d+=t.v[i]*state.c[i]; return {name:t.name,root:t.root,quality:t.quality,score:n>0?d/n:0}; }).sort((a,b)=>b.score-a.score);
+      const best=mx>-60&&scores[0].score>=this.MIN_SCORE?scores[0]:null,cand=best?best.name:'N';
+      const cur=state.chord==='N'?0:(scores.find(x=>x.name===state.chord)||{score:0}).score;
+      let changed=false,previous=state.chord;
+      if(cand===state.chord||best&&best.score-cur<this.MARGIN) state.pend=null;
+      else if(!state.pend||state.pend.name!==cand) state.pend={name:cand,since:time};
+      else if(time-state.pend.since>=this.HOLD){ state.chord=cand; state.since=state.pend.since; state.pend=null; changed=true; }
+      const c=state.chord==='N'?null:scores.find(x=>x.name===state.chord);
+      return {chord:state.chord,root:c?c.root:null,quality:c?c.quality:null,score:c?c.score:0,candidates:scores.slice(0,3),changed,previous:changed?previous:null,since:state.since};
     }
   };
 
   const MfccModule = {
-    _fb:null,
     _build(sr,fftSize,nf=26,fmin=20,fmax=8000){
       const nb=fftSize/2,mel0=hzToMel(fmin),mel1=hzToMel(fmax),pts=[];
       for(let i=0;i<=nf+1;i++) pts.push(melToHz(mel0+i*(mel1-mel0)/(nf+1)));
@@ -276,46 +748,419 @@
       }
       return fb;
     },
-    process(freqData, sampleRate, fftSize, nc=13) {
-      if(!this._fb) this._fb=this._build(sampleRate,fftSize);
-      const pw=new Float32Array(freqData.length);
+    process(freqData, sampleRate, fftSize, state, nc=13) {
+      if(!state.fb||state.sr!==sampleRate||state.n!==fftSize){ state.fb=this._build(sampleRate,fftSize); state.sr=sampleRate; state.n=fftSize; }
+      const fb=state.fb,pw=new Float32Array(freqData.length);
       for(let i=0;i<freqData.length;i++) pw[i]=Math.pow(10,freqData[i]/10);
-      const me=new Float32Array(this._fb.length);
-      for(let m=0;m<this._fb.length;m++){let e=0;for(let k=0;k<freqData.length;k++)e+=this._fb[m][k]*pw[k];me[m]=Math.log(Math.max(1e-10,e));}
+      const me=new Float32Array(fb.length);
+      for(let m=0;m<fb.length;m++){let e=0;for(let k=0;k<freqData.length;k++)e+=fb[m][k]*pw[k];me[m]=Math.log(Math.max(1e-10,e));}
       return {mfcc:Array.from(dct(me).slice(0,nc)),numCoeffs:nc};
     }
   };
 
+  // ============================================================================
+  // TIMBRE CLASSIFIER (MFCC REFERENCE PROFILES)
+  // ============================================================================
+
+  // Feature vector: MFCC c1–c12 (c0 is overall level, left out so a class
+  // does not depend on how loud it was captured) followed by Δc0–Δc12
+  const TIMBRE_DIMS=25;
+
+  /**
+   * Checked copy of a timbre profile: {format:'ordo-timbre', version:1,
+   * fftSize, sampleRate, classes:[{label, snippets:[{frames, mean, var}]}]},
+   * mean and var holding TIMBRE_DIMS values. Throws if p is not one.
+   */
+  function timbreProfile(p) {
+    if(typeof p==='string') p=JSON.parse(p);
+    if(!p||p.format!=='ordo-timbre'||!Array.isArray(p.classes)) throw new Error('Timbre profile: not an ordo-timbre profile');
+    const vec=a=>Array.isArray(a)&&a.length===TIMBRE_DIMS&&a.every(Number.isFinite);
+    return {format:'ordo-timbre',version:1,fftSize:p.fftSize||null,sampleRate:p.sampleRate||null,
+      classes:p.classes.filter(c=>c&&c.label!=null).map(c=>({label:String(c.label),
+        snippets:(c.snippets||[]).filter(s=>s&&s.frames>0&&vec(s.mean)&&vec(s.var)).map(s=>({frames:s.frames,mean:s.mean.slice(),var:s.var.slice()}))}))};
+  }
+
+  /**
+   * Classifies the live timbre against labelled reference snippets. Each frame
+   * above the gate gives a feature vector (TIMBRE_DIMS; deltas by regression
+   * over ±2 frames, so it describes the frame two hops back). A capture
+   * accumulates the vectors' mean and variance as one snippet of its class.
+   * The vectors of the last `window` seconds are scored against every class:
+   * 'gaussian' pools a class's snippets into a diagonal Gaussian and averages
+   * the frames' log-likelihood; 'nearest' takes the standardized distance of
+   * the window mean to the class's closest snippet. Scores become
+   * probabilities by softmax; below `threshold` confidence the label is null.
+   * The softmax only ranks the known classes, so a match whose RMS z-score
+   * `distance` to the class exceeds `maxDistance` is rejected as unknown.
+   */
+  const TimbreModule = {
+    DELTA:2, MIN_FRAMES:5, VAR_FLOOR:1e-4,
+    // Class Gaussians and the pooled within-snippet variance, rebuilt when the profile object changes
+    _model(profile, state) {
+      if(state.profile===profile) return state.model;
+      const D=TIMBRE_DIMS,pooled=new Float64Array(D);let N=0;
+      const classes=(profile?profile.classes:[]).filter(c=>c.snippets.length).map(c=>{
+        const mu=new Float64Array(D),v=new Float64Array(D);let n=0;
+        for(const s of c.snippets){ n+=s.frames; for(let d=0;d<D;d++){ mu[d]+=s.frames*s.mean[d]; v[d]+=s.frames*(s.var[d]+s.mean[d]*s.mean[d]); pooled[d]+=s.frames*s.var[d]; } }
+        for(let d=0;d<D;d++){ mu[d]/=n; v[d]=v[d]/n-mu[d]*mu[d]; }
+        N+=n; return {label:c.label,mu,v,snippets:c.snippets};
+      });
+      for(let d=0;d<D;d++) pooled[d]=Math.max(N?pooled[d]/N:1,this.VAR_FLOOR);
+      // A steady class (hum) would otherwise get a needle-thin Gaussian
+      for(const c of classes){ let ld=0; for(let d=0;d<D;d++){ c.v[d]=Math.max(c.v[d],.1*pooled[d]); ld+=Math.log(c.v[d]); } c.logDet=ld; }
+      state.profile=profile; state.model={classes,pooled};
+      return state.model;
+    },
+    process(mfcc, timeData, time, state, o) {
+      const D=TIMBRE_DIMS,K=this.DELTA;
+      if(!state.hist){ state.hist=[]; state.win=[]; state.label=null; state.since=time; }
+      let e=0; for(let i=0;i<timeData.length;i++) e+=timeData[i]*timeData[i];
+      const level=10*Math.log10(Math.max(e/timeData.length,1e-20));
+      state.hist.push({c:mfcc,active:level>o.gate});
+      if(state.hist.length>2*K+1) state.hist.shift();
+      const h=state.hist,mid=h[K];
+      if(h.length===2*K+1&&mid.active){
+        const x=new Float64Array(D);
+        for(let k=1;k<13;k++) x[k-1]=mid.c[k];
+        for(let k=0;k<13;k++){ let dv=0; for(let n=1;n<=K;n++) dv+=n*(h[K+n].c[k]-h[K-n].c[k]); x[12+k]=dv/10; }
+        const cap=state.cap;
+        if(cap){ cap.n++; for(let d=0;d<D;d++){ cap.s[d]+=x[d]; cap.q[d]+=x[d]*x[d]; } }
+        state.win.push({t:time,x});
+      }
+      while(state.win.length&&state.win[0].t<=time-o.window) state.win.shift();
+      const model=this._model(o.profile,state),W=state.win.length;
+      let scores=[];
+      if(W&&model.classes.length){
+        const m=new Float64Array(D);
+        for(const f of state.win) for(let d=0;d<D;d++) m[d]+=f.x[d]/W;
+        scores=model.classes.map(c=>{
+          let cost=0,z2=0;
+          if(o.model==='nearest'){
+            cost=Infinity;
+            for(const s of c.snippets){ let q=0; for(let d=0;d<D;d++) q+=(m[d]-s.mean[d])*(m[d]-s.mean[d])/model.pooled[d]; cost=Math.min(cost,q); }
+            z2=cost;
+          } else {
+            for(const f of state.win) for(let d=0;d<D;d++) cost+=(f.x[d]-c.mu[d])*(f.x[d]-c.mu[d])/c.v[d];
+            cost=cost/W+c.logDet;
+            for(let d=0;d<D;d++) z2+=(m[d]-c.mu[d])*(m[d]-c.mu[d])/c.v[d];
+          }
+          return {label:c.label,cost,distance:Math.sqrt(z2/D)};
+        });
+        const lo=Math.min(...scores.map(s=>s.cost));
+        let sum=0; for(const s of scores){ s.probability=Math.exp(-(s.cost-lo)/2); sum+=s.probability; }
+        scores=scores.map(s=>({label:s.label,probability:s.probability/sum,distance:s.distance})).sort((a,b)=>b.probability-a.probability);
+      }
+      const best=scores[0],unknown=!!best&&best.distance>o.maxDistance;
+      const label=best&&!unknown&&best.probability>=o.threshold?best.label:null,previous=state.label,changed=label!==previous;
+      if(changed){ state.label=label; state.since=time; }
+      return {label,confidence:label!=null?best.probability:0,scores,unknown,changed,previous:changed?previous:null,since:state.since,
+        active:W>0,level,classes:model.classes.map(c=>c.label),capturing:state.cap?{label:state.cap.label,frames:state.cap.n}:null};
+    },
+    // Ends a capture: {label, snippet:{frames, mean, var}}, or null when too few frames were above the gate
+    finishCapture(state) {
+      const c=state.cap; state.cap=null;
+      if(!c||c.n<this.MIN_FRAMES) return null;
+      const r=v=>+v.toPrecision(6),mean=Array.from(c.s,s=>s/c.n);
+      return {label:c.label,snippet:{frames:c.n,mean:mean.map(r),var:Array.from(c.q,(q,d)=>r(Math.max(q/c.n-mean[d]*mean[d],0)))}};
+    }
+  };
+
+  /**
+   * Onset detection and beat tracking. Spectral flux (positive dB change per
+   * bin) flags onsets against an adaptive threshold and is resampled, shifted
+   * back by half the FFT window, into a 50 Hz onset-strength envelope. Every
+   * 0.5 s the last 8 s of envelope are autocorrelated; a comb over the first
+   * four multiples of each lag, weighted by a log-Gaussian prior around
+   * 120 BPM, picks the beat period (Davies & Plumbley 2007). A period near
+   * half, double, 2/3 or 3/2 of the current one must outscore it by 1/0.7
+   * before the tempo jumps; other jumps must win two updates in a row. The
+   * phase is the offset where a pulse train at that period best fits the
+   * recent envelope, and beats are reported as their predicted time passes.
+   * Low-band flux (< 250 Hz) gathered on each position of a 4-beat bar picks
+   * the downbeat. Without a beat there is no tempo: an envelope whose peaks
+   * average under MIN_STRENGTH dB per bin (steady tones, noise) or whose
+   * autocorrelation at the period is under MIN_CONF drops the period, and
+   * no beats are reported until one is found again.
+   */
   const OnsetModule = {
-    process(freqData, state, sampleRate, fftSize) {
-      if(!state.prev){state.prev=new Float32Array(freqData.length);state.ot=[];state.lof=0;state.fc=0;state.bh=[];state.fh=[];state.bpm=0;}
-      let flux=0;
-      for(let i=0;i<freqData.length;i++){const d=freqData[i]-state.prev[i];if(d>0)flux+=d;}
-      state.prev.set(freqData); state.fc++;
+    RATE:50, WINDOW:8, UPDATE:.5, FLOOR:-100, MIN_BPM:40, MAX_BPM:240, PRIOR_BPM:120, PRIOR_OCT:1, BAR:4, MIN_STRENGTH:.2, MIN_CONF:.05,
+    // time: stream position in seconds (sample clock), not wall-clock
+    process(freqData, state, sampleRate, fftSize, time) {
+      const R=this.RATE,N=R*this.WINDOW;
+      if(!state.prev){
+        state.prev=new Float32Array(freqData.length);state.bins=freqData.length;state.lot=-Infinity;state.fh=[];state.first=true;
+        state.env=new Float32Array(N);state.low=new Float32Array(N);state.fill=0;state.gt=null;state.pt=0;state.pf=0;state.pl=0;
+        state.period=0;state.pend=null;state.upd=-Infinity;state.conf=0;state.tg=null;
+        state.next=null;state.beat=null;state.bar=new Float32Array(this.BAR);state.seg=new Float32Array(12);state.prevSeg=null;state.lowAvg=null;state.lb=null;
+      }
+      const binHz=sampleRate/fftSize,lowHi=Math.ceil(250/binHz);
+      let flux=0,low=0;
+      // Bins are floored at FLOOR dB so changes far below audibility don't count
+      for(let i=0;i<freqData.length;i++){
+        const v=Math.max(this.FLOOR,freqData[i]),d=v-state.prev[i]; state.prev[i]=v;
+        if(d>0){flux+=d;if(i<=lowHi)low+=d;}
+      }
+      if(state.first){flux=low=0;state.first=false;}
       circularPush(state.fh,flux,20);
-      const mg=Math.max(state.fc-state.lof,1),minGap=Math.round(.25*sampleRate/fftSize);
       let onset=false;
-      if(flux>mean(state.fh)*1.5&&mg>minGap){
-        onset=true; state.lof=state.fc;
-        circularPush(state.ot,Date.now(),16);
-        if(state.ot.length>=4){
-          const ivs=[];for(let i=1;i<state.ot.length;i++)ivs.push(state.ot[i]-state.ot[i-1]);
-          const ai=mean(ivs);if(ai>200&&ai<2000){circularPush(state.bh,60000/ai,8);state.bpm=mean(state.bh);}
+      if(flux>mean(state.fh)*1.5&&time-state.lot>.25){onset=true;state.lot=time;}
+
+      // Onset-strength envelope on a fixed grid, linear between frames
+      const te=time-fftSize/(2*sampleRate);
+      if(state.gt===null||te-state.gt>this.WINDOW||te<state.gt){state.gt=te;state.pt=te;state.fill=0;}
+      while(state.gt+1/R<=te){
+        state.gt+=1/R;
+        const a=te>state.pt?(state.gt-state.pt)/(te-state.pt):1;
+        state.env.copyWithin(0,1);state.env[N-1]=state.pf+(flux-state.pf)*a;
+        state.low.copyWithin(0,1);state.low[N-1]=state.pl+(low-state.pl)*a;
+        state.fill=Math.min(N,state.fill+1);
+      }
+      state.pt=te;state.pf=flux;state.pl=low;
+
+      if(state.fill>=3*R&&time-state.upd>=this.UPDATE){ state.upd=time; this._tempo(state); }
+
+      // Predicted beats pass as the stream reaches them. Bar positions collect
+      // votes: low-band flux near the beat (kick, bass) and the chroma change
+      // from the previous beat (chords change on the bar line)
+      const P=state.period,pos=j=>((j%this.BAR)+this.BAR)%this.BAR;
+      let beat=false,beatTime=null,beatInBar=0;
+      state.lowAvg=state.lowAvg==null?low:.99*state.lowAvg+.01*low;
+      if(P>0&&state.next!==null){
+        if(state.beat){
+          const b=(te-state.beat.time)/P,j=state.beat.index+Math.round(b);
+          if(Math.abs(b-Math.round(b))<.15&&state.lowAvg>0){
+            if(state.lb&&state.lb.j!==j) state.bar[pos(state.lb.j)]+=Math.log1p(state.lb.v);
+            if(!state.lb||state.lb.j!==j) state.lb={j,v:0};
+            state.lb.v=Math.max(state.lb.v,low/state.lowAvg);
+          }
+          const c=peakChroma(freqData,binHz,60,2000).chroma; for(let i=0;i<12;i++) state.seg[i]+=c[i];
+        }
+        if(time>=state.next){
+          beat=true;beatTime=state.next;
+          if(state.beat){
+            if(state.prevSeg) state.bar[pos(state.beat.index)]+=4*(1-correlate(state.prevSeg,state.seg));
+            state.prevSeg=state.seg; state.seg=new Float32Array(12);
+          }
+          state.beat={time:state.next,index:state.beat?state.beat.index+1:0};
+          for(let i=0;i<this.BAR;i++) state.bar[i]*=.95;
+          while(state.next<=time) state.next+=P;
         }
       }
-      return {flux,isOnset:onset,bpm:Math.round(state.bpm),bpmRaw:state.bpm,confidence:state.ot.length>4?clamp(1-variance(state.bh)/100,0,1):0};
+      let down=0; for(let i=1;i<this.BAR;i++) if(state.bar[i]>state.bar[down]) down=i;
+      if(state.beat) beatInBar=((state.beat.index-down)%this.BAR+this.BAR)%this.BAR+1;
+      const bpmRaw=P>0?60/P:0;
+      return {flux,isOnset:onset,time,bpm:Math.round(bpmRaw),bpmRaw,confidence:state.conf,
+        beat,beatTime,beatIndex:state.beat?state.beat.index:-1,beatInBar,downbeat:beat&&beatInBar===1,
+        phase:P>0&&state.next!==null?clamp(1-(state.next-time)/P,0,1):0,period:P,tempogram:state.tg};
+    },
+    _tempo(state) {
+      const R=this.RATE,env=state.env,N=env.length,M=8,e=new Float32Array(N);
+      // Moving-mean threshold and half-wave rectification keep the peaks only
+      for(let n=0;n<N;n++){
+        let s=0,c=0; for(let k=Math.max(0,n-M);k<=Math.min(N-1,n+M);k++){s+=env[k];c++;}
+        e[n]=Math.max(0,env[n]-s/c);
+      }
+      const tMin=Math.floor(60*R/this.MAX_BPM),tMax=Math.ceil(60*R/this.MIN_BPM),L=Math.min(N-1,4*tMax+3),ac=new Float32Array(L+1);
+      for(let l=0;l<=L;l++){let s=0;for(let n=l;n<N;n++)s+=e[n]*e[n-l];ac[l]=s/(N-l);}
+      // Rectified envelope RMS per bin: drum onsets give 0.5 dB and more, steady tones and noise well under 0.2
+      if(!(Math.sqrt(ac[0])/state.bins>=this.MIN_STRENGTH)) return this._lose(state,0);
+      const sc=new Float32Array(tMax+2);
+      for(let t=tMin;t<=tMax+1;t++){
+        let s=0;
+        for(let p=1;p<=4;p++){let q=0;for(let v=1-p;v<p;v++){const l=p*t+v;if(l<=L)q+=ac[l];}s+=q/(2*p-1);}
+        const lb=Math.log2(60*R/t/this.PRIOR_BPM)/this.PRIOR_OCT;
+        sc[t]=s*Math.exp(-.5*lb*lb);
+      }
+      let best=tMin; for(let t=tMin;t<=tMax;t++) if(sc[t]>sc[best]) best=t;
+      const peakNear=c=>{let b=Math.max(tMin,Math.floor(c*.96));for(let t=b;t<=Math.min(tMax,Math.ceil(c*1.04));t++)if(sc[t]>sc[b])b=t;return b;};
+      const refine=t=>{const a=sc[t-1]||0,b=sc[t],c=sc[t+1]||0,d=a-2*b+c;return t+(d<0&&t>tMin&&t<tMax?.5*(a-c)/d:0);};
+      let tau=this._metre(e,refine(best),tMin);
+      const cur=state.period*R;
+      if(cur>0){
+        const r=tau/cur,near=x=>Math.abs(r/x-1)<.05;
+        if(near(1)){ tau=.8*cur+.2*tau; state.pend=null; }
+        else if([.5,2,2/3,1.5].some(near)&&sc[peakNear(cur)]>=.7*sc[best]){ tau=.8*cur+.2*refine(peakNear(cur)); state.pend=null; }
+        else if(!state.pend||Math.abs(state.pend/tau-1)>=.05){ state.pend=tau; tau=cur; }
+        else state.pend=null;
+      }
+      const conf=clamp(ac[Math.round(tau)]/ac[0],0,1);
+      if(conf<this.MIN_CONF) return this._lose(state,conf);
+      const P=tau/R;
+      state.period=P;
+      state.conf=conf;
+      let mx=0; for(let t=tMin;t<=tMax;t++) if(sc[t]>mx) mx=sc[t];
+      const tg={bpm:[],strength:[]};
+      for(let t=tMax;t>=tMin;t--){ tg.bpm.push(60*R/t); tg.strength.push(mx>0?sc[t]/mx:0); }
+      state.tg=tg;
+      const last=state.gt-this._phase(e,tau)/R;
+      let nb=last+P*Math.ceil((state.pt-last)/P+1e-9);
+      if(state.next===null) state.next=nb;
+      else { let d=nb-state.next; d-=P*Math.round(d/P); state.next+=.5*d; }
+    },
+    // No beat in the envelope: forget the period and the predicted beats
+    _lose(state, conf) {
+      state.period=0; state.next=null; state.pend=null; state.conf=conf; state.tg=null;
+    },
+    // Offset in samples from the envelope end of the pulse train at period
+    // tau that best fits it, recent beats weighted most
+    _phase(e, tau) {
+      const N=e.length;
+      let best=0,bestS=-1;
+      for(let ph=0;ph<Math.ceil(tau);ph++){
+        let s=0;
+        for(let k=0;;k++){ const x=N-1-ph-k*tau; if(x<1) break; const i=Math.floor(x),f=x-i; s+=(e[i]*(1-f)+e[i+1]*f)*Math.exp(-k*tau/(3*this.RATE)); }
+        if(s>bestS){bestS=s;best=ph;}
+      }
+      return best;
+    },
+    // Octave-error check on the beat grid: onsets halfway between the beats
+    // nearly as strong as those on them mean the tempo is twice as fast
+    _metre(e, tau, tMin) {
+      const N=e.length,ph=this._phase(e,tau);
+      const at=x=>{ const i=Math.round(x); let m=0; for(let j=Math.max(0,i-2);j<=Math.min(N-1,i+2);j++) if(e[j]>m) m=e[j]; return m; };
+      let on=0,off=0;
+      for(let k=0;;k++){ const x=N-1-ph-k*tau; if(x-tau/2<0) break; on+=at(x); off+=at(x-tau/2); }
+      return off>.6*on&&tau/2>=tMin?tau/2:tau;
     }
   };
 
+  // Two-tone IMD stimuli (amplitude of each tone re full scale): SMPTE RP120 /
+  // DIN 45403 4:1 low + high tone, CCIF / IEC 60268-3 equal 19 + 20 kHz tones
+  const DISTORTION_STIMULI = {
+    sine:  {tones:[{frequency:1000,amplitude:1}]},
+    smpte: {tones:[{frequency:60,amplitude:.8},{frequency:7000,amplitude:.2}]},
+    ccif:  {tones:[{frequency:19000,amplitude:.5},{frequency:20000,amplitude:.5}]},
+  };
+
+  /**
+   * Distortion analyzer. Keeps its own ring of samples and averages power
+   * spectra (7-term Blackman-Harris, sidelobes below -180 dB) every N/4 new
+   * samples. Tone power is the sum of its main lobe (±LOBE bins), so it does
+   * not depend on where the tone falls between bins.
+   *
+   * 'sine' (or auto, the strongest peak): THD over H2–H10 with the noise in
+   * each harmonic's bins subtracted; THD+N from everything between 20 Hz and
+   * 20 kHz except the fundamental lobe, re total power (AES17), so
+   * SINAD = -20·log10(THD+N) and ENOB = (SINAD - 1.76) / 6.02.
+   * 'smpte': sidebands f2 ± n·f1 (n = 1–3) re f2.
+   * 'ccif': d2 = A(f2-f1), d3 = A(2f1-f2) + A(2f2-f1), both re A1 + A2.
+   */
   const ThdModule = {
-    process(freqData, sampleRate, fftSize, fundamentalHz) {
-      if(!fundamentalHz||fundamentalHz<20) return {thd:0,thdString:'0.00%',harmonics:[]};
-      const binHz=sampleRate/fftSize;
-      const getBP=(hz)=>{const b=Math.round(hz/binHz);if(b<0||b>=freqData.length)return 0;let p=0;for(let i=Math.max(0,b-2);i<=Math.min(freqData.length-1,b+2);i++)p+=Math.pow(10,freqData[i]/10);return p;};
-      const fp=getBP(fundamentalHz);const hs=[];let hps=0;
-      for(let n=2;n<=8;n++){const hz=fundamentalHz*n;if(hz>sampleRate/2)break;const p=getBP(hz);hps+=p;hs.push({harmonic:n,freq:hz,power:p,db:linToDb(Math.sqrt(p))});}
-      const thd=fp>0?Math.sqrt(hps/fp)*100:0;
-      return {thd:clamp(thd,0,100),thdString:`${thd.toFixed(2)}%`,harmonics:hs,fundamentalPower:fp};
+    LOBE:8, HARMONICS:10, FMIN:20, FMAX:20000,
+    W7:[.27105140069342,-.43329793923448,.21812299954311,-.06592544638803,.01081174209837,-.00077658482522,.00001388721735],
+    _reset(state, N, sampleRate) {
+      const win=new Float32Array(N);let s=0,s2=0;
+      for(let n=0;n<N;n++){ let v=0; for(let k=0;k<7;k++) v+=this.W7[k]*Math.cos(2*Math.PI*k*n/N); win[n]=v; s+=v; s2+=v*v; }
+      Object.assign(state,{N,sr:sampleRate,buf:new Float32Array(N),w:0,filled:0,since:0,win,s2,enbw:N*s2/(s*s),
+        re:new Float64Array(N),im:new Float64Array(N),pw:new Float64Array(N/2+1),count:0,res:null});
+    },
+    /**
+     * @param {Float32Array} samples - new samples
+     * @param {object} o - fftSize, averages, stimulus ({type:'sine'|'smpte'|'ccif', frequency?} or null = auto)
+     */
+    process(samples, sampleRate, state, o) {
+      const N=o.fftSize||16384,key=JSON.stringify(o.stimulus||null);
+      if(state.N!==N||state.sr!==sampleRate) this._reset(state,N,sampleRate);
+      if(state.key!==key){ state.key=key; state.pw.fill(0); state.count=0; state.res=null; }
+      const {buf}=state;
+      for(let i=0;i<samples.length;i++){ buf[state.w]=samples[i]; state.w=(state.w+1)%N; }
+      state.filled+=samples.length; state.since+=samples.length;
+      if(state.since<N/4||state.filled<N) return state.res||this._empty();
+      state.since=0;
+      const {re,im,win,pw}=state;
+      for(let n=0;n<N;n++){ re[n]=buf[(state.w+n)%N]*win[n]; im[n]=0; }
+      fft(re,im);
+      const a=1/Math.min(++state.count,o.averages||4);
+      for(let k=0;k<=N/2;k++) pw[k]+=a*(re[k]*re[k]+im[k]*im[k]-pw[k]);
+      const stim=o.stimulus,type=stim&&DISTORTION_STIMULI[stim.type]?stim.type:'sine';
+      state.res=type==='sine'?this._thd(state,sampleRate,stim&&stim.frequency):this._imd(state,sampleRate,type,stim);
+      return state.res;
+    },
+    _empty() {
+      return {mode:null,fundamental:0,fundamentalDb:-Infinity,thd:0,thdDb:-Infinity,thdString:'--',thdN:0,thdNDb:-Infinity,sinad:0,enob:0,oddEven:null,noiseDb:-Infinity,harmonics:[],imd:0,imdDb:-Infinity,products:[],spectrum:null};
+    },
+    // Strongest bin within [f0, f1], parabolic-interpolated frequency
+    _peak(pw, binHz, f0, f1) {
+      const lo=Math.max(2,Math.floor(f0/binHz)),hi=Math.min(pw.length-3,Math.ceil(f1/binHz));
+      let b=-1,m=0; for(let k=lo;k<=hi;k++) if(pw[k]>m){ m=pw[k]; b=k; }
+      if(b<0) return null;
+      const a=Math.log(pw[b-1]+1e-300),c=Math.log(pw[b+1]+1e-300),v=Math.log(m),d=a-2*v+c;
+      return (b+(d<0?.5*(a-c)/d:0))*binHz;
+    },
+    // Power in the main lobe around hz, and the bins it covers
+    _lobe(pw, binHz, hz) {
+      const c=Math.round(hz/binHz),lo=Math.max(0,c-this.LOBE),hi=Math.min(pw.length-1,c+this.LOBE);
+      let p=0; for(let k=lo;k<=hi;k++) p+=pw[k];
+      return {p,lo,hi,bins:hi-lo+1};
+    },
+    // Level in dBFS (0 dB = full-scale sine) of lobe power p
+    _dbfs(state, p) { return 10*Math.log10(4*p/(state.N*state.s2)+1e-30); },
+    _thd(state, sampleRate, freq) {
+      const {pw}=state,binHz=sampleRate/state.N,nyq=sampleRate/2,fmax=Math.min(this.FMAX,nyq*.95);
+      const f=freq?this._peak(pw,binHz,freq*.95,freq*1.05):this._peak(pw,binHz,this.FMIN,fmax);
+      if(!f) return this._empty();
+      const fund=this._lobe(pw,binHz,f),k0=Math.ceil(this.FMIN/binHz),k1=Math.floor(fmax/binHz);
+      let total=0; for(let k=k0;k<=k1;k++) total+=pw[k];
+      const res=Math.max(0,total-fund.p),hs=[],used=new Set();
+      for(let k=fund.lo;k<=fund.hi;k++) used.add(k);
+      for(let n=2;n<=this.HARMONICS;n++){
+        const hf=this._peak(pw,binHz,n*f-Math.max(3*binHz,n*f*.002),n*f+Math.max(3*binHz,n*f*.002));
+        if(!hf||hf>fmax) break;
+        const l=this._lobe(pw,binHz,hf);
+        for(let k=l.lo;k<=l.hi;k++) used.add(k);
+        hs.push({n,freq:hf,raw:l.p,bins:l.bins});
+      }
+      let np=0,nb=0; for(let k=k0;k<=k1;k++) if(!used.has(k)){ np+=pw[k]; nb++; }
+      const perBin=nb?np/nb:0;
+      let hp=0,odd=0,even=0;
+      const harmonics=hs.map(h=>{
+        const p=Math.max(0,h.raw-perBin*h.bins); hp+=p; if(h.n%2) odd+=p; else even+=p;
+        return {n:h.n,freq:h.freq,db:10*Math.log10(h.raw/fund.p+1e-30),percent:100*Math.sqrt(p/fund.p)};
+      });
+      const thd=100*Math.sqrt(hp/fund.p),thdN=100*Math.sqrt(res/(res+fund.p)),sinad=-20*Math.log10(thdN/100+1e-15);
+      return {mode:'thd',fundamental:f,fundamentalDb:this._dbfs(state,fund.p),
+        thd,thdDb:20*Math.log10(thd/100+1e-15),thdString:`${thd.toFixed(thd<.01?4:thd<1?3:2)}%`,
+        thdN,thdNDb:20*Math.log10(thdN/100+1e-15),sinad,enob:(sinad-1.76)/6.02,
+        oddEven:odd>0&&even>0?10*Math.log10(odd/even):null,noiseDb:10*Math.log10(perBin*(k1-k0+1)/fund.p+1e-30),
+        harmonics,imd:0,imdDb:-Infinity,products:[],spectrum:this._display(state,sampleRate,fund.p)};
+    },
+    _imd(state, sampleRate, type, stim) {
+      const {pw}=state,binHz=sampleRate/state.N,nyq=sampleRate/2,def=DISTORTION_STIMULI[type].tones;
+      const t1=(stim&&stim.f1)||def[0].frequency,t2=(stim&&stim.f2)||def[1].frequency;
+      const f1=this._peak(pw,binHz,t1*.97,t1*1.03),f2=this._peak(pw,binHz,t2*.99,t2*1.01);
+      if(!f1||!f2) return this._empty();
+      const l1=this._lobe(pw,binHz,f1),l2=this._lobe(pw,binHz,f2),ref=type==='smpte'?l2.p:l1.p;
+      const prods=type==='smpte'
+        ?[1,2,3].flatMap(n=>[[`f2-${n>1?n:''}f1`,f2-n*f1],[`f2+${n>1?n:''}f1`,f2+n*f1]])
+        :[['f2-f1',f2-f1],['2f1-f2',2*f1-f2],['2f2-f1',2*f2-f1]];
+      const products=prods.filter(([,hz])=>hz>this.FMIN&&hz<nyq*.98).map(([label,hz])=>{
+        const l=this._lobe(pw,binHz,hz); return {label,freq:hz,p:l.p,db:10*Math.log10(l.p/ref+1e-30)};
+      });
+      let imd;
+      if(type==='smpte') imd=100*Math.sqrt(products.reduce((s,x)=>s+x.p,0)/l2.p);
+      else {
+        const A=x=>Math.sqrt(x?x.p:0),sum=A(l1)+A(l2),by=lb=>products.find(x=>x.label===lb);
+        const d2=A(by('f2-f1'))/sum,d3=(A(by('2f1-f2'))+A(by('2f2-f1')))/sum;
+        imd=100*Math.hypot(d2,d3);
+        products.forEach(x=>x.percent=100*A(x)/sum);
+      }
+      return {...this._empty(),mode:type,fundamental:type==='smpte'?f2:f1,fundamentalDb:this._dbfs(state,ref),
+        tones:[{freq:f1,db:this._dbfs(state,l1.p)},{freq:f2,db:this._dbfs(state,l2.p)}],
+        imd,imdDb:20*Math.log10(imd/100+1e-15),products:products.map(({label,freq,db,percent})=>({label,freq,db,percent})),
+        spectrum:this._display(state,sampleRate,ref)};
+    },
+    // Log-spaced display (48 points per octave from 10 Hz), peak of the bins
+    // in each step, in dB re the reference tone (its peak bin holds 1/ENBW of
+    // the lobe power)
+    _display(state, sampleRate, ref) {
+      const {pw}=state,binHz=sampleRate/state.N,fmax=sampleRate/2,np=Math.floor(48*Math.log2(fmax/10));
+      const freqs=new Float32Array(np),db=new Float32Array(np),norm=ref/state.enbw;
+      for(let p=0;p<np;p++){
+        const f=10*Math.pow(2,p/48),k0=Math.max(1,Math.floor(f/binHz)),k1=Math.max(k0,Math.min(pw.length-1,Math.floor(10*Math.pow(2,(p+1)/48)/binHz)));
+        let m=0; for(let k=k0;k<=k1;k++) if(pw[k]>m) m=pw[k];
+        freqs[p]=f; db[p]=10*Math.log10(m/norm+1e-30);
+      }
+      return {freqs,db};
     }
   };
 
@@ -356,17 +1201,75 @@
     }
   };
 
+  /**
+   * Multi-peak howling detection after van Waterschoot & Moonen (2011): the
+   * strongest spectral peaks are tracked across frames and scored by
+   * peak-to-average (PAPR), peak-to-harmonic (PHPR: against overtones and
+   * neighbouring partials, so notes with harmonics score low), peak-to-neighbour (PNPR: narrowness)
+   * and growth rate. Growth is measured only once a track is 0.25 s old, so a
+   * tone switched on at full level (or a held pad) does not read as building
+   * feedback; it decays with a 3 s time constant so a ring that has saturated
+   * stays flagged. Candidates with confidence ≥ 0.65 are flagged.
+   */
   const FeedbackModule = {
-    process(freqData, sampleRate, fftSize, state) {
-      if(!state.fh){state.fh=[];state.hc=0;state.rf=0;}
-      const binHz=sampleRate/fftSize;let mdb=-Infinity,db=0;
-      for(let i=Math.floor(100/binHz);i<freqData.length;i++) if(freqData[i]>mdb){mdb=freqData[i];db=i;}
-      const dHz=db*binHz;
-      if(mdb>-20&&dHz>250)circularPush(state.fh,dHz,25);else circularPush(state.fh,0,25);
-      let fb=false,ns=null;
-      if(state.fh.length>=25){const nz=state.fh.filter(f=>f>0);if(nz.length>=20&&Math.sqrt(variance(nz))<20){state.hc=50;state.rf=mean(nz);ns={frequency:state.rf,note:hzToNote(state.rf),bandwidth:'1/3 octave',suggestedCut:'-6 to -12 dB'};}}
-      if(state.hc>0){fb=true;state.hc--;}
-      return {isFeedbackRisk:fb,ringingFrequency:state.rf,notchSuggestion:ns,dominantFrequency:dHz,dominantDb:mdb};
+    MAX_PEAKS:12, FLAG:.65,
+    // Overtones (2f, 3f), a fundamental an octave down, and the neighbouring
+    // partials f·(k±1)/k if the peak were the k-th harmonic of a note
+    RATIOS:[.5,2,3,...[2,3,4,5,6,7,8].flatMap(k=>[(k-1)/k,(k+1)/k])],
+    process(freqData, sampleRate, fftSize, state, time) {
+      if(!state.tracks){state.tracks=[];state.rf=0;}
+      const binHz=sampleRate/fftSize,lo=Math.max(2,Math.floor(40/binHz)),hi=Math.min(freqData.length-9,Math.floor(sampleRate*.45/binHz));
+      const P=i=>freqData[Math.max(0,Math.min(freqData.length-1,i))];
+      const near=f=>{ const b=Math.round(f/binHz);let m=-Infinity; for(let k=b-2;k<=b+2;k++) m=Math.max(m,P(k)); return m; };
+      let mdb=-Infinity,db=0,avg=0;
+      for(let i=lo;i<=hi;i++){ avg+=Math.pow(10,freqData[i]/10); if(freqData[i]>mdb){mdb=freqData[i];db=i;} }
+      const avgDb=10*Math.log10(avg/(hi-lo+1)+1e-30);
+      // Local maxima (±2 bins) within 50 dB of the strongest and above -90 dBFS
+      const peaks=[];
+      for(let i=lo;i<=hi;i++){
+        const v=freqData[i];
+        if(v<-90||v<mdb-50||v<=P(i-1)||v<P(i+1)||v<=P(i-2)||v<P(i+2)) continue;
+        const a=P(i-1),c=P(i+1),d=a-2*v+c,off=d<0?.5*(a-c)/d:0;
+        peaks.push({bin:i+off,db:v});
+      }
+      peaks.sort((a,b)=>b.db-a.db).splice(this.MAX_PEAKS);
+      // Continue tracks within 2 bins; drop tracks unseen for 0.3 s
+      const tracks=state.tracks;
+      for(const pk of peaks){
+        let tr=null;
+        for(const t of tracks) if(t.last!==time&&Math.abs(t.bin-pk.bin)<=2&&(!tr||Math.abs(t.bin-pk.bin)<Math.abs(tr.bin-pk.bin))) tr=t;
+        if(!tr){ tr={born:time,hist:[],grow:0,last:time}; tracks.push(tr); }
+        const dt=time-tr.last;
+        tr.bin=pk.bin; tr.db=pk.db; tr.last=time; tr.hist.push([time,pk.db]);
+        while(tr.hist.length&&time-tr.hist[0][0]>.5) tr.hist.shift();
+        const h=tr.hist.filter(x=>x[0]-tr.born>=.25);
+        let g=0;
+        if(h.length>=3&&h[h.length-1][0]-h[0][0]>=.2){
+          const n=h.length,mt=mean(h.map(x=>x[0])),md=mean(h.map(x=>x[1]));let sxy=0,sxx=0;
+          for(const[t,v]of h){ sxy+=(t-mt)*(v-md); sxx+=(t-mt)*(t-mt); }
+          g=sxx>0?sxy/sxx:0;
+        }
+        tr.grow=Math.max(tr.grow*Math.exp(-dt/3),g);
+      }
+      state.tracks=tracks.filter(t=>time-t.last<=.3);
+      const clamp01=v=>clamp(v,0,1),candidates=[];
+      for(const t of state.tracks){
+        if(t.last!==time) continue;
+        const f=t.bin*binHz,i=Math.round(t.bin);
+        const papr=t.db-avgDb;
+        const rel=this.RATIOS.map(r=>r*f).filter(x=>Math.abs(x-f)>=4*binHz&&x>=lo*binHz&&x<=hi*binHz).map(x=>t.db-near(x));
+        const phpr=rel.length?Math.min(...rel):60;
+        let nb=0; for(let k=4;k<=8;k++) nb+=Math.pow(10,P(i-k)/10)+Math.pow(10,P(i+k)/10);
+        const pnpr=t.db-10*Math.log10(nb/10+1e-30);
+        // Harmonic content scales the whole score down: a swelling note grows too
+        const confidence=(.35*clamp01((pnpr-8)/22)+.2*clamp01((papr-15)/25)+.45*clamp01(t.grow/15))*(.3+.7*clamp01((phpr-6)/24));
+        candidates.push({frequency:f,db:t.db,papr,phpr,pnpr,growth:t.grow,age:time-t.born,confidence,flagged:confidence>=this.FLAG,note:hzToNote(f)});
+      }
+      candidates.sort((a,b)=>b.confidence-a.confidence);
+      const top=candidates[0]&&candidates[0].flagged?candidates[0]:null;
+      if(top) state.rf=top.frequency;
+      const ns=top?{frequency:top.frequency,note:top.note,bandwidth:'1/10 octave',suggestedCut:top.confidence>.85?'-9 to -12 dB':'-6 dB'}:null;
+      return {isFeedbackRisk:!!top,ringingFrequency:state.rf,notchSuggestion:ns,candidates:candidates.slice(0,5),dominantFrequency:db*binHz,dominantDb:mdb};
     }
   };
 
@@ -380,40 +1283,295 @@
     }
   };
 
+  const StereoModule = {
+    _channel(x){
+      let ss=0,pk=0;
+      for(let i=0;i<x.length;i++){const a=Math.abs(x[i]);ss+=x[i]*x[i];if(a>pk)pk=a;}
+      const rms=Math.sqrt(ss/x.length);
+      return {rms,rmsDb:linToDb(rms),peakDb:linToDb(pk)};
+    },
+    // tp: per-channel results of TruePeakModule for this frame; without it the
+    // sample peak stands in
+    process(left, right, tp=null) {
+      const l=this._channel(left),r=this._channel(right);
+      l.truePeak=tp?tp[0].truePeak:l.peakDb;
+      r.truePeak=tp?tp[tp.length-1].truePeak:r.peakDb;
+      const sum=l.rms+r.rms,bal=sum>0?(r.rms-l.rms)/sum:0,bdb=r.rmsDb-l.rmsDb;
+      return {left:l,right:r,balance:bal,balanceDb:isFinite(bdb)?bdb:0,balanceString:Math.abs(bal)<.02?'Center':bal<0?`L ${Math.round(-bal*100)}%`:`R ${Math.round(bal*100)}%`};
+    }
+  };
+
   const Rt60Module = {
-    process(timeData, sampleRate, state) {
+    // time: stream position in seconds (sample clock), not wall-clock
+    process(timeData, sampleRate, state, time) {
       if(!state.s){state.s=[];state.dec=false;state.rt=null;}
       let rms=0;for(let i=0;i<timeData.length;i++)rms+=timeData[i]*timeData[i];
       rms=Math.sqrt(rms/timeData.length);const db=linToDb(rms);
-      state.s.push({db,time:Date.now()});if(state.s.length>500)state.s.shift();
+      state.s.push({db,time});if(state.s.length>500)state.s.shift();
       if(state.s.length>50){
         const rc=state.s.slice(-10),ro=state.s.slice(-50,-40);
         const rm=mean(rc.map(s=>s.db)),om=mean(ro.map(s=>s.db));
         if(!state.dec&&om>-20&&rm<om-15){state.dec=true;state.ds=om;state.dt=ro[0].time;}
-        if(state.dec&&db<state.ds-60){state.rt=(Date.now()-state.dt)/1000;state.dec=false;}
+        if(state.dec&&db<state.ds-60){state.rt=time-state.dt;state.dec=false;}
       }
       return {rt60:state.rt,rt60String:state.rt?`${state.rt.toFixed(2)}s`:'Measuring...',isDecaying:state.dec,currentRmsDb:db};
     }
   };
 
+  /**
+   * Piano inharmonicity. Partials of the current note are located one by one
+   * (parabolic-interpolated peaks) and the stiff-string model
+   * fn = n·f0·√(1+B·n²) is fitted by least squares on (fn/n)² = f0² + f0²B·n².
+   * Each new partial is searched where the fit so far predicts it, so the
+   * upper partials are found however sharp they run. Fits with at least
+   * MIN_PARTIALS partials and a residual under MAX_RESIDUAL cents are added to
+   * a per-key table (median of the last SAMPLES fits); a key counts as
+   * measured after RECORD fits.
+   */
   const InharmonicityModule = {
-    process(freqData, sampleRate, fftSize, fundamentalHz) {
-      if(!fundamentalHz||fundamentalHz<20) return {inharmonicity:0,harmonicsFound:[],inharmonicityScore:'N/A'};
-      const binHz=sampleRate/fftSize,hf=[];let td=0,cnt=0;
-      for(let n=2;n<=10;n++){
-        const ih=fundamentalHz*n;if(ih>sampleRate/2)break;
-        const bL=Math.floor(ih*.95/binHz),bH=Math.ceil(ih*1.05/binHz);
-        let md=-Infinity,pb=0;
-        for(let b=bL;b<=bH&&b<freqData.length;b++) if(freqData[b]>md){md=freqData[b];pb=b;}
-        if(md>-60){const ah=pb*binHz,dev=((ah-ih)/ih)*100;td+=Math.abs(dev);cnt++;hf.push({n,idealHz:ih,actualHz:ah,deviation:dev,db:md});}
-      }
-      const inh=cnt>0?td/cnt:0;
-      return {inharmonicity:inh,harmonicsFound:hf,inharmonicityScore:inh<.5?'Very Clean':inh<2?'Normal':inh<5?'Stretched':'High'};
+    PARTIALS:16, FLOOR:-80, RANGE:50, MIN_CONF:.8, MIN_PARTIALS:5, MAX_RESIDUAL:3, SAMPLES:32, RECORD:5,
+    process(freqData, sampleRate, fftSize, pitch, state, reference=440) {
+      if(!state.keys){state.keys={};state.table=[];}
+      const none={B:0,f0:0,frequency:0,note:'--',midi:0,partials:[],residual:0,keyB:0,keyCount:0,recorded:false,table:state.table};
+      if(!pitch||!(pitch.frequency>=20)||pitch.confidence<this.MIN_CONF) return none;
+      const binHz=sampleRate/fftSize,nyq=freqData.length-2,pts=[];
+      let f0=pitch.frequency,B=0,top=-Infinity;
+      for(let n=1;n<=this.PARTIALS;n++){
+        const p=n*f0*Math.sqrt(1+B*n*n),hw=Math.max(2*binHz,Math.min(.25*f0,.02*p));
+        const lo=Math.max(2,Math.floor((p-hw)/binHz)),hi=Math.min(nyq,Math.ceil((p+hw)/binHz));
+        if(lo>=hi) break;
+        let pb=-1,pd=-Infinity;
+        for(let b=lo;b<=hi;b++) if(freqData[b]>pd&&freqData[b]>freqData[b-1]&&freqData[b]>=freqData[b+1]){pd=freqData[b];pb=b;}
+        if(pb<0||pd<this.FLOOR||pd<top-this.RANGE) continue;
+        if(pd>top) top=pd;
+        const a=freqData[pb-1],c=freqData[pb+1],d=a-2*pd+c;
+        pts.push({n,hz:(pb+(d<0?.5*(a-c)/d:0))*binHz,db:pd});
+        if(pts.length>=3){ const fit=this._fit(pts); if(fit.B>=0&&fit.f0>0){ f0=fit.f0; B=fit.B; } }
+        else if(pts.length===1&&n===1) f0=pts[0].hz;
+      }
+      if(pts.length<this.MIN_PARTIALS) return none;
+      const fit=this._fit(pts);
+      if(!(fit.f0>0)||fit.B<0||fit.B>.05) return none;
+      let ss=0;
+      for(const q of pts){ const m=q.n*fit.f0*Math.sqrt(1+fit.B*q.n*q.n); q.cents=1200*Math.log2(q.hz/(q.n*fit.f0)); ss+=Math.pow(1200*Math.log2(q.hz/m),2); }
+      const residual=Math.sqrt(ss/pts.length),frequency=fit.f0*Math.sqrt(1+fit.B),midi=Math.round(12*Math.log2(frequency/reference)+69);
+      let key=state.keys[midi],recorded=false;
+      if(residual<=this.MAX_RESIDUAL){
+        if(!key) key=state.keys[midi]={midi,name:`${NOTE_NAMES[midi%12]}${Math.floor(midi/12)-1}`,samples:[],B:0,f0:0,count:0};
+        circularPush(key.samples,fit.B,this.SAMPLES);
+        const s=[...key.samples].sort((x,y)=>x-y);
+        key.B=s[s.length>>1]; key.f0=fit.f0; key.count++;
+        recorded=key.count===this.RECORD;
+        if(key.count>=this.RECORD) state.table=Object.values(state.keys).filter(k=>k.count>=this.RECORD).map(({midi,name,B,f0,count})=>({midi,name,B,f0,count}));
+      }
+      return {B:fit.B,f0:fit.f0,frequency,note:`${NOTE_NAMES[midi%12]}${Math.floor(midi/12)-1}`,midi,partials:pts,residual,
+        keyB:key?key.B:0,keyCount:key?key.count:0,recorded,table:state.table};
+    },
+    /** Least-squares stiff-string fit: (fn/n)² against n². */
+    _fit(pts) {
+      let sx=0,sy=0,sxx=0,sxy=0;const k=pts.length;
+      for(const {n,hz} of pts){ const x=n*n,y=(hz/n)*(hz/n); sx+=x;sy+=y;sxx+=x*x;sxy+=x*y; }
+      const det=k*sxx-sx*sx;
+      if(!det) return {f0:0,B:0};
+      const slope=(k*sxy-sx*sy)/det,a=(sy-slope*sx)/k;
+      return a>0?{f0:Math.sqrt(a),B:slope/a}:{f0:0,B:0};
     }
   };
 
+  /**
+   * Stretch tuning from a per-key B table (InharmonicityModule `table`).
+   * log B is interpolated between measured keys; above the highest it rises
+   * TREBLE_SLOPE decades per semitone, below the lowest it is held. A3–A4 is
+   * a 4:2 octave divided into equal semitones; every other key is tuned from
+   * the key an octave nearer A4 so that partial `treble` (above) or `bass`
+   * (below) of the lower note is beatless with partial `treble`/2 or `bass`/2
+   * of the upper one — 2:1, 4:2 or 6:3 octaves. The defaults (4:2 treble,
+   * 6:3 bass) land close to the Railsback curve of a typical piano.
+   * @param {{midi:number, B:number}[]} table
+   * @param {{reference?:number, treble?:number, bass?:number}} [o]
+   * @returns {{midi:number, name:string, B:number|null, fittedB:number, cents:number, hz:number}[]} A0–C8
+   */
+  const TREBLE_SLOPE=Math.log10(2)/8;
+  function stretchCurve(table, o={}) {
+    const ref=o.reference||440,tr=o.treble||4,bs=o.bass||6;
+    const pts=(table||[]).filter(k=>k.B>0).map(k=>({midi:k.midi,l:Math.log10(k.B)})).sort((a,b)=>a.midi-b.midi);
+    const logB=m=>{
+      if(!pts.length) return Math.log10(4e-4)+(m>69?(m-69)*TREBLE_SLOPE:0);
+      if(m<=pts[0].midi) return pts[0].l;
+      const last=pts[pts.length-1];
+      if(m>=last.midi) return last.l+(m-last.midi)*TREBLE_SLOPE;
+      let i=1; while(pts[i].midi<m) i++;
+      const a=pts[i-1],b=pts[i]; return a.l+(b.l-a.l)*(m-a.midi)/(b.midi-a.midi);
+    };
+    const Bk=m=>Math.pow(10,logB(m));
+    // Cents by which the upper note of the octave lo..lo+12 is wider than 2:1
+    // when partial p of lo is matched to partial p/2 of the upper note
+    const octave=(lo,p)=>{ const bl=Bk(lo),bu=Bk(lo+12),h=p/2; return 600*Math.log2(((1+p*p*bl)/(1+bl))/((1+h*h*bu)/(1+bu))); };
+    const c={69:0};
+    const a3=octave(57,4);
+    for(let m=57;m<69;m++) c[m]=-a3*(69-m)/12;
+    for(let m=70;m<=108;m++) c[m]=c[m-12]+octave(m-12,tr);
+    for(let m=56;m>=21;m--) c[m]=c[m+12]-octave(m,bs);
+    const measured={}; for(const k of table||[]) measured[k.midi]=k.B;
+    const out=[];
+    for(let m=21;m<=108;m++) out.push({midi:m,name:`${NOTE_NAMES[m%12]}${Math.floor(m/12)-1}`,B:m in measured?measured[m]:null,fittedB:Bk(m),cents:c[m],hz:ref*Math.pow(2,(m-69+c[m]/100)/12)});
+    return out;
+  }
+
+  // ============================================================================
+  // TUNER — temperaments, instrument presets
+  // ============================================================================
+
+  // Cents re equal temperament for each pitch class above the tonic
+  const TEMPERAMENTS = {
+    equal:        [0,0,0,0,0,0,0,0,0,0,0,0],
+    werckmeister: [0,-9.78,-7.82,-5.87,-9.78,-1.96,-11.73,-3.91,-7.82,-11.73,-3.91,-7.82],  // Werckmeister III
+    meantone:     [0,-23.95,-6.84,10.26,-13.69,3.42,-20.53,-3.42,-27.37,-10.26,6.84,-17.11], // quarter-comma
+    just:         [0,11.73,3.91,15.64,-13.69,-1.96,-9.78,1.96,13.69,-15.64,-3.91,-11.73],   // 5-limit: 16/15 9/8 6/5 5/4 4/3 45/32 3/2 8/5 5/3 16/9 15/8
+  };
+
+  // Open strings in string order (low to high, except re-entrant ukulele)
+  const TUNER_PRESETS = {
+    guitar:       ['E2','A2','D3','G3','B3','E4'],
+    guitarDropD:  ['D2','A2','D3','G3','B3','E4'],
+    guitarDropC:  ['C2','G2','C3','F3','A3','D4'],
+    guitarOpenG:  ['D2','G2','D3','G3','B3','D4'],
+    bass:         ['E1','A1','D2','G2'],
+    bass5:        ['B0','E1','A1','D2','G2'],
+    bassDropD:    ['D1','A1','D2','G2'],
+    violin:       ['G3','D4','A4','E5'],
+    viola:        ['C3','G3','D4','A4'],
+    cello:        ['C2','G2','D3','A3'],
+    ukulele:      ['G4','C4','E4','A4'],
+  };
+
+  /** MIDI note number of a name such as 'A4', 'C#3' or 'Bb1'; NaN if unparsable. */
+  function noteToMidi(name) {
+    const m=/^([A-G])(#|b)?(-?\d+)$/.exec(String(name).trim());
+    if(!m) return NaN;
+    return NOTE_NAMES.indexOf(m[1])+(m[2]==='#'?1:m[2]==='b'?-1:0)+12*(+m[3]+1);
+  }
+
+  /**
+   * Target frequency of a MIDI note under a temperament. The offsets are
+   * shifted so A keeps the reference pitch whatever the tonic.
+   * @param {{reference?:number, temperament?:string, tonic?:string}} o
+   */
+  function noteHz(midi, o={}) {
+    const t=TEMPERAMENTS[o.temperament]||TEMPERAMENTS.equal,k=Math.max(0,NOTE_NAMES.indexOf(o.tonic||'C'));
+    const off=pc=>t[((pc-k)%12+12)%12];
+    return (o.reference||440)*Math.pow(2,(midi-69+(off(((midi%12)+12)%12)-off(9))/100)/12);
+  }
+
+  /**
+   * Nearest note to hz under a temperament, with the deviation from it.
+   * @returns {{note:string, octave:number, name:string, midi:number, targetHz:number, cents:number}}
+   */
+  function tuneNote(hz, o={}) {
+    if(!(hz>0)||!isFinite(hz)) return {note:'--',octave:0,name:'--',midi:0,targetHz:0,cents:0};
+    const m=Math.round(12*Math.log2(hz/(o.reference||440))+69);
+    let best=null;
+    for(let n=m-1;n<=m+1;n++){ const c=1200*Math.log2(hz/noteHz(n,o)); if(!best||Math.abs(c)<Math.abs(best.c)) best={n,c}; }
+    const note=NOTE_NAMES[((best.n%12)+12)%12],octave=Math.floor(best.n/12)-1;
+    return {note,octave,name:`${note}${octave}`,midi:best.n,targetHz:noteHz(best.n,o),cents:best.c};
+  }
+
+  /**
+   * Tuner reading from the YIN pitch. Frames below MIN_CONF confidence are
+   * ignored; the rest pass a 5-frame median (drops octave slips) and are
+   * smoothed in cents with a 0.15 s time constant. A jump of more than LOCK
+   * cents must hold for two frames and then resets the smoothing, so a new
+   * note reads at once. With a preset the reading locks to the nearest string
+   * and only moves to another one that is LOCK cents nearer. The last reading
+   * holds for HOLD seconds after the signal stops.
+   */
+  const TunerModule = {
+    TAU:.15, MEDIAN:5, MIN_CONF:.8, LOCK:50, HOLD:1, IN_TUNE:2,
+    process(pitch, state, time, o) {
+      if(!state.buf){state.buf=[];state.c=null;state.last=time;state.seen=-Infinity;state.jump=0;state.str=null;}
+      const ref=o.reference||440,dt=Math.max(0,time-state.last);
+      state.last=time;
+      if(time-state.seen>this.HOLD){state.buf=[];state.c=null;state.str=null;}
+      if(pitch&&pitch.frequency>0&&pitch.confidence>=this.MIN_CONF){
+        circularPush(state.buf,1200*Math.log2(pitch.frequency/ref),this.MEDIAN);
+        const med=[...state.buf].sort((a,b)=>a-b)[state.buf.length>>1];
+        if(state.c===null){ state.c=med; state.jump=0; }
+        else if(Math.abs(med-state.c)>this.LOCK){ if(++state.jump>=2){ state.c=med; state.jump=0; } }
+        else { const k=Math.exp(-dt/this.TAU); state.c=k*state.c+(1-k)*med; state.jump=0; }
+        state.seen=time;
+      }
+      const strings=o.preset&&TUNER_PRESETS[o.preset],base={active:false,preset:strings?o.preset:null,temperament:TEMPERAMENTS[o.temperament]?o.temperament:'equal',tonic:o.tonic||'C',reference:ref};
+      if(state.c===null) return {...base,frequency:0,note:'--',octave:0,name:'--',midi:0,targetHz:0,cents:0,inTune:false,string:null};
+      const f=ref*Math.pow(2,state.c/1200);
+      let t=tuneNote(f,o),string=null;
+      if(strings){
+        const cand=strings.map((name,index)=>{ const midi=noteToMidi(name),targetHz=noteHz(midi,o); return {index,name,midi,targetHz,cents:1200*Math.log2(f/targetHz)}; });
+        let near=cand.reduce((a,b)=>Math.abs(b.cents)<Math.abs(a.cents)?b:a);
+        const held=state.str!=null&&cand[state.str];
+        if(held&&Math.abs(held.cents)<=Math.abs(near.cents)+this.LOCK) near=held;
+        state.str=near.index;
+        string={index:near.index,name:near.name,targetHz:near.targetHz};
+        const note=NOTE_NAMES[((near.midi%12)+12)%12];
+        t={note,octave:Math.floor(near.midi/12)-1,name:near.name,midi:near.midi,targetHz:near.targetHz,cents:near.cents};
+      }
+      return {...base,active:time-state.seen<=this.HOLD,frequency:f,...t,cents:Math.round(t.cents*10)/10,inTune:Math.abs(t.cents)<=this.IN_TUNE,string};
+    }
+  };
+
+  // ============================================================================
+  // ROOM MODES (rectangular room)
+  // ============================================================================
+
+  const MODE_TYPES=['axial','tangential','oblique'];
+
+  /**
+   * Modes of a rigid-walled rectangular room, f = c/2·√((nx/L)²+(ny/W)²+(nz/H)²),
+   * with the Schroeder frequency 2000·√(T/V) (when rt60 is given) and Bonello's
+   * criterion: mode counts per 1/3 octave up to 200 Hz never decrease, and a
+   * band holds coincident modes (within 1%) only if it holds five or more.
+   * @param {{length,width,height,rt60?}} room - metres, seconds
+   * @param {object} [o] - fmax (Hz, 300), c (speed of sound, 343 m/s)
+   * @returns {{modes:{freq,indices,type}[], volume, schroeder, bonello:{bands,monotonic,coincident,pass}}}
+   */
+  function roomModes(room, {fmax=300,c=343}={}) {
+    const {length:L,width:W,height:H}=room,modes=[];
+    for(let x=0;x<=2*fmax*L/c;x++) for(let y=0;y<=2*fmax*W/c;y++) for(let z=0;z<=2*fmax*H/c;z++){
+      const k=(x>0)+(y>0)+(z>0),f=c/2*Math.sqrt((x/L)**2+(y/W)**2+(z/H)**2);
+      if(k&&f<=fmax) modes.push({freq:f,indices:[x,y,z],type:MODE_TYPES[k-1]});
+    }
+    modes.sort((a,b)=>a.freq-b.freq);
+    const volume=L*W*H,first=modes.length?modes[0].freq:0;
+    const bands=fractionalOctaveBands(3,16,200).filter(b=>b.high>first).map(b=>{
+      const m=modes.filter(d=>d.freq>=b.low&&d.freq<b.high);
+      const coincident=m.some((d,i)=>i&&d.freq-m[i-1].freq<d.freq*.01);
+      return {center:b.center,count:m.length,coincident:coincident&&m.length<5};
+    });
+    const monotonic=bands.every((b,i)=>!i||b.count>=bands[i-1].count),coincident=bands.filter(b=>b.coincident).map(b=>b.center);
+    return {modes,volume,schroeder:room.rt60?2000*Math.sqrt(room.rt60/volume):null,bonello:{bands,monotonic,coincident,pass:monotonic&&!coincident.length}};
+  }
+
+  /**
+   * Pair detected peaks with predicted modes: the nearest mode within tolHz
+   * (default ±5% of the peak), the lower-order type breaking a tie (axial
+   * modes carry the most energy).
+   * @param {number} [tolHz] - tolerance in Hz; null = 5% of each peak's frequency
+   * @returns {object[]} peaks with mode ({freq,indices,type} or null) and deviation (Hz)
+   */
+  function matchRoomModes(peaks, modes, tolHz=null) {
+    return peaks.map(p=>{
+      const tol=tolHz!=null?tolHz:p.freq*.05;let best=null,bd=Infinity;
+      for(const m of modes){
+        const d=Math.abs(m.freq-p.freq);
+        if(d>tol) continue;
+        if(d<bd-1e-9||Math.abs(d-bd)<=1e-9&&MODE_TYPES.indexOf(m.type)<MODE_TYPES.indexOf(best.type)){ best=m; bd=d; }
+      }
+      return {...p,mode:best,deviation:best?p.freq-best.freq:null};
+    });
+  }
+
   const StandingWaveModule = {
-    process(freqData, sampleRate, fftSize, state) {
+    // room: options.roomDimensions; predicted modes are cached per room
+    process(freqData, sampleRate, fftSize, state, room) {
       if(!state.h) state.h=[];
       const binHz=sampleRate/fftSize,mb=Math.ceil(300/binHz),snap=[];
       for(let i=Math.floor(20/binHz);i<=mb&&i<freqData.length;i++) snap.push({freq:i*binHz,db:freqData[i]});
@@ -422,11 +1580,964 @@
       for(const fr of state.h) for(const{freq,db}of fr){const k=Math.round(freq);if(!am.has(k))am.set(k,[]);am.get(k).push(db);}
       const ad=[];for(const[freq,dbs]of am)ad.push({freq,db:mean(dbs)});
       const om=mean(ad.map(d=>d.db));
-      const modes=ad.filter(d=>d.db>om+8).sort((a,b)=>b.db-a.db).slice(0,5);
-      return {modes,detected:modes.length>0,worstMode:modes[0]||null};
+      let modes=ad.filter(d=>d.db>om+8).sort((a,b)=>b.db-a.db).slice(0,5);
+      if(!room) return {modes,detected:modes.length>0,worstMode:modes[0]||null};
+      if(state.room!==room){ state.room=room; state.pred=roomModes(room); }
+      modes=matchRoomModes(modes,state.pred.modes);
+      return {modes,detected:modes.length>0,worstMode:modes[0]||null,predicted:state.pred.modes,schroeder:state.pred.schroeder,bonello:state.pred.bonello};
     }
   };
 
+  // ============================================================================
+  // SOUND LEVEL METER (IEC 61672-1)
+  // ============================================================================
+
+  // miniDSP UMIK nominal sensitivity: level re full scale of 94 dB SPL at 1 kHz
+  const MIC_NOMINAL_DBFS = -18;
+
+  /**
+   * Parse a microphone correction curve from text: one "freq dB [phase]" point
+   * per line, separated by spaces, tabs, commas or semicolons (miniDSP / UMIK
+   * .txt, REW .cal, .frd, CSV). Comment and header lines are skipped; a
+   * "Sens Factor" header (miniDSP) is returned as sensitivityDb, the unit's
+   * deviation from the nominal −18 dBFS at 94 dB SPL, together with the
+   * calibration offset it implies (for setCalibration without a calibrator).
+   * @param {string} text
+   * @returns {{points:{freq:number,db:number}[], sensitivityDb:number|null, calibrationOffset:number|null}}
+   */
+  function parseMicCorrection(text) {
+    const points=[];let sensitivityDb=null;
+    for(const line of String(text).split(/\r?\n/)){
+      const sens=line.match(/sens\s*factor\s*=\s*(-?[\d.]+)/i);
+      if(sens){ sensitivityDb=parseFloat(sens[1]); continue; }
+      const f=line.trim().split(/[\s,;]+/).map(Number);
+      if(f.length>=2&&isFinite(f[0])&&isFinite(f[1])&&f[0]>0&&!/^[*#;"']/.test(line.trim())) points.push({freq:f[0],db:f[1]});
+    }
+    points.sort((a,b)=>a.freq-b.freq);
+    if(points.length<2) throw new Error('Mic correction: no frequency / dB pairs found');
+    return {points,sensitivityDb,calibrationOffset:sensitivityDb!=null?94-(MIC_NOMINAL_DBFS+sensitivityDb):null};
+  }
+
+  // Correction curve in dB at f, interpolated on log frequency and held at the ends
+  function correctionAt(curve, f) {
+    const pts=curve.points;
+    if(f<=pts[0].freq) return pts[0].db;
+    if(f>=pts[pts.length-1].freq) return pts[pts.length-1].db;
+    let i=1; while(pts[i].freq<f) i++;
+    const a=pts[i-1],b=pts[i],t=Math.log(f/a.freq)/Math.log(b.freq/a.freq);
+    return a.db+t*(b.db-a.db);
+  }
+
+  // Streaming FFT convolver applying the inverse of a correction curve as a
+  // linear-phase FIR of L taps (overlap-add, fixed latency of L samples).
+  function createCorrectionFilter(curve, sampleRate, L=1024) {
+    const M=2*L,hr=new Float64Array(M),hi=new Float64Array(M),at=f=>correctionAt(curve,f);
+    const mr=new Float64Array(L),mi=new Float64Array(L);
+    for(let k=0;k<=L/2;k++){ mr[k]=dbToLin(-at(Math.max(k,.5)*sampleRate/L)); if(k>0&&k<L/2) mr[L-k]=mr[k]; }
+    fft(mr,mi);   // real, even spectrum → real, even impulse (scaled by L)
+    const w=buildWindow('hann',L,false);
+    for(let n=0;n<L;n++) hr[n]=mr[(n-L/2+L)%L]/L*w[n];
+    fft(hr,hi);
+    return {L,M,hr,hi,inp:new Float64Array(L),n:0,ola:new Float64Array(L),out:new Float64Array(L),re:new Float64Array(M),im:new Float64Array(M)};
+  }
+
+  function runCorrectionFilter(cf, x, y) {
+    for(let i=0;i<x.length;i++){
+      y[i]=cf.out[cf.n]; cf.inp[cf.n]=x[i];
+      if(++cf.n<cf.L) continue;
+      const {L,M,re,im}=cf;
+      re.fill(0); im.fill(0); re.set(cf.inp);
+      fft(re,im);
+      for(let k=0;k<M;k++){ const r=re[k]*cf.hr[k]-im[k]*cf.hi[k],j=re[k]*cf.hi[k]+im[k]*cf.hr[k]; re[k]=r; im[k]=-j; }
+      fft(re,im);   // inverse via conjugate
+      for(let n=0;n<L;n++){ cf.out[n]=re[n]/M+cf.ola[n]; cf.ola[n]=re[n+L]/M; }
+      cf.n=0;
+    }
+    return y;
+  }
+
+  // Time constants (s) and the settling time before a weighting's minimum counts
+  const SLM_TAU = {F:.125,S:1,I:.035};
+  const SLM_SETTLE = {F:.625,S:5,I:7.5};
+  const SLM_W = ['A','C','Z'], SLM_T = ['F','S','I'];
+  const SQRT2_DB = 20*Math.log10(Math.SQRT2);
+
+  const SlmModule = {
+    _reset(state){
+      state.t=0; state.tick=0; state.n=0;
+      state.eq=new Float64Array(3); state.pk=new Float64Array(2);        // C, Z
+      state.max=new Float64Array(9).fill(-1); state.min=new Float64Array(9).fill(Infinity);
+      state.hist=new Uint32Array(2000); state.hn=0;                       // 0.1 dB bins, -180 … +20 dB re FS
+    },
+    /** Clear Leq, peaks, max/min and statistics; time-weighted levels keep running. */
+    resetStats(state){ if(state.lp) this._reset(state); },
+    /**
+     * @param {Float32Array} samples - new mono samples
+     * @param {object} state
+     * @param {number} sampleRate
+     * @param {object} o - offset: dB added to levels re full-scale sine (null = uncalibrated), curve: parsed mic correction or null, weighting 'A'|'C'|'Z', timeWeighting 'F'|'S'|'I'
+     * @returns {object} levels in dB SPL when calibrated, else dB re full-scale sine
+     */
+    process(samples, state, sampleRate, o) {
+      if(!state.f||state.sr!==sampleRate){
+        state.sr=sampleRate; state.f=designWeightingFilters(sampleRate);
+        state.lp=new Float64Array(9);   // mean square per weighting × time weighting, index 3w+t
+        state.k=SLM_T.map(t=>1-Math.exp(-1/(SLM_TAU[t]*sampleRate)));
+        state.kd=Math.exp(-1/(1.5*sampleRate));      // Impulse: 35 ms average, then 1.5 s peak decay
+        state.ia=new Float64Array(3);
+        this._reset(state);
+      }
+      if(state.curve!==o.curve){ state.curve=o.curve; state.cf=o.curve?createCorrectionFilter(o.curve,sampleRate):null; }
+      let x=samples;
+      if(state.cf){ if(!state.cb||state.cb.length<x.length) state.cb=new Float32Array(x.length); x=runCorrectionFilter(state.cf,x,state.cb.subarray(0,x.length)); }
+      const f=state.f,lp=state.lp,ia=state.ia,eq=state.eq,pk=state.pk,bq=LufsModule._biquad,[kF,kS,kI]=state.k,kd=state.kd;
+      const tickN=Math.round(sampleRate*.01),wt=o.weighting||'A',tw=o.timeWeighting||'F',sel=3*SLM_W.indexOf(wt)+SLM_T.indexOf(tw);
+      const settle=SLM_T.map(t=>SLM_SETTLE[t]);
+      if(state.sel!==sel){ state.sel=sel; state.hist.fill(0); state.hn=0; }   // statistics follow the displayed weighting
+      let blockZ=0;
+      for(let i=0;i<x.length;i++){
+        const z=x[i],c=bq(f.c[1],bq(f.c[0],z)),a=bq(f.a,c);
+        const ac=c<0?-c:c,az=z<0?-z:z;
+        if(ac>pk[0]) pk[0]=ac; if(az>pk[1]) pk[1]=az;
+        blockZ+=z*z;
+        for(let w=0;w<3;w++){
+          const e=w===0?a*a:w===1?c*c:z*z,j=3*w;
+          eq[w]+=e;
+          lp[j]+=(e-lp[j])*kF; lp[j+1]+=(e-lp[j+1])*kS;
+          ia[w]+=(e-ia[w])*kI; lp[j+2]=Math.max(ia[w],lp[j+2]*kd);
+        }
+        state.n++;
+        if(++state.tick<tickN) continue;
+        // Every 10 ms: max / min and the statistical distribution
+        state.tick=0; state.t+=.01;
+        for(let j=0;j<9;j++){
+          if(lp[j]>state.max[j]) state.max[j]=lp[j];
+          if(state.t>=settle[j%3]&&lp[j]<state.min[j]) state.min[j]=lp[j];
+        }
+        if(lp[sel]>0){ state.hist[clamp(Math.floor((10*Math.log10(2*lp[sel])+180)*10),0,1999)]++; state.hn++; }
+      }
+      // 2·ms puts a full-scale sine at 0 dB
+      const off=o.offset!=null?o.offset:0,L=ms=>ms>0&&isFinite(ms)?10*Math.log10(2*ms)+off:-Infinity;
+      const levels={},max={},min={},leq={};
+      SLM_W.forEach((w,wi)=>{
+        levels[w]={}; max[w]={}; min[w]={}; leq[w]=L(eq[wi]/state.n);
+        SLM_T.forEach((t,ti)=>{ levels[w][t]=L(lp[3*wi+ti]); max[w][t]=L(state.max[3*wi+ti]); min[w][t]=L(state.min[3*wi+ti]); });
+      });
+      // Peaks are instantaneous: a sine peaks 3.01 dB above its RMS level
+      const peak={C:linToDb(pk[0])+SQRT2_DB+off,Z:linToDb(pk[1])+SQRT2_DB+off};
+      // Ln: level exceeded n% of the time
+      const Ln=p=>{
+        if(!state.hn) return -Infinity;
+        const target=state.hn*(1-p/100);let c=0;
+        for(let b=0;b<2000;b++){ c+=state.hist[b]; if(c>=target) return (b+.5)/10-180+off; }
+        return -Infinity;
+      };
+      return {
+        calibrated:o.offset!=null,offset:off,weighting:wt,timeWeighting:tw,level:levels[wt][tw],
+        levels,leq,peak,max,min,
+        LAeq:leq.A,LCeq:leq.C,LZeq:leq.Z,LCpeak:peak.C,LAFmax:max.A.F,LAFmin:min.A.F,
+        L10:Ln(10),L50:Ln(50),L90:Ln(90),statsBasis:`L${wt}${tw}`,duration:state.n/sampleRate,
+        // Raw Z-weighted energy of this block, for calibrate()
+        blockZ:{energy:blockZ,samples:x.length},correction:!!state.cf,
+      };
+    }
+  };
+
+  // ============================================================================
+  // ROOM NOISE RATINGS (NC / NR / RC MARK II / NCB)
+  // ============================================================================
+
+  const NOISE_BANDS = [63,125,250,500,1000,2000,4000,8000];
+  // ANSI S12.2-2008 NC curves, 63 Hz – 8 kHz, NC-15 … NC-70
+  const NC_CURVES = [
+    [15,[47,36,29,22,17,14,12,11]],[20,[51,40,33,26,22,19,17,16]],[25,[54,44,37,31,27,24,22,21]],
+    [30,[57,48,41,35,31,29,28,27]],[35,[60,52,45,40,36,34,33,32]],[40,[64,56,50,45,41,39,38,37]],
+    [45,[67,60,54,49,46,44,43,42]],[50,[71,64,58,54,51,49,48,47]],[55,[74,67,62,58,56,54,53,52]],
+    [60,[77,71,67,63,61,59,58,57]],[65,[80,75,71,68,66,64,63,62]],[70,[83,79,75,72,71,70,69,68]],
+  ];
+  // ISO R1996 noise rating curves: L = a + b·NR
+  const NR_COEFFS = [[35.5,.79],[22,.87],[12,.93],[4.8,.974],[0,1],[-3.5,1.015],[-6.1,1.025],[-8,1.03]];
+  // RC Mark II regions (band indices): LF 63 Hz, MF 125–500 Hz, HF 1–4 kHz
+  const RC_REGIONS = {LF:[0],MF:[1,2,3],HF:[4,5,6]};
+  // Lowest rating each family defines (NC / NCB table, ISO NR-0, Mark II RC-25);
+  // quieter spectra are reported as below it rather than extrapolated
+  const NOISE_FLOOR = {nc:15,nr:0,rc:25,ncb:15};
+
+  // Between and beyond the tabulated NC curves, linear per band
+  function ncLevel(i, nc) {
+    let k=0; while(k<NC_CURVES.length-2&&nc>NC_CURVES[k+1][0]) k++;
+    const [r0,l0]=NC_CURVES[k],[r1,l1]=NC_CURVES[k+1];
+    return l0[i]+(nc-r0)/(r1-r0)*(l1[i]-l0[i]);
+  }
+  function ncOfLevel(i, L) {
+    let k=0; while(k<NC_CURVES.length-2&&L>NC_CURVES[k+1][1][i]) k++;
+    const [r0,l0]=NC_CURVES[k],[r1,l1]=NC_CURVES[k+1];
+    return r0+(L-l0[i])/(l1[i]-l0[i])*(r1-r0);
+  }
+
+  /**
+   * Rating curve levels (dB SPL) at NOISE_BANDS for one rating value.
+   * 'nc' and 'ncb' use the NC curves, 'nr' the ISO curves, 'rc' the
+   * −5 dB/octave Mark II line through the rating at 1 kHz.
+   * @param {string} type - 'nc' | 'nr' | 'rc' | 'ncb'
+   * @param {number} rating
+   * @returns {number[]}
+   */
+  function noiseCurve(type, rating) {
+    return NOISE_BANDS.map((f,i)=>type==='nr'?NR_COEFFS[i][0]+NR_COEFFS[i][1]*rating:type==='rc'?rating-5*(i-4):ncLevel(i,rating));
+  }
+
+  const NoiseRatingModule = {
+    /**
+     * Octave-band Leq from the rta bands (every fractional band summed into
+     * its octave, A-weighting taken back out, calibration offset and mic
+     * correction applied) and the ratings of that spectrum. NC and NR are
+     * the lowest curve no band exceeds (tangency). RC Mark II is the mean of
+     * 500 Hz–2 kHz; its quality index is the spread of the energy-mean
+     * deviations from the RC line in the LF / MF / HF regions, and above
+     * 5 dB the region that stands out names the descriptor. NCB (Beranek) is
+     * the speech interference level (mean of 500 Hz–4 kHz), marked R(umble)
+     * or H(iss) when a band below / from 1 kHz exceeds its curve by over 3 dB.
+     * A rating is null, with the string '--', without a calibration offset
+     * (dB re full scale has no SPL rating), and null with '< NC-15' etc.
+     * below the family's lowest curve (NOISE_FLOOR).
+     * @param {object} rta - rta module result
+     * @param {object} state
+     * @param {object} o - offset (calibration, null = dB re full scale), curve (mic correction), aWeighted, seconds (duration of the new samples)
+     */
+    process(rta, state, o) {
+      if(!state.e){ state.e=new Float64Array(8); state.t=0; }
+      const cur=new Float64Array(8);
+      for(const b of rta.bands){
+        const j=Math.floor(Math.log2(b.fm/1000)+4.5);
+        if(j<0||j>7) continue;
+        let db=b.db-(o.aWeighted?aWeightDb(b.fm):0);
+        if(o.curve) db-=correctionAt(o.curve,b.fm);
+        cur[j]+=Math.pow(10,db/10);
+      }
+      const off=o.offset!=null?o.offset:0;
+      for(let j=0;j<8;j++){ cur[j]=10*Math.log10(Math.max(cur[j],1e-30))+off; state.e[j]+=Math.pow(10,cur[j]/10)*o.seconds; }
+      state.t+=o.seconds;
+      const levels=NOISE_BANDS.map((f,j)=>state.t>0?10*Math.log10(state.e[j]/state.t):cur[j]);
+      const tangent=per=>{ let band=0; per.forEach((v,i)=>{ if(v>per[band]) band=i; }); return {rating:Math.ceil(per[band]-1e-6),band:NOISE_BANDS[band],perBand:per}; };
+      const nc=tangent(levels.map((L,i)=>ncOfLevel(i,L)));
+      const nr=tangent(levels.map((L,i)=>(L-NR_COEFFS[i][0])/NR_COEFFS[i][1]));
+      // RC Mark II
+      const rcR=Math.round((levels[3]+levels[4]+levels[5])/3),rcRef=noiseCurve('rc',rcR),dev=levels.map((L,i)=>L-rcRef[i]);
+      const reg={};
+      for(const k in RC_REGIONS) reg[k]=10*Math.log10(RC_REGIONS[k].reduce((s,i)=>s+Math.pow(10,dev[i]/10),0)/RC_REGIONS[k].length);
+      const qai=Math.max(reg.LF,reg.MF,reg.HF)-Math.min(reg.LF,reg.MF,reg.HF);
+      const rcDesc=qai<=5?'N':Object.keys(reg).reduce((a,b)=>reg[b]>reg[a]?b:a);
+      let rcBand=0; for(let i=1;i<7;i++) if(dev[i]>dev[rcBand]) rcBand=i;
+      // NCB
+      const sil=(levels[3]+levels[4]+levels[5]+levels[6])/4,ncbR=Math.round(sil),ncbRef=noiseCurve('ncb',ncbR);
+      let ncbBand=-1,excess=3;
+      levels.forEach((L,i)=>{ if(L-ncbRef[i]>excess){ excess=L-ncbRef[i]; ncbBand=i; } });
+      const ncbDesc=ncbBand<0?'':ncbBand<4?'R':'H';
+      const calibrated=o.offset!=null;
+      const rate=(type,r,suffix)=>!calibrated?{rating:null,string:'--'}
+        :r<NOISE_FLOOR[type]?{rating:null,string:`< ${type.toUpperCase()}-${NOISE_FLOOR[type]}`}
+        :{rating:r,string:`${type.toUpperCase()}-${r}${suffix}`};
+      return {
+        calibrated,duration:state.t,bands:NOISE_BANDS,levels,current:Array.from(cur),
+        nc:{...nc,...rate('nc',nc.rating,'')},nr:{...nr,...rate('nr',nr.rating,'')},
+        rc:{...rate('rc',rcR,`(${rcDesc})`),descriptor:rcDesc,qai,regions:reg,deviations:dev,band:NOISE_BANDS[rcBand]},
+        ncb:{...rate('ncb',ncbR,ncbDesc?`(${ncbDesc})`:''),sil,descriptor:ncbDesc,band:ncbBand<0?null:NOISE_BANDS[ncbBand]},
+      };
+    }
+  };
+
+  // ============================================================================
+  // SPEECH TRANSMISSION INDEX (STIPA, IEC 60268-16)
+  // ============================================================================
+
+  const STI_BANDS = [125,250,500,1000,2000,4000,8000];
+  // STIPA modulation frequencies (Hz), two per octave band, each at depth 0.55
+  const STIPA_FM = [[1.6,8],[1,5],[.63,3.15],[2,10],[1.25,6.25],[.8,4],[2.5,12.5]];
+  const STIPA_DEPTH = .55;
+  // Analysis band-pass order (12 poles): steep enough that the louder carriers of the
+  // bands below do not fill in the modulation of the band above
+  const STIPA_ORDER = 6;
+  // Male speech spectrum of the test signal, dB per octave band
+  const STIPA_SPECTRUM = [2.9,2.9,-.8,-6.8,-12.8,-18.8,-24.8];
+  // Validity: received modulation depth (re 0.55) above which the input is not
+  // the test signal, and how far (dB) a band may fall below the spectrum shape
+  const STIPA_MAX_M = 1.3, STIPA_MAX_DROP = 25;
+  // Octave weights α and redundancy factors β (male), absolute reception threshold (dB SPL)
+  const STI_ALPHA = [.085,.127,.23,.233,.309,.224,.173], STI_BETA = [.085,.078,.065,.011,.047,.095];
+  const STI_ART = [46,27,12,6.5,7.5,8,12];
+  // Qualification bands by lower STI limit (Annex F)
+  const STI_CATEGORIES = [['A+',.76],['A',.72],['B',.68],['C',.64],['D',.6],['E',.56],['F',.52],['G',.48],['H',.44],['I',.4],['J',.36],['U',0]];
+
+  // Level-dependent auditory masking slope (dB) from the octave band below at level L
+  function stiMaskingDb(L) { return L<63?.5*L-65:L<67?1.8*L-146.9:L<100?.5*L-59.8:-10; }
+
+  /**
+   * STIPA test signal: half-octave noise carriers at 125 Hz – 8 kHz in the
+   * male speech spectrum, each band's intensity modulated as
+   * 1 + 0.55·sin(2πF1·t) − 0.55·sin(2πF2·t) (clipped at 0). 100 s holds a
+   * whole number of every modulation period, so the default length loops
+   * without a seam. Peak-normalized to 1.
+   * @param {object} [o] - sampleRate, duration (s)
+   * @returns {{signal:Float32Array, sampleRate, duration}}
+   */
+  function createStipaSignal({sampleRate=48000,duration=100}={}) {
+    const n=Math.round(duration*sampleRate),out=new Float32Array(n),c=new Float32Array(n),e=Math.pow(2,.25);
+    STI_BANDS.forEach((fc,k)=>{
+      const sec=designBandpass(fc/e,fc*e,sampleRate),z=new Float64Array(6);let ss=0;
+      for(let i=0;i<n;i++){
+        let v=Math.random()*2-1;
+        for(let j=0;j<sec.length;j++){ const s=sec[j],y=s[0]*v+z[2*j]; z[2*j]=z[2*j+1]-s[1]*y; z[2*j+1]=-s[0]*v-s[2]*y; v=y; }
+        c[i]=v; ss+=v*v;
+      }
+      const g=dbToLin(STIPA_SPECTRUM[k])/Math.sqrt(ss/n),w1=2*Math.PI*STIPA_FM[k][0]/sampleRate,w2=2*Math.PI*STIPA_FM[k][1]/sampleRate;
+      for(let i=0;i<n;i++) out[i]+=c[i]*g*Math.sqrt(Math.max(0,1+STIPA_DEPTH*(Math.sin(w1*i)-Math.sin(w2*i))));
+    });
+    let pk=0; for(let i=0;i<n;i++) pk=Math.max(pk,Math.abs(out[i]));
+    for(let i=0;i<n;i++) out[i]/=pk;
+    return {signal:out,sampleRate,duration:n/sampleRate};
+  }
+
+  const StipaModule = {
+    /**
+     * Modulation transfer of a received STIPA signal. Each octave band is
+     * filtered (12th-order Butterworth) and squared; the intensity envelope is
+     * correlated with the band's two modulation frequencies from the last
+     * reset until `duration` seconds have been taken, then the result holds.
+     * m = 2·|Σ I·e^(−jωt)| / Σ I relative to the transmitted 0.55, scaled by
+     * Is / (Is + In) for a separately measured ambient noise In and, once
+     * calibrated, by I / (I + Iam + Irt) for auditory masking from the band
+     * below and the reception threshold. Each m gives an effective SNR
+     * clipped to ±15 dB, the band's MTI is the mean of its two transmission
+     * indices, and STI = Σ α·MTI − Σ β·√(MTIk·MTIk+1). The result is not
+     * valid, and gets no category, when the input is evidently not the test
+     * signal: an uncorrected m above STIPA_MAX_M (a steady tone), or a band
+     * more than STIPA_MAX_DROP dB under the test spectrum relative to the
+     * others, or no signal at all.
+     * @param {Float32Array} samples - new mono samples
+     * @param {object} o - offset (calibration, null = uncalibrated), noise (7 octave levels in the same dB, or null), duration (s)
+     */
+    process(samples, sampleRate, state, o) {
+      if(!state.bands||state.sr!==sampleRate){
+        Object.assign(state,{sr:sampleRate,n:0,res:null,bands:STI_BANDS.map((fc,k)=>({sec:designBandpass(fc/Math.SQRT2,fc*Math.SQRT2,sampleRate,STIPA_ORDER),
+          z:new Float64Array(2*STIPA_ORDER),sI:0,re:new Float64Array(2),im:new Float64Array(2),w:STIPA_FM[k].map(f=>2*Math.PI*f/sampleRate)}))});
+      }
+      const need=Math.round(o.duration*sampleRate),len=Math.min(samples.length,need-state.n);
+      if(len<=0) return state.res&&{...state.res,finished:false};
+      const n0=state.n;
+      for(const b of state.bands){
+        const sec=b.sec,z=b.z,rot=b.w.map(w=>[Math.cos(w),-Math.sin(w)]),ph=b.w.map(w=>[Math.cos(w*n0),-Math.sin(w*n0)]);
+        let sI=b.sI;
+        for(let i=0;i<len;i++){
+          let v=samples[i];
+          for(let j=0;j<sec.length;j++){ const s=sec[j],y=s[0]*v+z[2*j]; z[2*j]=z[2*j+1]-s[1]*y; z[2*j+1]=-s[0]*v-s[2]*y; v=y; }
+          const I=v*v; sI+=I;
+          for(let f=0;f<2;f++){
+            const p=ph[f],r=rot[f];
+            b.re[f]+=I*p[0]; b.im[f]+=I*p[1];
+            const t=p[0]*r[0]-p[1]*r[1]; p[1]=p[0]*r[1]+p[1]*r[0]; p[0]=t;
+          }
+        }
+        b.sI=sI;
+      }
+      state.n+=len;
+      const calibrated=o.offset!=null,off=calibrated?o.offset:0,noise=o.noise&&o.noise.length===7?o.noise:null;
+      const levels=state.bands.map(b=>10*Math.log10(Math.max(2*b.sI/state.n,1e-30))+off);
+      const total=levels.map((L,k)=>noise?10*Math.log10(Math.pow(10,L/10)+Math.pow(10,noise[k]/10)):L);
+      const raw=state.bands.map(b=>b.w.map((w,f)=>b.sI>0?2*Math.hypot(b.re[f],b.im[f])/b.sI/STIPA_DEPTH:0));
+      const rel=levels.map((L,k)=>L-STIPA_SPECTRUM[k]),med=rel.slice().sort((a,b)=>a-b)[3];
+      const reason=Math.max(...levels)-off<-90?'level':raw.some(p=>p[0]>STIPA_MAX_M||p[1]>STIPA_MAX_M)?'modulation':rel.some(x=>x<med-STIPA_MAX_DROP)?'spectrum':null;
+      const m=state.bands.map((b,k)=>b.w.map((w,f)=>{
+        let v=raw[k][f];
+        if(noise) v*=Math.pow(10,(levels[k]-total[k])/10);
+        if(calibrated){
+          const I=Math.pow(10,total[k]/10),am=k?Math.pow(10,(total[k-1]+stiMaskingDb(total[k-1]))/10):0;
+          v*=I/(I+am+Math.pow(10,STI_ART[k]/10));
+        }
+        return v;
+      }));
+      const ti=v=>v>=1?1:v<=0?0:(clamp(10*Math.log10(v/(1-v)),-15,15)+15)/30;
+      const mti=m.map(p=>(ti(p[0])+ti(p[1]))/2);
+      let sti=0;
+      mti.forEach((x,k)=>{ sti+=STI_ALPHA[k]*x; if(k<6) sti-=STI_BETA[k]*Math.sqrt(x*mti[k+1]); });
+      sti=clamp(sti,0,1);
+      const complete=state.n>=need;
+      state.res={sti,category:reason?null:(STI_CATEGORIES.find(c=>c[0]==='A+'?sti>c[1]:sti>=c[1])||STI_CATEGORIES[11])[0],valid:!reason,invalid:reason,
+        mti,m,levels,bands:STI_BANDS,duration:state.n/sampleRate,progress:state.n/need,complete,calibrated,noiseCorrected:!!noise};
+      return {...state.res,finished:complete};
+    }
+  };
+
+  // ============================================================================
+  // TRANSFER FUNCTION (DUAL-CHANNEL FFT)
+  // ============================================================================
+
+  /**
+   * Delay of y behind x by cross-correlation with phase-transform weighting
+   * (GCC-PHAT), which keeps the peak sharp for coloured or reverberant signals.
+   * @param {Float32Array} x - reference
+   * @param {Float32Array} y - measurement, same length
+   * @param {number} maxLag - largest delay searched (samples)
+   * @returns {{samples:number, prominence:number}} prominence = peak / RMS of the correlation
+   */
+  function findDelay(x, y, maxLag) {
+    const n=x.length;let M=1;while(M<2*n)M<<=1;
+    const xr=new Float64Array(M),xi=new Float64Array(M),yr=new Float64Array(M),yi=new Float64Array(M);
+    xr.set(x); yr.set(y); fft(xr,xi); fft(yr,yi);
+    // conj(X)·Y normalized to unit magnitude, conjugated again for the inverse FFT
+    for(let k=0;k<M;k++){
+      const r=xr[k]*yr[k]+xi[k]*yi[k],i=xr[k]*yi[k]-xi[k]*yr[k],m=Math.hypot(r,i)||1;
+      xr[k]=r/m; xi[k]=-i/m;
+    }
+    fft(xr,xi);
+    let best=0,pk=-Infinity,ss=0;
+    for(let l=0;l<=maxLag;l++){ const v=xr[l]; ss+=v*v; if(v>pk){pk=v;best=l;} }
+    return {samples:best,prominence:pk/Math.sqrt(ss/(maxLag+1)||1)};
+  }
+
+  const TransferModule = {
+    _reset(state, N, sampleRate) {
+      let L=1;while(L<Math.max(2*N,sampleRate+N))L<<=1;
+      Object.assign(state,{N,sr:sampleRate,L,x:new Float32Array(L),y:new Float32Array(L),w:0,filled:0,since:0,
+        win:buildWindow('hann',N,true),re:new Float64Array(N),im:new Float64Array(N),
+        delay:null,found:false,nextFind:L,res:null});
+      this.resetAverages(state);
+    },
+    resetAverages(state) {
+      const h=state.N/2+1;
+      Object.assign(state,{gxx:new Float64Array(h),gyy:new Float64Array(h),gxr:new Float64Array(h),gxi:new Float64Array(h),count:0});
+    },
+    /**
+     * H1 transfer function y/x with coherence. A new FFT pair is averaged every
+     * N/4 new samples; the reference is delayed by the found (or set) delay so
+     * phase shows the system, not the propagation time.
+     * @param {Float32Array} ref - new reference samples
+     * @param {Float32Array} meas - new measurement samples, same length
+     * @param {object} o - fftSize, averages (0 = infinite), smoothing (bands per octave, 0 = none), delay ('auto' or ms)
+     */
+    process(ref, meas, sampleRate, state, o) {
+      const N=o.fftSize||16384;
+      if(state.N!==N||state.sr!==sampleRate) this._reset(state,N,sampleRate);
+      const {L,x,y}=state;
+      for(let i=0;i<ref.length;i++){ x[state.w]=ref[i]; y[state.w]=meas[i]; state.w=(state.w+1)&(L-1); }
+      state.filled+=ref.length; state.since+=ref.length;
+      // Delay: manual, or GCC-PHAT over the whole buffer, retried until the peak stands out
+      const mode=o.delay==='auto'||o.delay==null?'auto':'manual';
+      if(state.mode!==mode||state.refind){ state.mode=mode; state.refind=false; state.found=false; state.delay=null; state.nextFind=Math.max(L,state.filled); }
+      if(mode==='manual'){
+        const d=Math.round(o.delay*sampleRate/1000);
+        if(d!==state.delay){ state.delay=Math.min(d,L-N); state.found=true; this.resetAverages(state); }
+      } else if(!state.found&&state.filled>=state.nextFind){
+        const xs=new Float32Array(L),ys=new Float32Array(L);
+        for(let i=0;i<L;i++){ xs[i]=x[(state.w+i)&(L-1)]; ys[i]=y[(state.w+i)&(L-1)]; }
+        const f=findDelay(xs,ys,L-N);
+        state.nextFind=state.filled+L/2; state.prominence=f.prominence;
+        if(f.prominence>8){ state.delay=f.samples; state.found=true; this.resetAverages(state); }
+      }
+      const d=state.delay||0;
+      if(state.since<N/4||state.filled<N+d) return state.res;
+      state.since=0;
+      // Both channels in one complex FFT: z = x + j·y
+      const {re,im,win}=state;
+      for(let n=0;n<N;n++){
+        const j=(state.w-N+n+L)&(L-1);
+        re[n]=x[(j-d+L)&(L-1)]*win[n]; im[n]=y[j]*win[n];
+      }
+      fft(re,im);
+      const avg=o.averages>0?Math.min(++state.count,o.averages):++state.count,a=1/avg;
+      state.avg=avg;
+      for(let k=0;k<=N/2;k++){
+        const m=(N-k)&(N-1);
+        const xr=(re[k]+re[m])/2,xi=(im[k]-im[m])/2,yr=(im[k]+im[m])/2,yi=(re[m]-re[k])/2;
+        state.gxx[k]+=a*(xr*xr+xi*xi-state.gxx[k]);
+        state.gyy[k]+=a*(yr*yr+yi*yi-state.gyy[k]);
+        state.gxr[k]+=a*(xr*yr+xi*yi-state.gxr[k]);
+        state.gxi[k]+=a*(xr*yi-xi*yr-state.gxi[k]);
+      }
+      state.res=this._curves(state,sampleRate,o.smoothing||0);
+      return state.res;
+    },
+    // Log-spaced display points (48 per octave, 20 Hz up); fractional-octave
+    // smoothing averages the spectra (cross-spectrum included) before H and γ²
+    _curves(state, sampleRate, smoothing) {
+      const N=state.N,h=N/2+1,binHz=sampleRate/N,cs=[state.gxx,state.gyy,state.gxr,state.gxi].map(g=>{
+        const c=new Float64Array(h+1); for(let k=0;k<h;k++) c[k+1]=c[k]+g[k]; return c;
+      });
+      const fmax=Math.min(20000,sampleRate*.45),np=Math.floor(48*Math.log2(fmax/20))+1;
+      const freqs=new Float32Array(np),magnitude=new Float32Array(np),phase=new Float32Array(np),coherence=new Float32Array(np);
+      const e=smoothing>0?Math.pow(2,1/(2*smoothing)):1;
+      for(let p=0;p<np;p++){
+        const f=20*Math.pow(2,p/48);
+        let k0=Math.ceil(f/e/binHz),k1=Math.floor(f*e/binHz);
+        if(k1<k0){ k0=k1=Math.round(f/binHz); }
+        k1=Math.min(k1,h-1);
+        const S=cs.map(c=>c[k1+1]-c[k0]),cr=S[2]*S[2]+S[3]*S[3];
+        freqs[p]=f;
+        magnitude[p]=S[0]>0?10*Math.log10(Math.max(cr,1e-40)/(S[0]*S[0])):-Infinity;
+        phase[p]=Math.atan2(S[3],S[2])*180/Math.PI;
+        coherence[p]=S[0]>0&&S[1]>0?cr/(S[0]*S[1]):0;
+      }
+      return {freqs,magnitude,phase,coherence,delaySamples:state.delay||0,delayMs:(state.delay||0)*1000/sampleRate,
+        delayFound:state.found,prominence:state.prominence||0,averages:state.avg,fftSize:N,binHz};
+    }
+  };
+
+  // ============================================================================
+  // IMPULSE RESPONSE (ESS) & ROOM PARAMETERS (ISO 3382-1)
+  // ============================================================================
+
+  /**
+   * Exponential (logarithmic) sine sweep after Farina, with a 50 ms fade-in
+   * and 10 ms fade-out.
+   * @param {object} [o] - sampleRate, f1 (Hz), f2 (Hz), duration (s)
+   * @returns {{signal:Float32Array, sampleRate, f1, f2, duration}}
+   */
+  function createSweep({sampleRate=48000,f1=20,f2=20000,duration=6}={}) {
+    f2=Math.min(f2,sampleRate*.48);
+    const n=Math.round(duration*sampleRate),R=Math.log(f2/f1),K=2*Math.PI*f1*duration/R,x=new Float32Array(n);
+    for(let i=0;i<n;i++) x[i]=Math.sin(K*(Math.exp(i/sampleRate*R/duration)-1));
+    const fi=Math.round(.05*sampleRate),fo=Math.round(.01*sampleRate);
+    for(let i=0;i<fi;i++) x[i]*=.5-.5*Math.cos(Math.PI*i/fi);
+    for(let i=0;i<fo;i++) x[n-1-i]*=.5-.5*Math.cos(Math.PI*i/fo);
+    return {signal:x,sampleRate,f1,f2,duration};
+  }
+
+  /**
+   * Impulse response by regularized spectral division of the recording by the
+   * reference (the sweep as played, or as captured alongside the recording),
+   * band-limited to f1–f2 with half-octave cosine tapers. Harmonic distortion
+   * products land before the main peak and are cut off with it.
+   * @returns {Float32Array} causal IR, as long as the recording
+   */
+  function deconvolveSweep(recorded, reference, sampleRate, f1=20, f2=20000) {
+    const n=Math.max(recorded.length,reference.length);let M=1;while(M<2*n)M<<=1;
+    const yr=new Float64Array(M),yi=new Float64Array(M),xr=new Float64Array(M),xi=new Float64Array(M);
+    yr.set(recorded); xr.set(reference); fft(yr,yi); fft(xr,xi);
+    let mx=0; for(let k=0;k<M;k++) mx=Math.max(mx,xr[k]*xr[k]+xi[k]*xi[k]);
+    const eps=mx*1e-8,lo=f1/Math.SQRT2,hi=Math.min(f2*Math.SQRT2,sampleRate/2);
+    const taper=f=>f<lo||f>hi?0:f<f1?.5-.5*Math.cos(Math.PI*Math.log(f/lo)/Math.log(f1/lo)):f>f2?.5+.5*Math.cos(Math.PI*Math.log(f/f2)/Math.log(hi/f2)):1;
+    for(let k=0;k<M;k++){
+      const f=(k<=M/2?k:M-k)*sampleRate/M,w=taper(f)/(xr[k]*xr[k]+xi[k]*xi[k]+eps);
+      const r=(yr[k]*xr[k]+yi[k]*xi[k])*w,i=(yi[k]*xr[k]-yr[k]*xi[k])*w;
+      yr[k]=r; yi[k]=-i;   // conjugate: the forward FFT then inverts
+    }
+    fft(yr,yi);
+    const ir=new Float32Array(recorded.length);
+    for(let i=0;i<ir.length;i++) ir[i]=yr[i]/M;
+    return ir;
+  }
+
+  // Least-squares line through y(x); returns {slope, intercept}
+  function linearFit(xs, ys) {
+    const n=xs.length;let sx=0,sy=0,sxx=0,sxy=0;
+    for(let i=0;i<n;i++){ sx+=xs[i]; sy+=ys[i]; sxx+=xs[i]*xs[i]; sxy+=xs[i]*ys[i]; }
+    const slope=(n*sxy-sx*sy)/(n*sxx-sx*sx||1);
+    return {slope,intercept:(sy-slope*sx)/n};
+  }
+
+  /**
+   * ISO 3382-1 decay analysis of one (band-filtered) impulse response: onset
+   * at 20 dB below the peak, noise-floor truncation after Lundeby et al.,
+   * Schroeder backward integration with the truncated tail added back, then
+   * EDT / T20 / T30 by regression and the energy ratios C50, C80, D50, Ts.
+   * Reverberation times need a peak-to-noise range 10 dB beyond their
+   * evaluation range (EDT 20, T20 35, T30 45 dB), else they are null.
+   */
+  function decayParameters(h, sampleRate) {
+    const e=new Float64Array(h.length);let pk=0,pi=0;
+    for(let i=0;i<h.length;i++){ e[i]=h[i]*h[i]; if(e[i]>pk){pk=e[i];pi=i;} }
+    let on=pi; while(on>0&&e[on-1]>pk*.01) on--;
+    const n=h.length-on,dB=v=>10*Math.log10(Math.max(v,1e-300));
+    // Lundeby: smoothed envelope, noise from the last 10%, iterate the crosspoint
+    const env=blk=>{ const out=[]; for(let i=on;i+blk<=h.length;i+=blk){ let s=0; for(let j=0;j<blk;j++) s+=e[i+j]; out.push({t:(i-on+blk/2)/sampleRate,db:dB(s/blk)}); } return out; };
+    let blk=Math.max(1,Math.round(.01*sampleRate)),tail=e.subarray(on+Math.floor(n*.9)),noise=tail.reduce((a,b)=>a+b,0)/Math.max(1,tail.length);
+    let cross=n/sampleRate,fit={slope:-60,intercept:dB(pk)};
+    for(let it=0;it<5;it++){
+      const ev=env(blk),nd=dB(noise),top=ev.length?ev[0].db:nd;
+      const pts=ev.filter(p=>p.t<cross&&p.db>nd+(it?5:10)&&p.db<=top);
+      if(pts.length<2) break;
+      fit=linearFit(pts.map(p=>p.t),pts.map(p=>p.db));
+      if(!(fit.slope<0)) break;
+      const nc=(nd-fit.intercept)/fit.slope;
+      // Noise estimated from 5–10 dB below the crosspoint onwards (at least the last 10%)
+      const ns=Math.min(on+Math.round((nc-5/fit.slope)*sampleRate),on+Math.floor(n*.9));
+      if(ns>on&&ns<h.length){ let s=0; for(let i=ns;i<h.length;i++) s+=e[i]; noise=s/(h.length-ns); }
+      blk=Math.max(1,Math.round(-10/fit.slope/5*sampleRate/2));
+      if(Math.abs(nc-cross)<.001){ cross=nc; break; }
+      cross=Math.min(nc,n/sampleRate);
+    }
+    const tr=Math.max(2,Math.min(n,Math.round(cross*sampleRate)));
+    // Energy of the exponential decay beyond the truncation point
+    const C=fit.slope<0?Math.pow(10,(fit.intercept+fit.slope*tr/sampleRate)/10)*10/(-fit.slope*Math.LN10)*sampleRate:0;
+    const sch=new Float64Array(tr);let acc=C;
+    for(let i=tr-1;i>=0;i--){ acc+=e[on+i]; sch[i]=acc; }
+    const tot=sch[0],curve=new Float32Array(tr);
+    for(let i=0;i<tr;i++) curve[i]=dB(sch[i]/tot);
+    const range=dB(pk)-dB(noise);
+    const rt=(hiDb,loDb,need)=>{
+      if(range<need) return null;
+      const xs=[],ys=[],st=Math.max(1,Math.round(sampleRate/2000));
+      for(let i=0;i<tr;i+=st){ if(curve[i]<=hiDb&&curve[i]>=loDb){ xs.push(i/sampleRate); ys.push(curve[i]); } else if(curve[i]<loDb) break; }
+      if(xs.length<3) return null;
+      const f=linearFit(xs,ys);
+      return f.slope<0?-60/f.slope:null;
+    };
+    const at=ms=>Math.min(tr-1,Math.round(ms*sampleRate/1000)),early=ms=>tot-(at(ms)<tr-1?sch[at(ms)]:C);
+    let ts=0; for(let i=0;i<tr;i++) ts+=i*e[on+i]; ts+=C*(tr+(fit.slope<0?10/(-fit.slope*Math.LN10)*sampleRate:0));
+    // Decay curve at 1 ms resolution for plotting
+    const step=Math.max(1,Math.round(sampleRate/1000)),decay=new Float32Array(Math.ceil(tr/step));
+    for(let i=0;i<decay.length;i++) decay[i]=curve[i*step];
+    return {
+      edt:rt(0,-10,20),t20:rt(-5,-25,35),t30:rt(-5,-35,45),
+      c50:dB(early(50)/(tot-early(50))),c80:dB(early(80)/(tot-early(80))),d50:early(50)/tot,ts:ts/tot/sampleRate*1000,
+      dynamicRange:range,onset:on,truncation:(on+tr)/sampleRate,decay,
+    };
+  }
+
+  /**
+   * Room acoustic parameters per octave band (63 Hz – 8 kHz) and broadband
+   * from an impulse response. Bands are filtered time-reversed so the
+   * filters' own ringing does not lengthen short decays.
+   * @param {Float32Array} ir
+   * @param {number} sampleRate
+   * @returns {{bands:object[], broadband:object, mid:object}} mid averages 500 Hz and 1 kHz
+   */
+  function roomParameters(ir, sampleRate) {
+    const bands=fractionalOctaveBands(1,63,Math.min(8000,sampleRate*.4)).map(b=>{
+      const sec=designBandpass(b.low,b.high,sampleRate),z=new Float64Array(6),y=new Float32Array(ir.length);
+      for(let n=ir.length-1;n>=0;n--){
+        let v=ir[n];
+        for(let j=0;j<sec.length;j++){ const c=sec[j],o=c[0]*v+z[2*j]; z[2*j]=z[2*j+1]-c[1]*o; z[2*j+1]=-c[0]*v-c[2]*o; v=o; }
+        y[n]=v;
+      }
+      return {center:b.center,...decayParameters(y,sampleRate)};
+    });
+    const mid={};
+    const m=bands.filter(b=>b.center===500||b.center===1000);
+    ['edt','t20','t30','c50','c80','d50','ts'].forEach(k=>{ mid[k]=m.length===2&&m[0][k]!=null&&m[1][k]!=null?(m[0][k]+m[1][k])/2:null; });
+    return {bands,broadband:decayParameters(ir,sampleRate),mid};
+  }
+
+  /**
+   * Encode channels as a 32-bit float WAV file (values are not clipped or
+   * normalized).
+   * @param {Float32Array|Float32Array[]} channels
+   * @param {number} sampleRate
+   * @returns {ArrayBuffer}
+   */
+  function encodeWav(channels, sampleRate) {
+    const chs=Array.isArray(channels)?channels:[channels],nc=chs.length,len=chs[0].length,data=len*nc*4;
+    const buf=new ArrayBuffer(58+data),v=new DataView(buf);
+    const str=(o,t)=>{ for(let i=0;i<t.length;i++) v.setUint8(o+i,t.charCodeAt(i)); };
+    str(0,'RIFF'); v.setUint32(4,50+data,true); str(8,'WAVE');
+    str(12,'fmt '); v.setUint32(16,18,true); v.setUint16(20,3,true); v.setUint16(22,nc,true);
+    v.setUint32(24,sampleRate,true); v.setUint32(28,sampleRate*nc*4,true); v.setUint16(32,nc*4,true); v.setUint16(34,32,true); v.setUint16(36,0,true);
+    str(38,'fact'); v.setUint32(42,4,true); v.setUint32(46,len,true);
+    str(50,'data'); v.setUint32(54,data,true);
+    for(let i=0,o=58;i<len;i++) for(let c=0;c<nc;c++,o+=4) v.setFloat32(o,chs[c][i],true);
+    return buf;
+  }
+
+  // ============================================================================
+  // FREQUENCY RESPONSE (SWEEP / PERIODIC PINK NOISE)
+  // ============================================================================
+
+  /**
+   * Pink noise that repeats exactly every `length` samples: a 1/√f magnitude
+   * spectrum between f1 and f2 with random phases, so every bin is excited
+   * and a whole period needs no window. Peak-normalized to 1.
+   * @param {object} [o] - sampleRate, length (power of two), f1, f2 (Hz)
+   * @returns {{signal:Float32Array, sampleRate, period:number, f1, f2}}
+   */
+  function createPeriodicNoise({sampleRate=48000,length=65536,f1=20,f2=20000}={}) {
+    f2=Math.min(f2,sampleRate*.48);
+    const re=new Float64Array(length),im=new Float64Array(length);
+    for(let k=1;k<length/2;k++){
+      const f=k*sampleRate/length;
+      if(f<f1||f>f2) continue;
+      const a=1/Math.sqrt(f),ph=2*Math.PI*Math.random();
+      re[k]=a*Math.cos(ph); im[k]=-a*Math.sin(ph);      // conjugated: the forward FFT then inverts
+      re[length-k]=re[k]; im[length-k]=-im[k];
+    }
+    fft(re,im);
+    let pk=0; for(let i=0;i<length;i++) pk=Math.max(pk,Math.abs(re[i]));
+    const signal=new Float32Array(length);
+    for(let i=0;i<length;i++) signal[i]=re[i]/(pk||1);
+    return {signal,sampleRate,period:length,f1,f2};
+  }
+
+  /**
+   * Frequency response from a recording of the system and its reference.
+   * 'sweep': the impulse response (deconvolveSweep) gated to `gate` seconds
+   * from 1 ms before its peak. 'noise': the periods after the first, which
+   * only fills the system, are averaged as H1 = Gxy / Gxx, so coherence shows
+   * noise and nonlinearity. Either way the delay (the IR peak) is taken out of
+   * the phase, and the curves use the transfer-function grid (48 points per
+   * octave from 20 Hz) with fractional-octave smoothing.
+   * @param {Float32Array} recorded
+   * @param {Float32Array} reference - stimulus as captured, or as generated (one period for 'noise')
+   * @param {number} sampleRate
+   * @param {object} [o] - stimulus ('sweep' | 'noise'), period (samples), f1, f2, gate (s), smoothing (bands per octave, 0 = none)
+   * @returns {{freqs, magnitude, phase, coherence, delaySamples, delayMs, averages, fftSize, binHz}}
+   */
+  function frequencyResponse(recorded, reference, sampleRate, o={}) {
+    const smoothing=o.smoothing!=null?o.smoothing:12;
+    if(o.stimulus==='noise'){
+      const P=o.period,h=P/2+1,one=reference.length===P;
+      let onset=0;
+      if(!one){ let pk=0; for(let i=0;i<reference.length;i++) pk=Math.max(pk,Math.abs(reference[i])); while(onset<reference.length&&Math.abs(reference[onset])<pk*1e-3) onset++; }
+      const start=onset+P,K=Math.floor((recorded.length-start)/P);
+      if(K<1) throw new Error('Frequency response: record at least two noise periods');
+      const st={N:P,gxx:new Float64Array(h),gyy:new Float64Array(h),gxr:new Float64Array(h),gxi:new Float64Array(h),avg:K,found:true};
+      const xr=new Float64Array(P),xi=new Float64Array(P),yr=new Float64Array(P),yi=new Float64Array(P);
+      for(let k=0;k<K;k++){
+        const s=start+k*P;
+        for(let i=0;i<P;i++){ xr[i]=one?reference[(s+i)%P]:reference[s+i]; yr[i]=recorded[s+i]; }
+        xi.fill(0); yi.fill(0); fft(xr,xi); fft(yr,yi);
+        for(let b=0;b<h;b++){
+          st.gxx[b]+=xr[b]*xr[b]+xi[b]*xi[b]; st.gyy[b]+=yr[b]*yr[b]+yi[b]*yi[b];
+          st.gxr[b]+=xr[b]*yr[b]+xi[b]*yi[b]; st.gxi[b]+=xr[b]*yi[b]-xi[b]*yr[b];
+        }
+      }
+      // Delay: peak of the (circular) impulse response Gxy / Gxx; bins
+      // the stimulus leaves empty are skipped
+      const ir=new Float64Array(P),ii=new Float64Array(P);
+      let gmax=0; for(let b=0;b<h;b++) gmax=Math.max(gmax,st.gxx[b]);
+      for(let b=0;b<h;b++){
+        const g=st.gxx[b]>gmax*1e-6?1/st.gxx[b]:0;
+        ir[b]=st.gxr[b]*g; ii[b]=-st.gxi[b]*g;
+        if(b>0&&b<P/2){ ir[P-b]=ir[b]; ii[P-b]=-ii[b]; }
+      }
+      fft(ir,ii);
+      let d=0; for(let i=1;i<P;i++) if(Math.abs(ir[i])>Math.abs(ir[d])) d=i;
+      for(let b=0;b<h;b++){
+        const a=2*Math.PI*b*d/P,c=Math.cos(a),s=Math.sin(a),r=st.gxr[b],i=st.gxi[b];
+        st.gxr[b]=r*c-i*s; st.gxi[b]=r*s+i*c;
+      }
+      st.delay=d;
+      return TransferModule._curves(st,sampleRate,smoothing);
+    }
+    const ir=deconvolveSweep(recorded,reference,sampleRate,o.f1||20,o.f2||20000);
+    let d=0; for(let i=1;i<ir.length;i++) if(Math.abs(ir[i])>Math.abs(ir[d])) d=i;
+    const pre=Math.min(d,Math.round(.001*sampleRate)),G=Math.min(ir.length-d,Math.round((o.gate||.5)*sampleRate)),fade=Math.max(1,Math.round(G/4));
+    let N=1; while(N<G+pre) N<<=1;
+    const re=new Float64Array(N),im=new Float64Array(N);
+    for(let i=-pre;i<G;i++){
+      const w=i<0?.5-.5*Math.cos(Math.PI*(i+pre)/pre):i>=G-fade?.5+.5*Math.cos(Math.PI*(i-G+fade)/fade):1;
+      re[(i+N)%N]=ir[d+i]*w;
+    }
+    fft(re,im);
+    const h=N/2+1,st={N,gxx:new Float64Array(h).fill(1),gyy:new Float64Array(h),gxr:new Float64Array(h),gxi:new Float64Array(h),avg:1,found:true,delay:d};
+    for(let b=0;b<h;b++){ st.gxr[b]=re[b]; st.gxi[b]=im[b]; st.gyy[b]=re[b]*re[b]+im[b]*im[b]; }
+    return TransferModule._curves(st,sampleRate,smoothing);
+  }
+
+  // ============================================================================
+  // AUDIOWORKLET CAPTURE
+  // ============================================================================
+
+  // Processor source, serialized into a Blob module by OrdoAudio.init().
+  // Collects every input sample into fixed hops and posts L/R blocks to the
+  // main thread, independent of requestAnimationFrame and tab visibility.
+  function captureProcessorSource() {
+    class OrdoCaptureProcessor extends AudioWorkletProcessor {
+      constructor(options) {
+        super();
+        this.hop=options.processorOptions.hopSize;
+        this.l=new Float32Array(this.hop); this.r=new Float32Array(this.hop); this.g=new Float32Array(this.hop); this.n=0;
+      }
+      // Input 0 is the analyzed signal, input 1 the transfer-function reference
+      process(inputs) {
+        const inp=inputs[0],G=inputs[1]&&inputs[1][0];
+        if(!inp||!inp.length) return true;
+        const L=inp[0],R=inp[1]||inp[0];
+        for(let i=0;i<L.length;){
+          const k=Math.min(this.hop-this.n,L.length-i);
+          this.l.set(L.subarray(i,i+k),this.n); this.r.set(R.subarray(i,i+k),this.n);
+          if(G) this.g.set(G.subarray(i,i+k),this.n); else this.g.fill(0,this.n,this.n+k);
+          this.n+=k; i+=k;
+          if(this.n===this.hop){
+            this.port.postMessage({left:this.l,right:this.r,ref:this.g},[this.l.buffer,this.r.buffer,this.g.buffer]);
+            this.l=new Float32Array(this.hop); this.r=new Float32Array(this.hop); this.g=new Float32Array(this.hop); this.n=0;
+          }
+        }
+        return true;
+      }
+    }
+    registerProcessor('ordo-capture',OrdoCaptureProcessor);
+  }
+
+  // ============================================================================
+  // PIPELINE WORKER
+  // ============================================================================
+
+  // Worker entry, serialized into a Blob after the whole library factory so
+  // the worker owns a headless analyzer. Sample blocks arrive by transfer;
+  // every event (frames included) is posted back for OrdoAudio to re-emit.
+  function pipelineWorkerMain(OrdoAudio) {
+    let a=null;
+    self.onmessage=e=>{
+      const m=e.data;
+      if(m.type==='init'){
+        a=new OrdoAudio.Analyzer(m.options);
+        a.channelCount=m.channelCount; a.diagnostics.worker=true;
+        a.use(...m.modules);
+        a._emit=(ev,d)=>self.postMessage({ev,d});
+      }
+      else if(m.type==='push') a.push(m.channels,null,m.reference);
+      else if(m.type==='call') a[m.method](...m.args);
+    };
+  }
+
+  // ============================================================================
+  // LOUDNESS CONFORMANCE — EBU Tech 3341 / 3342 synthetic test signals
+  // ============================================================================
+
+  // Each case is a 1 kHz sine sequence: segments of [dBFS, seconds], where the
+  // level is one value for every channel or an array per channel. Expectations
+  // are the published values and tolerances (LUFS / LU). The authentic
+  // programme items of the test sets are files and are not reproduced here.
+  const LOUDNESS_CONFORMANCE = [
+    {id:'3341-1', channels:2, segments:[[-23,20]],                               expect:{momentary:-23,shortTerm:-23,integrated:-23}, tolerance:.1},
+    {id:'3341-2', channels:2, segments:[[-33,20]],                               expect:{momentary:-33,shortTerm:-33,integrated:-33}, tolerance:.1},
+    {id:'3341-3', channels:2, segments:[[-36,10],[-23,60],[-36,10]],             expect:{integrated:-23}, tolerance:.1},
+    {id:'3341-4', channels:2, segments:[[-72,10],[-36,10],[-23,60],[-36,10],[-72,10]], expect:{integrated:-23}, tolerance:.1},
+    {id:'3341-5', channels:2, segments:[[-26,20],[-20,20.1],[-26,20]],           expect:{integrated:-23}, tolerance:.1},
+    {id:'3341-6', channels:5, segments:[[[-28,-28,-24,-30,-30],20]],             expect:{integrated:-23}, tolerance:.1},
+    {id:'3341-9', channels:2, segments:Array.from({length:40},(_,i)=>i%2?[-30,1.66]:[-20,1.34]), expect:{shortTermConstant:-23}, tolerance:.1},
+    {id:'3341-12',channels:2, segments:Array.from({length:40},(_,i)=>i%2?[-30,.22]:[-20,.18]),   expect:{momentaryConstant:-23}, tolerance:.1},
+    {id:'3342-1', channels:2, segments:[[-20,20],[-30,20]],                      expect:{lra:10}, tolerance:1},
+    {id:'3342-2', channels:2, segments:[[-20,20],[-15,20]],                      expect:{lra:5},  tolerance:1},
+    {id:'3342-3', channels:2, segments:[[-40,20],[-20,20]],                      expect:{lra:20}, tolerance:1},
+    {id:'3342-4', channels:2, segments:[[-50,20],[-35,20],[-20,20],[-35,20],[-50,20]], expect:{lra:15}, tolerance:1},
+  ];
+
+  /**
+   * Generate each conformance signal in blocks, meter it with LufsModule and
+   * compare against the expected values. The *Constant expectations check the
+   * whole range of momentary / short-term readings once the window has filled.
+   * @param {number} [sampleRate=48000]
+   * @returns {{id,pass,measured,expected,tolerance}[]}
+   */
+  function runLoudnessConformance(sampleRate=48000) {
+    const block=1024,w=2*Math.PI*1000/sampleRate;
+    return LOUDNESS_CONFORMANCE.map(tc=>{
+      const st={},chs=Array.from({length:tc.channels},()=>new Float32Array(block));
+      const range={momentary:[Infinity,-Infinity],shortTerm:[Infinity,-Infinity]};
+      let k=0,r=null;
+      for(const [db,sec] of tc.segments){
+        const amp=(Array.isArray(db)?db:new Array(tc.channels).fill(db)).map(dbToLin);
+        for(let left=Math.round(sec*sampleRate);left>0;){
+          const n=Math.min(block,left),v=chs.map(c=>c.subarray(0,n));
+          for(let i=0;i<n;i++){ const s=Math.sin(w*(k+i)); for(let c=0;c<tc.channels;c++) v[c][i]=amp[c]*s; }
+          r=LufsModule.process(v,st,sampleRate); k+=n; left-=n;
+          // Constant-level checks start once the 3 s window holds signal only
+          if(k>=3*sampleRate) for(const key of ['momentary','shortTerm']){ range[key][0]=Math.min(range[key][0],r[key]); range[key][1]=Math.max(range[key][1],r[key]); }
+        }
+      }
+      const measured={momentary:r.momentary,shortTerm:r.shortTerm,integrated:r.integrated,lra:r.lra};
+      let pass=true;
+      for(const [key,exp] of Object.entries(tc.expect)){
+        const base=key.replace('Constant','');
+        if(key!==base){ measured[key]=range[base]; pass=pass&&Math.abs(range[base][0]-exp)<=tc.tolerance&&Math.abs(range[base][1]-exp)<=tc.tolerance; }
+        else pass=pass&&Math.abs(measured[key]-exp)<=tc.tolerance;
+      }
+      return {id:tc.id,pass,measured,expected:tc.expect,tolerance:tc.tolerance};
+    });
+  }
+
+  // ============================================================================
+  // FEEDBACK SUPPRESSOR — managed notch bank
+  // ============================================================================
+
+  /**
+   * Pool of notch filters placed on ringing frequencies. The first `fixed`
+   * slots hold notches for the rest of the session; the others float: after
+   * `hold` s without a new detection they recover at `release` dB/s and are
+   * freed at 0 dB, and when the pool is full the shallowest, longest-idle
+   * floating notch is reassigned. A detection inside an active notch deepens
+   * it by `step` dB up to `maxDepth` (at most every `interval` s); one more
+   * than a quarter bandwidth off its centre widens it instead, down to `minQ`.
+   * With an AudioContext the bank is a chain of peaking BiquadFilterNodes from
+   * `input` to `output`; without one it only keeps the notch list.
+   */
+  class FeedbackSuppressor {
+    constructor(ctx=null, opts={}) {
+      this.options={filters:12,fixed:4,depth:6,step:3,maxDepth:18,q:30,minQ:8,hold:10,release:1,interval:.5,...opts};
+      this.ctx=ctx; this.slots=new Array(this.options.filters).fill(null); this.onChange=null; this._last=null;
+      if(!ctx) return;
+      this.input=ctx.createGain(); this.output=ctx.createGain();
+      this.nodes=this.slots.map(()=>{ const b=ctx.createBiquadFilter(); b.type='peaking'; b.gain.value=0; b.Q.value=this.options.q; return b; });
+      this.nodes.reduce((prev,b)=>(prev.connect(b),b),this.input).connect(this.output);
+    }
+
+    /** @returns {{index,frequency,gain,q,type,note}[]} active notches, gain in dB (negative) */
+    get notches() {
+      return this.slots.map((n,i)=>n&&{index:i,frequency:n.freq,gain:-n.depth,q:n.q,type:n.fixed?'fixed':'floating',note:hzToNote(n.freq).name}).filter(Boolean);
+    }
+
+    /**
+     * Feed the frequencies ringing now (Hz) at stream time `time` (s); also
+     * advances the release of idle floating notches.
+     */
+    update(freqs, time) {
+      const o=this.options,dt=this._last==null?0:Math.max(0,time-this._last);this._last=time;
+      for(const f of freqs){
+        if(!(f>0)) continue;
+        const hit=this.slots.findIndex(n=>n&&Math.abs(Math.log2(f/n.freq))<Math.max(1/24,.5/(n.q*Math.LN2)));
+        if(hit>=0){
+          const n=this.slots[hit];n.lastHit=time;
+          if(time-n.lastStep<o.interval) continue;
+          n.lastStep=time;
+          const off=Math.abs(Math.log2(f/n.freq))>.25/(n.q*Math.LN2);
+          if(off&&n.q>o.minQ){ n.q=Math.max(o.minQ,n.q/1.5); n.freq=Math.sqrt(n.freq*f); this._set(hit,'widen'); }
+          else if(n.depth<o.maxDepth){ n.depth=Math.min(o.maxDepth,n.depth+o.step); this._set(hit,'deepen'); }
+          continue;
+        }
+        let i=this.slots.findIndex((n,k)=>!n&&k<o.fixed);
+        const fixed=i>=0;
+        if(i<0) i=this.slots.findIndex((n,k)=>!n&&k>=o.fixed);
+        if(i<0){
+          let b=-1;
+          for(let k=o.fixed;k<this.slots.length;k++){ const n=this.slots[k],m=this.slots[b]; if(b<0||n.depth<m.depth||n.depth===m.depth&&n.lastHit<m.lastHit) b=k; }
+          if(b<0) continue;
+          i=b;
+        }
+        this.slots[i]={freq:f,depth:o.depth,q:o.q,fixed,created:time,lastHit:time,lastStep:time};
+        this._set(i,'add');
+      }
+      this.slots.forEach((n,i)=>{
+        if(!n||n.fixed||time-n.lastHit<o.hold) return;
+        n.depth-=o.release*dt;
+        if(n.depth>0) return this._set(i,'release',true);
+        this.slots[i]=null; this._set(i,'free');
+      });
+      return this;
+    }
+
+    /** Remove notches: 'floating' (default) or 'all'. */
+    clear(which='floating') {
+      this.slots.forEach((n,i)=>{ if(n&&(which==='all'||!n.fixed)){ this.slots[i]=null; this._set(i,'free'); } });
+      return this;
+    }
+
+    disconnect() {
+      if(!this.ctx) return;
+      this.input.disconnect(); this.nodes.forEach(b=>b.disconnect()); this.output.disconnect();
+    }
+
+    // Push slot i to its filter node and report the change (silently for release steps)
+    _set(i, action, quiet=false) {
+      const n=this.slots[i];
+      if(this.ctx){
+        const b=this.nodes[i],t=this.ctx.currentTime;
+        b.gain.setTargetAtTime(n?-n.depth:0,t,.02);
+        if(n){ b.frequency.setValueAtTime(n.freq,t); b.Q.setValueAtTime(n.q,t); }
+      }
+      if(!quiet&&this.onChange) this.onChange({action,index:i,notch:n&&this.notches.find(x=>x.index===i)||null});
+    }
+  }
+
   // ============================================================================
   // SESSION STATISTICS
   // ============================================================================
@@ -438,7 +2549,7 @@
       this.peakDbfs=-Infinity; this.truePeakDbtp=-Infinity;
       this.lufsSum=0; this.lufsCount=0;
       this.totalClipEvents=0; this.totalFeedbackEvents=0;
-      this.dominantKey=null; this.dominantBpm=null;
+      this.keyCounts={}; this.keyChanges=[]; this.dominantBpm=null;
     }
     start() { this.reset(); this.startTime=Date.now(); }
     stop()  { this.endTime=Date.now(); }
@@ -448,48 +2559,253 @@
       if(d.truePeak&&d.truePeak.truePeak>this.truePeakDbtp)this.truePeakDbtp=d.truePeak.truePeak;
       if(d.lufs&&isFinite(d.lufs.momentary)){this.lufsSum+=d.lufs.momentary;this.lufsCount++;}
       if(d.feedback&&d.feedback.isFeedbackRisk)this.totalFeedbackEvents++;
-      if(d.chroma&&d.chroma.key)this.dominantKey=`${d.chroma.key} ${d.chroma.mode}`;
+      if(d.chroma&&d.chroma.key&&!(d.dynamics&&d.dynamics.rmsDb<=-60))this.keyCounts[d.chroma.keyString]=(this.keyCounts[d.chroma.keyString]||0)+1;
+      if(d.chroma&&d.chroma.changed&&d.chroma.previous)this.keyChanges.push({time:d.chroma.since,from:d.chroma.previous,to:d.chroma.keyString});
       if(d.onset&&d.onset.bpm>0)this.dominantBpm=d.onset.bpm;
     }
     get durationSeconds(){ return this.startTime?((this.endTime||Date.now())-this.startTime)/1000:0; }
     get averageLufs(){ return this.lufsCount>0?this.lufsSum/this.lufsCount:-Infinity; }
+    /** Key reported for the most frames with signal (above -60 dB RMS). */
+    get dominantKey(){ return Object.keys(this.keyCounts).sort((x,y)=>this.keyCounts[y]-this.keyCounts[x])[0]||null; }
     toObject(){
-      return {durationSeconds:this.durationSeconds,peakDbfs:this.peakDbfs,truePeakDbtp:this.truePeakDbtp,averageLufs:this.averageLufs,totalClipEvents:this.totalClipEvents,totalFeedbackEvents:this.totalFeedbackEvents,dominantKey:this.dominantKey,dominantBpm:this.dominantBpm};
+      return {durationSeconds:this.durationSeconds,peakDbfs:this.peakDbfs,truePeakDbtp:this.truePeakDbtp,averageLufs:this.averageLufs,totalClipEvents:this.totalClipEvents,totalFeedbackEvents:this.totalFeedbackEvents,dominantKey:this.dominantKey,keyChanges:this.keyChanges.slice(),dominantBpm:this.dominantBpm};
     }
   }
 
   // ============================================================================
-  // MAIN CLASS
+  // HEADLESS ANALYZER — module pipeline fed with raw PCM, no AudioContext
   // ============================================================================
 
-  class OrdoAudio {
+  class OrdoAnalyzer {
     constructor(opts={}) {
       this.options={
         fftSize:               opts.fftSize               || 4096,
-        smoothingTimeConstant: opts.smoothingTimeConstant || 0.8,
+        smoothingTimeConstant: opts.smoothingTimeConstant != null ? opts.smoothingTimeConstant : 0.8,
         minDecibels:           opts.minDecibels           || -100,
         maxDecibels:           opts.maxDecibels           || 0,
         sampleRate:            opts.sampleRate            || null,
         windowType:            opts.windowType            || 'hann',
         useAWeighting:         opts.useAWeighting         || false,
+        rtaResolution:         opts.rtaResolution         || 3,
+        rtaFilterBank:         opts.rtaFilterBank         || false,
+        hopSize:               opts.hopSize               || null,
+        capture:               opts.capture               || 'auto',
+        worker:                opts.worker                || false,
+        channelWeights:        opts.channelWeights        || null,
+        truePeakCeiling:       opts.truePeakCeiling!=null ? opts.truePeakCeiling : -1,
+        truePeakOversampling:  opts.truePeakOversampling      || 4,
+        slmWeighting:          opts.slmWeighting          || 'A',
+        slmTimeWeighting:      opts.slmTimeWeighting      || 'F',
+        calibrationOffset:     opts.calibrationOffset!=null ? opts.calibrationOffset : null,
+        micCorrection:         opts.micCorrection         || null,
+        transferReference:     opts.transferReference!=null ? opts.transferReference : null,
+        transferFftSize:       opts.transferFftSize       || 16384,
+        transferAverages:      opts.transferAverages!=null ? opts.transferAverages : 8,
+        transferSmoothing:     opts.transferSmoothing!=null ? opts.transferSmoothing : 12,
+        transferDelay:         opts.transferDelay!=null ? opts.transferDelay : 'auto',
+        roomDimensions:        opts.roomDimensions        || null,
+        keyProfile:            opts.keyProfile            || 'krumhansl',
+        keyWindow:             opts.keyWindow!=null ? opts.keyWindow : 8,
+        referencePitch:        opts.referencePitch        || 440,
+        temperament:           opts.temperament           || 'equal',
+        temperamentTonic:      opts.temperamentTonic      || 'C',
+        tunerPreset:           opts.tunerPreset           || null,
+        distortionStimulus:    opts.distortionStimulus    || null,
+        distortionFftSize:     opts.distortionFftSize     || 16384,
+        distortionAverages:    opts.distortionAverages    || 4,
+        stipaDuration:         opts.stipaDuration         || 20,
+        stipaNoise:            opts.stipaNoise            || null,
+        timbreProfile:         opts.timbreProfile ? timbreProfile(opts.timbreProfile) : null,
+        timbreModel:           opts.timbreModel           || 'gaussian',
+        timbreWindow:          opts.timbreWindow          || .5,
+        timbreGate:            opts.timbreGate!=null ? opts.timbreGate : -50,
+        timbreThreshold:       opts.timbreThreshold!=null ? opts.timbreThreshold : .6,
+        timbreMaxDistance:     opts.timbreMaxDistance     || 3,
       };
-      this.audioContext=null; this.analyser=null; this.source=null; this.stream=null;
-      this.timeData=null; this.freqData=null;
-      this._windowCoeffs=null; this._aWeightTable=null;
-      this._moduleStates={}; this._listeners={}; this._animFrameId=null;
-      this._isRunning=false; this._frameCount=0;
+      this.sampleRate=this.options.sampleRate||48000;
+      this.timeData=null; this.freqData=null; this.timeDataL=null; this.timeDataR=null;
+      this._aWeightTable=null; this._spectrum=null;
+      this._moduleStates={}; this._listeners={};
+      this._frameCount=0; this._rings=null; this._refRing=null; this._hopFill=0; this._samplePos=0;
       this.session=new SessionStats();
-      this.diagnostics={fps:0,lastFrameTime:0,processingTimeMs:0};
-      this._activeModules=new Set(OrdoAudio.modules);
+      this.diagnostics={fps:0,lastFrameTime:0,processingTimeMs:0,moduleMs:{},worker:false};
+      this._activeModules=new Set(OrdoAnalyzer.defaultModules);
     }
 
     // Config
-    setWindow(type){ this.options.windowType=type; if(this.analyser) this._windowCoeffs=buildWindow(type,this.options.fftSize); return this; }
+    // The spectrum (and its smoothing) restarts with the new window
+    setWindow(type){ this.options.windowType=type; this._spectrum=null; return this; }
     setAWeighting(en){
       this.options.useAWeighting=en;
-      if(en&&this.audioContext&&!this._aWeightTable) this._aWeightTable=buildAWeightTable(this.audioContext.sampleRate,this.options.fftSize);
+      if(en&&this.timeData&&!this._aWeightTable) this._aWeightTable=buildAWeightTable(this.sampleRate,this.options.fftSize);
+      return this;
+    }
+
+    /** RTA bands per octave: 1, 3, 6, 12 or 24. */
+    setRtaResolution(bandsPerOctave){
+      if(RTA_RESOLUTIONS.includes(bandsPerOctave)) this.options.rtaResolution=bandsPerOctave;
+      return this;
+    }
+    /** IEC 61260 filter bank for the low RTA bands: false, true (bands the FFT cannot resolve) or a crossover in Hz. */
+    setRtaFilterBank(mode){ this.options.rtaFilterBank=mode; return this; }
+
+    setTruePeakCeiling(db){ this.options.truePeakCeiling=db; return this; }
+    setTruePeakOversampling(os){ this.options.truePeakOversampling=os===8?8:4; return this; }
+    /** Reset true-peak max hold and over counts. */
+    resetTruePeak(){ if(this._moduleStates.tp) TruePeakModule.resetHold(this._moduleStates.tp); return this; }
+
+    // Sound level meter
+    setSlmWeighting(weighting, timeWeighting){
+      if(weighting) this.options.slmWeighting=weighting;
+      if(timeWeighting) this.options.slmTimeWeighting=timeWeighting;
       return this;
     }
+    /** Offset in dB from level re full-scale sine to dB SPL; null for uncalibrated. */
+    setCalibration(offsetDb){ this.options.calibrationOffset=offsetDb; return this; }
+    /** Microphone correction from parseMicCorrection(), or null to remove it. */
+    setMicCorrection(curve){ this.options.micCorrection=curve; return this; }
+    /** Restart Leq, peak, max/min and statistical levels. */
+    resetSlm(){ if(this._moduleStates.slm) SlmModule.resetStats(this._moduleStates.slm); return this; }
+
+    // Transfer function
+    /**
+     * Reference for the transfer function: 'generator' (samples passed as the
+     * reference argument of push / process, or OrdoAudio.referenceInput), an
+     * input channel index, or null to stop measuring. A reference channel is
+     * removed from the mix every other module analyzes.
+     */
+    setTransferReference(ref){ this.options.transferReference=ref; this.resetTransfer(); return this; }
+    /** Spectra averaged per result: a count (exponential after it fills) or 0 for infinite. */
+    setTransferAveraging(n){ this.options.transferAverages=n; return this; }
+    /** Fractional-octave smoothing of the transfer curves in bands per octave; 0 = none. */
+    setTransferSmoothing(bandsPerOctave){ this.options.transferSmoothing=bandsPerOctave; return this; }
+    /** Reference delay in ms, or 'auto' to find it by cross-correlation. */
+    setTransferDelay(ms){ this.options.transferDelay=ms; return this; }
+    /** Search the delay again (auto mode) and restart averaging. */
+    findTransferDelay(){ if(this._moduleStates.tf) this._moduleStates.tf.refind=true; return this; }
+    resetTransfer(){ if(this._moduleStates.tf&&this._moduleStates.tf.N) TransferModule.resetAverages(this._moduleStates.tf); return this; }
+
+    /**
+     * Room size {length, width, height} in metres, optionally with rt60 in
+     * seconds for the Schroeder frequency. standingWaves then reports the
+     * predicted modes and matches detected peaks to them; null turns it off.
+     */
+    setRoomDimensions(room){ this.options.roomDimensions=room?{...room}:null; return this; }
+
+    // Key tracking
+    /** Key profile for chroma: 'krumhansl' (Krumhansl-Kessler), 'temperley' or 'albrecht' (Albrecht-Shanahan). */
+    setKeyProfile(name){ if(KEY_PROFILES[name]) this.options.keyProfile=name; return this; }
+    /** Chroma accumulation time constant in seconds; 0 estimates the key from each frame alone. */
+    setKeyWindow(seconds){ this.options.keyWindow=Math.max(0,seconds); return this; }
+    /** Forget the accumulated chroma and the reported key. */
+    resetKey(){ delete this._moduleStates.key; return this; }
+
+    // Distortion
+    /**
+     * Stimulus the thd module analyses: 'sine', 'smpte' or 'ccif', or an
+     * object {type, frequency} (sine) / {type, f1, f2} (two-tone) to override
+     * the default frequencies. null measures the strongest tone as a sine.
+     */
+    setDistortionStimulus(stim){
+      const s=typeof stim==='string'?{type:stim}:stim;
+      this.options.distortionStimulus=s&&DISTORTION_STIMULI[s.type]?{...s}:null;
+      return this;
+    }
+
+    // Room noise ratings
+    /** Restart the octave-band Leq that noiseRating rates. */
+    resetNoiseRating(){ delete this._moduleStates.nr; return this; }
+
+    // STIPA
+    /** Start a new STIPA measurement of stipaDuration seconds. */
+    resetStipa(){ delete this._moduleStates.sti; return this; }
+    /**
+     * Ambient noise for the STIPA correction: 7 octave levels (125 Hz – 8 kHz)
+     * in the calibrated dB scale, measured without the test signal; null = off.
+     */
+    setStipaNoise(levels){ this.options.stipaNoise=levels?Array.from(levels):null; return this; }
+
+    // Timbre classifier
+    /** Start capturing a reference snippet of the live input for class `label`. */
+    startTimbreCapture(label){
+      (this._moduleStates.tb||(this._moduleStates.tb={})).cap={label:String(label),n:0,s:new Float64Array(TIMBRE_DIMS),q:new Float64Array(TIMBRE_DIMS)};
+      return this;
+    }
+    /**
+     * End the capture and add its MFCC + delta statistics to the profile as a
+     * snippet of its class, emitting timbreCapture {label, snippet, profile}.
+     * A capture with fewer than 5 frames above the gate is dropped.
+     */
+    stopTimbreCapture(){
+      const c=this._moduleStates.tb&&TimbreModule.finishCapture(this._moduleStates.tb);
+      if(!c) return this;
+      const p=this.options.timbreProfile?timbreProfile(this.options.timbreProfile):{format:'ordo-timbre',version:1,fftSize:this.options.fftSize,sampleRate:this.sampleRate,classes:[]};
+      let cls=p.classes.find(k=>k.label===c.label);
+      if(!cls) p.classes.push(cls={label:c.label,snippets:[]});
+      cls.snippets.push(c.snippet);
+      this.options.timbreProfile=p;
+      this._emit('timbreCapture',{label:c.label,snippet:c.snippet,profile:p});
+      return this;
+    }
+    /** Load a profile (object or JSON text from getTimbreProfile()), or null to forget every class. Throws if it is not a profile. */
+    setTimbreProfile(profile){ this.options.timbreProfile=profile?timbreProfile(profile):null; return this; }
+    /** Copy of the current profile, for JSON export; null without classes. */
+    getTimbreProfile(){ return this.options.timbreProfile?timbreProfile(this.options.timbreProfile):null; }
+    /** Drop a class and all its snippets from the profile. */
+    removeTimbreClass(label){
+      const p=this.options.timbreProfile;
+      if(p) this.options.timbreProfile={...p,classes:p.classes.filter(c=>c.label!==label)};
+      return this;
+    }
+    /** Classifier: 'gaussian' (diagonal Gaussian per class) or 'nearest' (closest snippet). */
+    setTimbreModel(model){ if(model==='gaussian'||model==='nearest') this.options.timbreModel=model; return this; }
+
+    // Piano inharmonicity
+    /** Forget the per-key B table built by inharmonicity. */
+    resetInharmonicity(){ delete this._moduleStates.inh; return this; }
+
+    // Tuner
+    /** Frequency of A4 in Hz for note names (pitch, tuner). */
+    setReferencePitch(hz){ if(hz>0) this.options.referencePitch=hz; return this; }
+    /** Tuner temperament: 'equal' | 'werckmeister' | 'meantone' | 'just', built on tonic ('C' … 'B'). */
+    setTemperament(name, tonic){
+      if(TEMPERAMENTS[name]) this.options.temperament=name;
+      if(NOTE_NAMES.includes(tonic)) this.options.temperamentTonic=tonic;
+      return this;
+    }
+    /** Instrument preset from OrdoAudio.tunerPresets to lock to its strings, or null for chromatic. */
+    setTunerPreset(name){ this.options.tunerPreset=TUNER_PRESETS[name]?name:null; if(this._moduleStates.tu) this._moduleStates.tu.str=null; return this; }
+
+    /**
+     * Measure a calibrator tone (1 kHz, usually 94 or 114 dB SPL) for a few
+     * seconds and set the calibration offset from its Z-weighted level,
+     * mic correction included. Needs the 'slm' module and a running input.
+     * @param {number} [refDb=94] - calibrator level in dB SPL
+     * @param {number} [seconds=3]
+     * @returns {Promise<{offset,refDb,measuredDb,deviationDb}>}
+     */
+    calibrate(refDb=94, seconds=3) {
+      return new Promise((resolve,reject)=>{
+        let e=0,n=0;const lv=[];
+        const onFrame=r=>{
+          if(!r.slm) return;
+          const b=r.slm.blockZ;
+          e+=b.energy; n+=b.samples;
+          if(b.samples) lv.push(10*Math.log10(2*b.energy/b.samples));
+          if(n<seconds*r.sampleRate) return;
+          this.off('frame',onFrame);
+          const measuredDb=10*Math.log10(2*e/n),deviationDb=Math.max(...lv)-Math.min(...lv);
+          if(!(measuredDb>-60)) return reject(new Error('Calibration: no calibrator signal (level below -60 dB re full scale)'));
+          if(deviationDb>3) return reject(new Error(`Calibration: level unstable (${deviationDb.toFixed(1)} dB spread)`));
+          const offset=refDb-measuredDb;
+          this.setCalibration(offset); this.resetSlm();
+          const res={offset,refDb,measuredDb,deviationDb};
+          this._emit('calibration',res); resolve(res);
+        };
+        if(!this._activeModules.has('slm')) return reject(new Error("Calibration: enable the 'slm' module"));
+        this.on('frame',onFrame);
+      });
+    }
 
     // Module selection
     use(...mods){ this._activeModules=new Set(mods); return this; }
@@ -501,39 +2817,395 @@
     off(ev,cb){ if(this._listeners[ev])this._listeners[ev]=this._listeners[ev].filter(c=>c!==cb); return this; }
     _emit(ev,d){ if(this._listeners[ev])this._listeners[ev].forEach(cb=>cb(d)); }
 
+    _allocate() {
+      const fft=this.options.fftSize;
+      this.timeData=new Float32Array(fft);
+      this.freqData=new Float32Array(fft/2);
+      this.timeDataL=new Float32Array(fft);
+      this.timeDataR=new Float32Array(fft);
+      if(this.options.useAWeighting) this._aWeightTable=buildAWeightTable(this.sampleRate,fft);
+    }
+
+    /** Clear module state, the streaming buffer and session statistics. */
+    reset() {
+      this._moduleStates={}; this._frameCount=0; this._rings=null; this._hopFill=0; this._samplePos=0; this._spectrum=null;
+      this.session.reset();
+      return this;
+    }
+
+    /**
+     * Analyze one block of raw PCM. Runs the JS FFT in place of the
+     * AnalyserNode and returns the same object shape as processFrame().
+     * Emits 'frame' (plus 'clip' / 'onset' / 'feedback') like the live loop.
+     * With more than one channel the spectral modules see the downmix (mean of
+     * all channels, as the live AnalyserNode does), phase / stereo get the
+     * first two channels and loudness weights every channel per BS.1770.
+     * @param {Float32Array|Float32Array[]} samples - mono (or left) block, or one array per channel; the last fftSize samples feed the FFT
+     * @param {Float32Array} [right] - right channel, same length
+     * @param {Float32Array} [reference] - transfer-function reference ('generator'), same length
+     * @returns {object} frame result
+     */
+    process(samples, right=null, reference=null) {
+      const chs=Array.isArray(samples)?samples:right?[samples,right]:[samples];
+      this._samplePos+=chs[0].length;
+      return this._processBlock(chs,chs[0].length,reference);
+    }
+
+    // fresh: how many samples at the end of each channel are new since the last frame
+    _processBlock(chs, fresh, reference=null) {
+      const fft=this.options.fftSize,t0=performance.now(),ri=this.options.transferReference;
+      if(!this.timeData) this._allocate();
+      if(typeof ri==='number'){
+        reference=ri<chs.length&&chs.length>1&&this.channelCount!==1?chs[ri]:null;
+        if(reference) chs=chs.filter((c,i)=>i!==ri);
+      } else if(ri!=='generator') reference=null;
+      const len=chs[0].length,n=Math.min(len,fft),td=this.timeData,nc=chs.length;
+      td.fill(0); td.set(chs[0].subarray(len-n),fft-n);
+      let L=null,R=null;
+      if(nc>1){
+        L=this.timeDataL; R=this.timeDataR;
+        L.set(td); R.fill(0); R.set(chs[1].subarray(len-n),fft-n);
+        for(let i=fft-n;i<fft;i++) td[i]+=R[i];
+        for(let c=2;c<nc;c++){ const ch=chs[c]; for(let i=fft-n,j=len-n;i<fft;i++,j++) td[i]+=ch[j]; }
+        for(let i=fft-n;i<fft;i++) td[i]/=nc;
+      }
+      this._computeSpectrum(td);
+      if(!this.session.startTime) this.session.start();
+      const r=this._analyze(td,this.freqData,this.sampleRate,this._samplePos/this.sampleRate,L,R,Math.min(fresh,fft),chs.map(c=>c.subarray(len-fresh)),reference&&reference.subarray(len-fresh));
+      this.session.update(r); this._emit('frame',r);
+      this.diagnostics.processingTimeMs=performance.now()-t0;
+      return r;
+    }
+
+    _computeSpectrum(td) {
+      if(!this._spectrum) this._spectrum=createSpectrum(this.options.fftSize,this.options.windowType);
+      return computeSpectrum(this._spectrum,td,this.options.smoothingTimeConstant,this.freqData);
+    }
+
+    /**
+     * Streaming input: append samples of any length and analyze a new frame
+     * every hopSize samples (default fftSize/4) over the last fftSize samples.
+     * @param {Float32Array|Float32Array[]} samples - mono (or left) samples, or one array per channel
+     * @param {Float32Array} [right] - right channel, same length
+     * @param {Float32Array} [reference] - transfer-function reference ('generator'), same length
+     * @returns {object[]} frame results produced by this call
+     */
+    push(samples, right=null, reference=null) {
+      const chs=Array.isArray(samples)?samples:right?[samples,right]:[samples];
+      const fft=this.options.fftSize,hop=Math.min(this.options.hopSize||fft/4,fft),out=[];
+      if(!this._rings||this._rings.length!==chs.length){ this._rings=chs.map(()=>new Float32Array(fft)); this._hopFill=0; }
+      if(reference&&!this._refRing) this._refRing=new Float32Array(fft);
+      const rings=this._rings,rr=reference?this._refRing:null;
+      for(let i=0;i<chs[0].length;){
+        const n=Math.min(hop-this._hopFill,chs[0].length-i);
+        for(let c=0;c<chs.length;c++){ rings[c].copyWithin(0,n); rings[c].set(chs[c].subarray(i,i+n),fft-n); }
+        if(rr){ rr.copyWithin(0,n); rr.set(reference.subarray(i,i+n),fft-n); }
+        this._hopFill+=n; this._samplePos+=n; i+=n;
+        if(this._hopFill>=hop){ this._hopFill=0; out.push(this._processBlock(rings,hop,rr)); }
+      }
+      return out;
+    }
+
+    // Module pipeline shared by the live engine and the headless analyzer.
+    // time is the stream position in seconds (end of block); left/right are
+    // the per-channel blocks when the source is stereo, otherwise null.
+    // fresh is the count of new samples; sample-counting modules (clipping,
+    // true peak, LUFS) see only those so every sample is measured exactly once.
+    // channels holds the new samples of every input channel for loudness; a
+    // mono source up-mixed to L=R is measured as the single channel it is.
+    // reference holds the new transfer-function reference samples, if any.
+    _analyze(timeData, freqData, sr, time, left=null, right=null, fresh=0, channels=null, reference=null) {
+      const fft=this.options.fftSize;
+      const nd=fresh>0&&fresh<fft?timeData.subarray(fft-fresh):timeData;
+      this._frameCount++;
+      const r={frame:this._frameCount,timestamp:Date.now(),time,sampleRate:sr,fftSize:fft,raw:{timeData,freqData,binHz:sr/fft,left,right},diagnostics:{...this.diagnostics}};
+      // Each has() call also closes the timing of the module before it, so
+      // diagnostics.moduleMs holds a smoothed per-module cost in milliseconds
+      const st=this._moduleStates,tm=this.diagnostics.moduleMs;
+      let cur=null,t=performance.now();
+      const has=m=>{
+        const n=performance.now();
+        if(cur) tm[cur]=tm[cur]==null?n-t:.9*tm[cur]+.1*(n-t);
+        t=n; cur=this._activeModules.has(m)?m:null;
+        if(!cur&&m) delete tm[m];
+        return !!cur;
+      };
+      const awt=this.options.useAWeighting?this._aWeightTable:null;
+      const sp=this._spectrum;
+      if(sp) r.window={type:sp.type,...sp.props,enbwHz:sp.props.enbwBins*sr/fft};
+
+      if(has('clipping'))     {if(!st.cl)st.cl={};r.clipping=ClippingModule.process(nd,st.cl);if(r.clipping.isClipping)this._emit('clip',r.clipping);}
+      if(has('dcOffset'))      r.dcOffset=DcOffsetModule.process(timeData);
+      if(has('zcr'))           r.zcr=ZcrModule.process(timeData,sr);
+      if(has('dynamics'))     {if(!st.dy)st.dy={};r.dynamics=DynamicsModule.process(timeData,st.dy);}
+      const lc=!channels?[nd]:this.channelCount===1?channels.slice(0,1):channels;
+      if(has('truePeak'))     {if(!st.tp)st.tp={};r.truePeak=TruePeakModule.process(lc,st.tp,sr,this.options.truePeakCeiling,this.options.truePeakOversampling);if(r.truePeak.newOvers)this._emit('truePeakOver',r.truePeak);}
+      if(has('lufs'))         {if(!st.lf)st.lf={};r.lufs=LufsModule.process(lc,st.lf,sr,this.options.channelWeights);}
+      if(has('rta'))          {if(!st.rta)st.rta={};r.rta=RtaModule.process(freqData,sr,fft,awt,sp?sp.props.enbwBins:1,st.rta,{resolution:this.options.rtaResolution,filterBank:this.options.rtaFilterBank,samples:nd});}
+      if(has('spectral'))      r.spectral=SpectralFeaturesModule.process(freqData,sr,fft);
+      if(has('pitch'))         r.pitch=PitchModule.process(timeData,sr,0.15,this.options.referencePitch);
+      if(has('tuner')&&r.pitch){if(!st.tu)st.tu={};const o=this.options;r.tuner=TunerModule.process(r.pitch,st.tu,time,{reference:o.referencePitch,temperament:o.temperament,tonic:o.temperamentTonic,preset:o.tunerPreset});}
+      if(has('chroma'))        {if(!st.key)st.key={};r.chroma=ChromagramModule.process(freqData,sr,fft,st.key,time,this.options.keyWindow,this.options.keyProfile);if(r.chroma.changed)this._emit('key',r.chroma);}
+      if(has('chord'))        {if(!st.cd)st.cd={};r.chord=ChordModule.process(freqData,sr,fft,st.cd,time);if(r.chord.changed)this._emit('chord',r.chord);}
+      if(has('mfcc'))         {if(!st.mf)st.mf={};r.mfcc=MfccModule.process(freqData,sr,fft,st.mf,13);}
+      if(has('timbre')&&r.mfcc){if(!st.tb)st.tb={};const o=this.options;r.timbre=TimbreModule.process(r.mfcc.mfcc,timeData,time,st.tb,{profile:o.timbreProfile,model:o.timbreModel,window:o.timbreWindow,gate:o.timbreGate,threshold:o.timbreThreshold,maxDistance:o.timbreMaxDistance});if(r.timbre.changed)this._emit('timbre',r.timbre);}
+      if(has('onset'))        {if(!st.on)st.on={};r.onset=OnsetModule.process(freqData,st.on,sr,fft,time);if(r.onset.isOnset)this._emit('onset',r.onset);if(r.onset.beat)this._emit('beat',r.onset);}
+      if(has('thd'))         {if(!st.thd)st.thd={};const o=this.options;r.thd=ThdModule.process(nd,sr,st.thd,{fftSize:o.distortionFftSize,averages:o.distortionAverages,stimulus:o.distortionStimulus});}
+      if(has('snr'))          {if(!st.sn)st.sn={};r.snr=SnrModule.process(freqData,st.sn);}
+      if(has('feedback'))     {if(!st.fb)st.fb={};r.feedback=FeedbackModule.process(freqData,sr,fft,st.fb,time);if(r.feedback&&r.feedback.isFeedbackRisk)this._emit('feedback',r.feedback);}
+      if(has('phase'))         r.phase=left?PhaseModule.process(left,right):PhaseModule.process(timeData,null);
+      if(has('stereo')&&left) r.stereo=StereoModule.process(left,right,r.truePeak?r.truePeak.channels:null);
+      if(has('rt60'))         {if(!st.rt)st.rt={};r.rt60=Rt60Module.process(timeData,sr,st.rt,time);}
+      if(has('inharmonicity')&&r.pitch){if(!st.inh)st.inh={};r.inharmonicity=InharmonicityModule.process(freqData,sr,fft,r.pitch,st.inh,this.options.referencePitch);if(r.inharmonicity.recorded)this._emit('inharmonicity',r.inharmonicity);}
+      if(has('standingWaves')){if(!st.sw)st.sw={};r.standingWaves=StandingWaveModule.process(freqData,sr,fft,st.sw,this.options.roomDimensions);}
+      if(has('slm'))          {if(!st.slm)st.slm={};const o=this.options;r.slm=SlmModule.process(nd,st.slm,sr,{offset:o.calibrationOffset,curve:o.micCorrection,weighting:o.slmWeighting,timeWeighting:o.slmTimeWeighting});}
+      if(has('noiseRating')&&r.rta){if(!st.nr)st.nr={};const o=this.options;r.noiseRating=NoiseRatingModule.process(r.rta,st.nr,{offset:o.calibrationOffset,curve:o.micCorrection,aWeighted:!!awt,seconds:nd.length/sr});}
+      if(has('stipa'))        {if(!st.sti)st.sti={};const o=this.options;r.stipa=StipaModule.process(nd,sr,st.sti,{offset:o.calibrationOffset,noise:o.stipaNoise,duration:o.stipaDuration});if(r.stipa&&r.stipa.finished)this._emit('stipa',r.stipa);}
+      if(has('transfer')&&reference){if(!st.tf)st.tf={};const o=this.options;r.transfer=TransferModule.process(reference,nd,sr,st.tf,{fftSize:o.transferFftSize,averages:o.transferAverages,smoothing:o.transferSmoothing,delay:o.transferDelay});}
+      has(null); r.diagnostics.moduleMs={...tm};
+      return r;
+    }
+
+    // Measurement modules analyse their own test signal and run only when enabled
+    static get defaultModules(){ return OrdoAnalyzer.modules.filter(m=>m!=='stipa'); }
+    static get modules(){ return ['rta','spectral','lufs','truePeak','dynamics','pitch','tuner','chroma','mfcc','timbre','onset','thd','snr','zcr','dcOffset','clipping','feedback','phase','stereo','rt60','inharmonicity','standingWaves','slm','noiseRating','stipa','transfer','chord']; }
+  }
+
+  // ============================================================================
+  // MAIN CLASS
+  // ============================================================================
+
+  class OrdoAudio extends OrdoAnalyzer {
+    constructor(opts={}) {
+      super(opts);
+      this.audioContext=null; this.analyser=null; this.source=null; this.stream=null;
+      this.input=null; this.splitter=null; this.analyserL=null; this.analyserR=null; this.channelCount=1;
+      this.referenceInput=null; this.analyserRef=null;
+      this.captureNode=null; this.captureMode=null; this._lastCtxTime=null; this._worker=null; this.deviceId=null;
+      this._animFrameId=null; this._isRunning=false;
+    }
+
     // Init
     async init(source='microphone') {
       try {
         this.audioContext=new (window.AudioContext||window.webkitAudioContext)({sampleRate:this.options.sampleRate||undefined,latencyHint:'interactive'});
-        this.analyser=this.audioContext.createAnalyser();
-        this.analyser.fftSize=this.options.fftSize;
-        this.analyser.smoothingTimeConstant=this.options.smoothingTimeConstant;
-        this.analyser.minDecibels=this.options.minDecibels;
-        this.analyser.maxDecibels=this.options.maxDecibels;
+        this.sampleRate=this.audioContext.sampleRate;
+        const mkAnalyser=()=>{
+          const a=this.audioContext.createAnalyser();
+          a.fftSize=this.options.fftSize;
+          a.smoothingTimeConstant=this.options.smoothingTimeConstant;
+          a.minDecibels=this.options.minDecibels;
+          a.maxDecibels=this.options.maxDecibels;
+          return a;
+        };
+        this.analyser=mkAnalyser(); this.analyserL=mkAnalyser(); this.analyserR=mkAnalyser();
         if(source==='microphone'){
-          this.stream=await navigator.mediaDevices.getUserMedia({audio:{echoCancellation:false,autoGainControl:false,noiseSuppression:false,latency:0}});
+          this.stream=await navigator.mediaDevices.getUserMedia({audio:{echoCancellation:false,autoGainControl:false,noiseSuppression:false,latency:0,channelCount:{ideal:2}}});
           this.source=this.audioContext.createMediaStreamSource(this.stream);
         } else if(source instanceof MediaStream){
           this.stream=source; this.source=this.audioContext.createMediaStreamSource(source);
         } else if(source instanceof AudioBuffer){
           const bs=this.audioContext.createBufferSource(); bs.buffer=source; this.source=bs; bs.start();
         } else throw new Error('Invalid source');
-        this.source.connect(this.analyser);
-        this.timeData=new Float32Array(this.analyser.fftSize);
-        this.freqData=new Float32Array(this.analyser.frequencyBinCount);
-        this._windowCoeffs=buildWindow(this.options.windowType,this.options.fftSize);
-        if(this.options.useAWeighting) this._aWeightTable=buildAWeightTable(this.audioContext.sampleRate,this.options.fftSize);
-        this._emit('ready',{sampleRate:this.audioContext.sampleRate,fftSize:this.options.fftSize,frequencyBinCount:this.analyser.frequencyBinCount,activeModules:[...this._activeModules]});
+        if(this.stream){
+          const tr=this.stream.getAudioTracks()[0],cfg=tr&&tr.getSettings?tr.getSettings():{};
+          this.channelCount=cfg.channelCount||this.source.channelCount||1;
+          this.deviceId=cfg.deviceId||'default';
+        } else { this.channelCount=source.numberOfChannels; this.deviceId=null; }
+        if(this.options.calibrationOffset==null){ const c=this.storedCalibration(); if(c) this.setCalibration(c.offset); }
+        // Every source (and the test tone) enters through a 2-channel input so
+        // mono signals up-mix to identical L/R and stereo stays discrete.
+        this.input=this.audioContext.createGain();
+        this.input.channelCount=2; this.input.channelCountMode='explicit'; this.input.channelInterpretation='speakers';
+        this.splitter=this.audioContext.createChannelSplitter(2);
+        this.source.connect(this.input);
+        this.input.connect(this.analyser);
+        this.input.connect(this.splitter);
+        this.splitter.connect(this.analyserL,0); this.splitter.connect(this.analyserR,1);
+        // Connect a generator here to use it as the transfer-function reference
+        this.referenceInput=this.audioContext.createGain();
+        this.referenceInput.channelCount=1; this.referenceInput.channelCountMode='explicit'; this.referenceInput.channelInterpretation='speakers';
+        this.analyserRef=mkAnalyser(); this.referenceInput.connect(this.analyserRef);
+        this._allocate(); this.timeDataRef=new Float32Array(this.options.fftSize);
+        this.captureMode=this.options.capture!=='analyser'&&await this._initWorklet()?'worklet':'analyser';
+        if(this.options.worker) this._initWorker();
+        this._emit('ready',{sampleRate:this.audioContext.sampleRate,fftSize:this.options.fftSize,frequencyBinCount:this.analyser.frequencyBinCount,channelCount:this.channelCount,captureMode:this.captureMode,worker:!!this._worker,activeModules:[...this._activeModules]});
         return this;
       } catch(err){ this._emit('error',err); throw err; }
     }
 
+    // Gapless capture: load the processor from a Blob module and feed its
+    // fixed-size hops straight into push(). Resolves false when AudioWorklet
+    // is unavailable (old browser, insecure origin) so init falls back.
+    async _initWorklet() {
+      const ctx=this.audioContext;
+      if(!ctx.audioWorklet||typeof AudioWorkletNode==='undefined') return false;
+      const url=URL.createObjectURL(new Blob([`(${captureProcessorSource.toString()})();`],{type:'application/javascript'}));
+      try { await ctx.audioWorklet.addModule(url); }
+      catch(err){ if(this.options.capture==='worklet') throw err; return false; }
+      finally { URL.revokeObjectURL(url); }
+      const hop=this.options.hopSize||this.options.fftSize/4;
+      this.captureNode=new AudioWorkletNode(ctx,'ordo-capture',{numberOfInputs:2,numberOfOutputs:0,channelCount:2,channelCountMode:'explicit',channelInterpretation:'speakers',processorOptions:{hopSize:hop}});
+      this.captureNode.port.onmessage=e=>{
+        if(!this._isRunning) return;
+        const now=performance.now(),ref=this.options.transferReference==='generator'?e.data.ref:null;
+        if(this._tap) this._tap([e.data.left,e.data.right],e.data.ref);
+        if(this._worker) this._toWorker([e.data.left,e.data.right],ref);
+        else this.push([e.data.left,e.data.right],null,ref);
+        this.diagnostics.fps=Math.round(1000/(now-this.diagnostics.lastFrameTime));
+        this.diagnostics.lastFrameTime=now;
+      };
+      this.input.connect(this.captureNode);
+      this.referenceInput.connect(this.captureNode,0,1);
+      return true;
+    }
+
+    // Run the module pipeline in a dedicated Worker built from this library's
+    // own source. Frames come back as 'frame' events with the usual shape;
+    // session stats and diagnostics stay on this side. False when Workers or
+    // Blob URLs are unavailable, leaving analysis on the main thread.
+    _initWorker() {
+      if(typeof Worker==='undefined') return false;
+      const url=URL.createObjectURL(new Blob([`(${pipelineWorkerMain.toString()})((${ordoFactory.toString()})());`],{type:'application/javascript'}));
+      try { this._worker=new Worker(url); }
+      catch(err){ this._emit('error',err); return false; }
+      finally { URL.revokeObjectURL(url); }
+      const {worker,capture,...opts}=this.options;
+      this._worker.postMessage({type:'init',options:{...opts,sampleRate:this.sampleRate},channelCount:this.channelCount,modules:[...this._activeModules]});
+      this._worker.onmessage=e=>{
+        const {ev,d}=e.data;
+        if(ev==='frame'){
+          this._frameCount=d.frame; this.session.update(d);
+          this.diagnostics.processingTimeMs=d.diagnostics.processingTimeMs; this.diagnostics.moduleMs=d.diagnostics.moduleMs;
+          d.diagnostics={...this.diagnostics};
+        }
+        // Captures finish in the worker; keep the profile here for getTimbreProfile()
+        else if(ev==='timbreCapture') this.options.timbreProfile=d.profile;
+        this._emit(ev,d);
+      };
+      this._worker.onerror=e=>this._emit('error',e);
+      this.diagnostics.worker=true;
+      return true;
+    }
+
+    _toWorker(channels, reference=null) {
+      this._worker.postMessage({type:'push',channels,reference},channels.concat(reference||[]).map(c=>c.buffer));
+    }
+
+    // Calibration offsets persist in localStorage per input device
+    _calKey(){ return this.deviceId?`ordo-audio:calibration:${this.deviceId}`:null; }
+    /** @returns {{offset,refDb,date}|null} saved calibration for the current input device */
+    storedCalibration(){
+      const k=this._calKey();
+      try { return k&&typeof localStorage!=='undefined'?JSON.parse(localStorage.getItem(k)):null; } catch(err){ return null; }
+    }
+    async calibrate(refDb=94, seconds=3){
+      const res=await super.calibrate(refDb,seconds),k=this._calKey();
+      if(k&&typeof localStorage!=='undefined') localStorage.setItem(k,JSON.stringify({offset:res.offset,refDb,date:new Date().toISOString()}));
+      return res;
+    }
+    clearCalibration(){
+      const k=this._calKey();
+      if(k&&typeof localStorage!=='undefined') localStorage.removeItem(k);
+      return this.setCalibration(null);
+    }
+
+    /**
+     * Measure a room impulse response: play an exponential sine sweep on the
+     * speakers, record the input, deconvolve and analyse it per ISO 3382-1.
+     * The sweep is captured on the reference input too, so the IR is
+     * referenced to the sweep as it actually reached the capture graph. With
+     * a numeric transferReference the loopback channel is used instead and
+     * output latency drops out of the IR.
+     * @param {object} [o] - duration (s, 6), f1 (20), f2 (20000), level (dBFS, -12), tail (s of decay recorded after the sweep, 3)
+     * @returns {Promise<object>} roomParameters() plus ir (from 5 ms before the onset to the noise floor), sampleRate, sweep;
+     *   also emitted as 'impulseResponse'
+     */
+    async measureImpulseResponse(o={}) {
+      if(!this.audioContext||!this._isRunning) throw new Error('Impulse response: engine is not running');
+      if(this._tap) throw new Error('Impulse response: a measurement is already running');
+      const ctx=this.audioContext,sr=ctx.sampleRate,sw=createSweep({sampleRate:sr,...o});
+      const tail=o.tail!=null?o.tail:3,need=sw.signal.length+Math.round(tail*sr);
+      const buf=ctx.createBuffer(1,sw.signal.length,sr),src=ctx.createBufferSource(),g=ctx.createGain();
+      buf.copyToChannel(sw.signal,0); src.buffer=buf; g.gain.value=dbToLin(o.level!=null?o.level:-12);
+      src.connect(g); g.connect(ctx.destination); g.connect(this.referenceInput);
+      let mic,ref;
+      try {
+        const cap=this.captureResponse(need/sr);
+        src.start();
+        ({recorded:mic,reference:ref}=await cap);
+      } finally { src.disconnect(); g.disconnect(); }
+      // Without a captured reference fall back to the sweep as generated
+      let peak=0; for(let i=0;i<need;i++) peak=Math.max(peak,Math.abs(ref[i]));
+      const ir=deconvolveSweep(mic,peak>1e-4?ref:sw.signal,sr,sw.f1,sw.f2),res=roomParameters(ir,sr);
+      const bb=res.broadband,start=Math.max(0,bb.onset-Math.round(.005*sr));
+      const end=Math.min(ir.length,Math.max(bb.onset+Math.round(.5*sr),Math.round(bb.truncation*sr*1.1)));
+      const out={...res,ir:ir.slice(start,end),sampleRate:sr,sweep:{f1:sw.f1,f2:sw.f2,duration:sw.duration}};
+      this._emit('impulseResponse',out);
+      return out;
+    }
+
+    /**
+     * Record the input and the reference side by side, sample for sample,
+     * from the next capture hop. The recording is the mic (the other input
+     * with a numeric transferReference on a stereo device, else the L/R
+     * mean); the reference is that loopback input or the reference input.
+     * Arms synchronously, so a stimulus started right after is caught whole.
+     * @param {number} seconds
+     * @returns {Promise<{recorded:Float32Array, reference:Float32Array, sampleRate:number}>}
+     */
+    captureResponse(seconds) {
+      if(!this.audioContext||!this._isRunning) return Promise.reject(new Error('Capture: engine is not running'));
+      if(this._tap) return Promise.reject(new Error('Capture: a measurement is already running'));
+      const sr=this.audioContext.sampleRate,need=Math.round(seconds*sr),ri=this.options.transferReference;
+      const mic=new Float32Array(need),ref=new Float32Array(need);let n=0;
+      return new Promise((resolve,reject)=>{
+        const timer=setTimeout(()=>{ this._tap=null; reject(new Error('Capture: stalled')); },(seconds+5)*1000);
+        this._tap=(chs,r)=>{
+          const k=Math.min(chs[0].length,need-n),loop=typeof ri==='number'&&this.channelCount>1;
+          for(let i=0;i<k;i++){
+            if(loop){ mic[n+i]=chs[1-ri][i]; ref[n+i]=chs[ri][i]; }
+            else { mic[n+i]=(chs[0][i]+chs[1][i])/2; ref[n+i]=r?r[i]:0; }
+          }
+          if((n+=k)>=need){ clearTimeout(timer); this._tap=null; resolve({recorded:mic,reference:ref,sampleRate:sr}); }
+        };
+      });
+    }
+
+    /**
+     * Insert a FeedbackSuppressor after the source. Every frame's flagged
+     * candidates from the feedback module update the notch bank; connect
+     * `ordo.suppressor.output` to the PA (e.g. audioContext.destination).
+     * Notch changes are emitted as 'notch' events.
+     * @param {object} [o] - FeedbackSuppressor options
+     * @returns {FeedbackSuppressor}
+     */
+    enableFeedbackSuppressor(o={}) {
+      if(!this.audioContext) throw new Error('Feedback suppressor: call init() first');
+      this.disableFeedbackSuppressor();
+      const fs=this.suppressor=new FeedbackSuppressor(this.audioContext,o);
+      fs.onChange=e=>this._emit('notch',e);
+      this.source.connect(fs.input);
+      this._fsListener=d=>{ if(d.feedback) fs.update(d.feedback.candidates.filter(c=>c.flagged).map(c=>c.frequency),d.time); };
+      this.on('frame',this._fsListener);
+      return fs;
+    }
+    disableFeedbackSuppressor() {
+      if(!this.suppressor) return this;
+      this.off('frame',this._fsListener);
+      if(this.source) this.source.disconnect(this.suppressor.input);
+      this.suppressor.disconnect(); this.suppressor=null;
+      return this;
+    }
+
     // Playback
     start() {
       if(this._isRunning) return this;
       this._isRunning=true;
       if(this.audioContext&&this.audioContext.state==='suspended') this.audioContext.resume();
-      this.session.start();
+      this.session.start(); this._lastCtxTime=null;
+      // Worklet capture drives analysis from the audio thread; no render loop needed
+      if(this.captureMode==='worklet') return this;
       const loop=()=>{
         if(!this._isRunning)return;
         const t0=performance.now(),result=this.processFrame();
@@ -555,59 +3227,154 @@
     }
 
     async destroy() {
-      this.stop();
+      this.stop(); this.disableFeedbackSuppressor();
+      if(this.captureNode){this.captureNode.port.onmessage=null;this.captureNode.disconnect();this.captureNode=null;}
+      if(this._worker){this._worker.terminate();this._worker=null;this.diagnostics.worker=false;}
       if(this.stream)this.stream.getTracks().forEach(t=>t.stop());
       if(this.audioContext)await this.audioContext.close();
       this._listeners={};
     }
 
-    // Core processing
+    // Core processing. Snapshots overlap, so the audio clock advance since the
+    // previous frame decides how many trailing samples are new; null when the
+    // clock has not moved, or when the new samples went to the worker.
     processFrame() {
       if(!this.analyser) return null;
+      const fft=this.options.fftSize,now=this.audioContext.currentTime,sr=this.audioContext.sampleRate;
+      const fresh=this._lastCtxTime==null?fft:Math.min(fft,Math.round((now-this._lastCtxTime)*sr));
+      if(fresh<=0) return null;
+      this._lastCtxTime=now;
       this.analyser.getFloatTimeDomainData(this.timeData);
-      this.analyser.getFloatFrequencyData(this.freqData);
-      const sr=this.audioContext.sampleRate,fft=this.options.fftSize;
-      this._frameCount++;
-      const r={frame:this._frameCount,timestamp:Date.now(),sampleRate:sr,fftSize:fft,raw:{timeData:this.timeData,freqData:this.freqData,binHz:sr/fft},diagnostics:{...this.diagnostics}};
-      const st=this._moduleStates,has=m=>this._activeModules.has(m);
-      const awt=this.options.useAWeighting?this._aWeightTable:null;
-
-      if(has('clipping'))     {if(!st.cl)st.cl={};r.clipping=ClippingModule.process(this.timeData,st.cl);if(r.clipping.isClipping)this._emit('clip',r.clipping);}
-      if(has('dcOffset'))      r.dcOffset=DcOffsetModule.process(this.timeData);
-      if(has('zcr'))           r.zcr=ZcrModule.process(this.timeData,sr);
-      if(has('dynamics'))     {if(!st.dy)st.dy={};r.dynamics=DynamicsModule.process(this.timeData,st.dy);}
-      if(has('truePeak'))     {if(!st.tp)st.tp={};r.truePeak=TruePeakModule.process(this.timeData,st.tp);}
-      if(has('lufs'))         {if(!st.lf)st.lf={};r.lufs=LufsModule.process(this.timeData,st.lf,sr);}
-      if(has('rta'))           r.rta=RtaModule.process(this.freqData,sr,fft,awt);
-      if(has('spectral'))      r.spectral=SpectralFeaturesModule.process(this.freqData,sr,fft);
-      if(has('pitch'))         r.pitch=PitchModule.process(this.timeData,sr,0.15);
-      if(has('chroma'))        r.chroma=ChromagramModule.process(this.freqData,sr,fft);
-      if(has('mfcc'))          r.mfcc=MfccModule.process(this.freqData,sr,fft,13);
-      if(has('onset'))        {if(!st.on)st.on={};r.onset=OnsetModule.process(this.freqData,st.on,sr,fft);if(r.onset.isOnset)this._emit('onset',r.onset);}
-      if(has('thd')&&r.pitch)  r.thd=ThdModule.process(this.freqData,sr,fft,r.pitch.frequency);
-      if(has('snr'))          {if(!st.sn)st.sn={};r.snr=SnrModule.process(this.freqData,st.sn);}
-      if(has('feedback'))     {if(!st.fb)st.fb={};r.feedback=FeedbackModule.process(this.freqData,sr,fft,st.fb);if(r.feedback&&r.feedback.isFeedbackRisk)this._emit('feedback',r.feedback);}
-      if(has('phase'))         r.phase=PhaseModule.process(this.timeData,null);
-      if(has('rt60'))         {if(!st.rt)st.rt={};r.rt60=Rt60Module.process(this.timeData,sr,st.rt);}
-      if(has('inharmonicity')&&r.pitch) r.inharmonicity=InharmonicityModule.process(this.freqData,sr,fft,r.pitch.frequency);
-      if(has('standingWaves')){if(!st.sw)st.sw={};r.standingWaves=StandingWaveModule.process(this.freqData,sr,fft,st.sw);}
-      return r;
+      this.analyserL.getFloatTimeDomainData(this.timeDataL);
+      this.analyserR.getFloatTimeDomainData(this.timeDataR);
+      const ri=this.options.transferReference;let ref=null;
+      if(ri==='generator'||this._tap){ this.analyserRef.getFloatTimeDomainData(this.timeDataRef); if(ri==='generator') ref=this.timeDataRef; }
+      if(this._tap) this._tap([this.timeDataL.subarray(fft-fresh),this.timeDataR.subarray(fft-fresh)],this.timeDataRef.subarray(fft-fresh));
+      if(this._worker){ this._toWorker([this.timeDataL.slice(fft-fresh),this.timeDataR.slice(fft-fresh)],ref&&ref.slice(fft-fresh)); return null; }
+      let L=this.timeDataL,R=this.timeDataR;
+      // A reference input channel leaves the other channel as the analyzed signal
+      if(typeof ri==='number'&&this.channelCount>1){ ref=ri?R:L; this.timeData.set(ri?L:R); L=R=null; }
+      this._computeSpectrum(this.timeData);
+      return this._analyze(this.timeData,this.freqData,sr,now,L,R,fresh,L?[L.subarray(fft-fresh),R.subarray(fft-fresh)]:[this.timeData.subarray(fft-fresh)],ref&&ref.subarray(fft-fresh));
     }
 
     // Static utils
-    static analyzeBuffer(buf){
-      const d=buf.getChannelData(0),sr=buf.sampleRate;
-      return {dynamics:DynamicsModule.process(d,{}),zcr:ZcrModule.process(d,sr),dcOffset:DcOffsetModule.process(d),clipping:ClippingModule.process(d,{}),sampleRate:sr,duration:buf.duration};
+
+    /**
+     * Offline analysis of a whole AudioBuffer (or any object exposing
+     * sampleRate, length, numberOfChannels and getChannelData()). Hops through
+     * the file with the headless analyzer, faster than real time, running every
+     * enabled module on a sample clock.
+     * @param {AudioBuffer} buf
+     * @param {object} [opts] - Analyzer options plus modules: string[], onFrame(result)
+     * @returns {object} file-level results, per-frame series and summary
+     */
+    static analyzeBuffer(buf, opts={}){
+      const sr=buf.sampleRate,len=buf.length,nch=buf.numberOfChannels||1;
+      const chs=[];
+      for(let c=0;c<nch;c++) chs.push(buf.getChannelData(c));
+      let d=chs[0];
+      if(nch>1){
+        const mix=new Float32Array(len);
+        for(let c=0;c<nch;c++){const ch=chs[c];for(let i=0;i<len;i++)mix[i]+=ch[i]/nch;}
+        d=mix;
+      }
+      const fftSize=opts.fftSize||4096;
+      const a=new OrdoAnalyzer({...opts,fftSize,sampleRate:sr,hopSize:opts.hopSize||fftSize/2,smoothingTimeConstant:opts.smoothingTimeConstant!=null?opts.smoothingTimeConstant:0});
+      if(opts.modules) a.use(...opts.modules);
+      const series={time:[],rmsDb:[],peakDb:[],lufsMomentary:[],lufsShortTerm:[],truePeak:[],pitch:[],centroid:[],key:[],chord:[],bpm:[],correlation:[],balance:[]};
+      const onsets=[],beats=[],keyCounts={},keyChanges=[];
+      let maxTp=-Infinity,last=null;
+      const collect=r=>{
+        last=r;
+        series.time.push(r.time);
+        series.rmsDb.push(r.dynamics?r.dynamics.rmsDb:null);
+        series.peakDb.push(r.clipping?r.clipping.peakDb:null);
+        series.lufsMomentary.push(r.lufs?r.lufs.momentary:null);
+        series.lufsShortTerm.push(r.lufs?r.lufs.shortTerm:null);
+        series.truePeak.push(r.truePeak?r.truePeak.truePeak:null);
+        series.pitch.push(r.pitch?r.pitch.frequency:null);
+        series.centroid.push(r.spectral?r.spectral.centroid:null);
+        series.key.push(r.chroma?r.chroma.keyString:null);
+        series.chord.push(r.chord?r.chord.chord:null);
+        series.bpm.push(r.onset?r.onset.bpmRaw:null);
+        series.correlation.push(r.phase?r.phase.correlation:null);
+        series.balance.push(r.stereo?r.stereo.balance:null);
+        if(r.truePeak&&r.truePeak.truePeak>maxTp) maxTp=r.truePeak.truePeak;
+        if(r.onset&&r.onset.isOnset) onsets.push(r.onset.time);
+        if(r.onset&&r.onset.beat) beats.push({time:r.onset.beatTime,inBar:r.onset.beatInBar});
+        if(r.chroma&&r.dynamics&&r.dynamics.rmsDb>-60) keyCounts[r.chroma.keyString]=(keyCounts[r.chroma.keyString]||0)+1;
+        if(r.chroma&&r.chroma.changed&&r.chroma.previous) keyChanges.push({time:r.chroma.since,from:r.chroma.previous,to:r.chroma.keyString});
+        if(opts.onFrame) opts.onFrame(r);
+      };
+      const chunk=8192;
+      for(let i=0;i<len;i+=chunk){
+        const e=Math.min(len,i+chunk);
+        a.push(chs.map(ch=>ch.subarray(i,e))).forEach(collect);
+      }
+      const bpms=series.bpm.filter(b=>b>0).sort((x,y)=>x-y);
+      const dominantKey=Object.keys(keyCounts).sort((x,y)=>keyCounts[y]-keyCounts[x])[0]||null;
+      return {
+        dynamics:DynamicsModule.process(d,{}),zcr:ZcrModule.process(d,sr),dcOffset:DcOffsetModule.process(d),clipping:ClippingModule.process(d,{}),
+        sampleRate:sr,duration:buf.duration||len/sr,frames:series.time.length,series,onsets,beats,
+        summary:{
+          integratedLufs:last&&last.lufs?last.lufs.integrated:-Infinity,
+          lra:last&&last.lufs?last.lufs.lra:0,
+          maxMomentary:last&&last.lufs?last.lufs.momentaryMax:-Infinity,
+          maxShortTerm:last&&last.lufs?last.lufs.shortTermMax:-Infinity,
+          maxTruePeak:maxTp,
+          dominantKey,
+          keyChanges,
+          tempo:bpms.length?Math.round(bpms[Math.floor(bpms.length/2)]):null,
+          inharmonicity:last&&last.inharmonicity?last.inharmonicity.table:[],
+          noiseRating:last&&last.noiseRating?last.noiseRating:null,
+          stipa:last&&last.stipa?last.stipa:null,
+          totalClipEvents:last&&last.clipping?last.clipping.totalClipEvents:0,
+        },
+      };
     }
-    static hzToNote(hz)       { return hzToNote(hz); }
+    static hzToNote(hz,ref)   { return hzToNote(hz,ref); }
+    static tuneNote(hz,o)     { return tuneNote(hz,o); }
+    static noteToMidi(name)   { return noteToMidi(name); }
     static linToDb(lin)       { return linToDb(lin); }
     static dbToLin(db)        { return dbToLin(db); }
     static hzToMel(hz)        { return hzToMel(hz); }
     static aWeightDb(hz)      { return aWeightDb(hz); }
-    static buildWindow(t,N)   { return buildWindow(t,N); }
-    static get modules(){ return ['rta','spectral','lufs','truePeak','dynamics','pitch','chroma','mfcc','onset','thd','snr','zcr','dcOffset','clipping','feedback','phase','rt60','inharmonicity','standingWaves']; }
+    static cWeightDb(hz)      { return cWeightDb(hz); }
+    static parseMicCorrection(text){ return parseMicCorrection(text); }
+    static fractionalOctaveBands(b,fmin,fmax){ return fractionalOctaveBands(b,fmin,fmax); }
+    static buildWindow(t,N,p) { return buildWindow(t,N,p); }
+    static windowProperties(w){ return windowProperties(w); }
+    static fft(re,im)         { return fft(re,im); }
+    static createSweep(o)     { return createSweep(o); }
+    static deconvolveSweep(y,x,sr,f1,f2) { return deconvolveSweep(y,x,sr,f1,f2); }
+    static roomParameters(ir,sr) { return roomParameters(ir,sr); }
+    static encodeWav(chs,sr)  { return encodeWav(chs,sr); }
+    static createPeriodicNoise(o){ return createPeriodicNoise(o); }
+    static frequencyResponse(y,x,sr,o){ return frequencyResponse(y,x,sr,o); }
+    static roomModes(room,o)  { return roomModes(room,o); }
+    static matchRoomModes(peaks,modes,tolHz) { return matchRoomModes(peaks,modes,tolHz); }
+    static stretchCurve(table,o) { return stretchCurve(table,o); }
+    static noiseCurve(type,rating){ return noiseCurve(type,rating); }
+    static createStipaSignal(o){ return createStipaSignal(o); }
+    static distortionStimulus(type){ return DISTORTION_STIMULI[type]?JSON.parse(JSON.stringify(DISTORTION_STIMULI[type])):null; }
+    static loudnessConformance(sr){ return runLoudnessConformance(sr); }
+    static get keyProfiles(){ return Object.keys(KEY_PROFILES); }
+    static get temperaments(){ return Object.keys(TEMPERAMENTS); }
+    static get tunerPresets(){ return JSON.parse(JSON.stringify(TUNER_PRESETS)); }
+    static get Analyzer(){ return OrdoAnalyzer; }
+    static get FeedbackSuppressor(){ return FeedbackSuppressor; }
     static get version(){ return '2.0.0'; }
   }
 
+  // Configuration calls are mirrored into the pipeline worker when one runs
+  ['setWindow','setAWeighting','setRtaResolution','setRtaFilterBank','setTruePeakCeiling','setTruePeakOversampling','resetTruePeak','setSlmWeighting','setCalibration','setMicCorrection','resetSlm','setTransferReference','setTransferAveraging','setTransferSmoothing','setTransferDelay','findTransferDelay','resetTransfer','setRoomDimensions','setKeyProfile','setKeyWindow','resetKey','setReferencePitch','setTemperament','setTunerPreset','resetInharmonicity','resetNoiseRating','resetStipa','setStipaNoise','startTimbreCapture','stopTimbreCapture','setTimbreProfile','removeTimbreClass','setTimbreModel','setDistortionStimulus','use','enable','disable','reset'].forEach(m=>{
+    OrdoAudio.prototype[m]=function(...args){
+      OrdoAnalyzer.prototype[m].apply(this,args);
+      if(this._worker) this._worker.postMessage({type:'call',method:m,args});
+      return this;
+    };
+  });
+
   return OrdoAudio;
 });
@@ -0,0 +1,79 @@
+// Known-answer checks for the headless analyzer: node ordo-audio-lib/test.js
+'use strict';
+const OrdoAudio = require('./ordo-audio.js');
+
+const SR = 48000;
+let failed = 0;
+
+function check(name, ok, detail) {
+  if (!ok) failed++;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}${detail ? ` (${detail})` : ''}`);
+}
+const near = (v, exp, tol) => Math.abs(v - exp) <= tol;
+
+function tone(seconds, fn) {
+  const x = new Float32Array(Math.round(seconds * SR));
+  for (let i = 0; i < x.length; i++) x[i] = fn(i / SR, i);
+  return x;
+}
+
+// Last frame of one module run over x in 1024-sample blocks; reset(a) runs
+// after the first second, so filter start-up transients stay out of held peaks
+function lastFrame(x, module, opts = {}, { setup, reset } = {}) {
+  const a = new OrdoAudio.Analyzer({ sampleRate: SR, ...opts });
+  a.use(module);
+  if (setup) setup(a);
+  let last = null;
+  for (let i = 0; i < x.length; i += 1024) {
+    if (reset && i >= SR && i - 1024 < SR) reset(a);
+    const frames = a.push(x.subarray(i, i + 1024));
+    if (frames.length) last = frames[frames.length - 1];
+  }
+  return last[module];
+}
+
+function stipa(x) {
+  const buffer = { sampleRate: SR, length: x.length, numberOfChannels: 1, duration: x.length / SR, getChannelData: () => x };
+  return OrdoAudio.analyzeBuffer(buffer, { modules: ['stipa'] }).summary.stipa;
+}
+
+// Loudness: EBU Tech 3341 / 3342 conformance signals
+for (const r of OrdoAudio.loudnessConformance(SR))
+  check(`loudness ${r.id}`, r.pass, Object.entries(r.measured).map(([k, v]) => `${k} ${[].concat(v).map(n => n.toFixed(2)).join('…')}`).join(', '));
+
+// True peak: fs/4 sine at 45° samples at 1/√2 of its peak, so true peak is +3.01 dB
+// (within the ±0.07 dB ripple of the 4× interpolation filter at fs/4)
+{
+  const x = tone(2, (t, i) => .5 * Math.sin(Math.PI / 2 * i + Math.PI / 4));
+  let pk = 0;
+  for (const v of x) pk = Math.max(pk, Math.abs(v));
+  const tp = lastFrame(x, 'truePeak', {}, { reset: a => a.resetTruePeak() }).truePeakHold, d = tp - 20 * Math.log10(pk);
+  check('true peak fs/4 sine at 45° is +3.01 dB over sample peak', near(d, 3.01, .1), `${d.toFixed(3)} dB`);
+}
+
+// THD: 1 % second and 0.5 % third harmonic, √(1² + 0.5²) = 1.118 %
+{
+  const f = 997, x = tone(3, t => .5 * Math.sin(2 * Math.PI * f * t) + .005 * Math.sin(2 * Math.PI * 2 * f * t) + .0025 * Math.sin(2 * Math.PI * 3 * f * t));
+  const r = lastFrame(x, 'thd', { fftSize: 4096 }, { setup: a => a.setDistortionStimulus('sine') });
+  check('THD of 1 % H2 + 0.5 % H3 is 1.118 %', near(r.thd, 1.118, .005), r.thdString);
+}
+
+// SLM: 1 kHz sine calibrated to 94 dB SPL; its C / Z peak is 3.01 dB above the Leq
+{
+  const x = tone(2, t => .1 * Math.sin(2 * Math.PI * 1000 * t));
+  const r = lastFrame(x, 'slm', { calibrationOffset: 114 }, { reset: a => a.resetSlm() });
+  check('SLM 94 dB sine reads LAeq 94.0', near(r.LAeq, 94, .1), r.LAeq.toFixed(2));
+  check('SLM 94 dB sine reads LCpeak 97.0', near(r.LCpeak, 97.01, .1), r.LCpeak.toFixed(2));
+  check('SLM 94 dB sine reads LZpeak 97.0', near(r.peak.Z, 97.01, .1), r.peak.Z.toFixed(2));
+}
+
+// STIPA: the test signal itself is near-perfect; a steady tone is not the test signal
+{
+  const r = stipa(OrdoAudio.createStipaSignal({ sampleRate: SR, duration: 22 }).signal);
+  check('STIPA test signal STI >= 0.95 and valid', r.valid && r.sti >= .95, `STI ${r.sti.toFixed(3)} ${r.category}`);
+  const s = stipa(tone(21, t => .5 * Math.sin(2 * Math.PI * 440 * t)));
+  check('STIPA of a pure tone is invalid', !s.valid && s.category === null, s.invalid);
+}
+
+console.log(failed ? `${failed} failed` : 'all passed');
+process.exitCode = failed ? 1 : 0;